@@ -30,12 +30,90 @@ export const config = {
     game: {
         roundsPerGame: 20, // Number of rounds in a game (default)
         roundTimeSeconds: 15, // Time per round in seconds
+        delayBetweenRounds: 5, // Seconds between rounds
         multipleChoiceCount: 4, // Number of answer choices (1 correct + 3 wrong)
+        difficulty: "easy", // How wrong answers are picked: "easy", "medium" or "hard" (Name the artist buttons only)
         baseScore: 100, // Base score per correct answer
+        scoring: "linear", // Default scoring strategy: "linear", "flat", "first-bonus" or "rank" (see services/scoring.js)
+        firstCorrectBonus: 50, // "first-bonus" scoring: extra points for the first correct answer of a round
+        rankShares: [1, 0.75, 0.5, 0.25], // "rank" scoring: share of baseScore by answer order (last share applies after)
         minPlayers: 1, // Minimum players to start
         maxPlayers: 20, // Maximum players per game
+        lobbySeconds: 30, // Time players have to join (and pick a team) before round 1
+        endRoundsEarly: true, // End a round as soon as every player still in the game has answered
+        allowUnjoinedAnswers: false, // Let players who skipped the lobby answer (they join on their first answer)
+        resumeAfterRestart: true, // Resume running games after a restart (otherwise they end with the scores so far)
+        resumeMaxAgeMinutes: 30, // Games saved longer ago than this are ended instead of resumed
         tokenRefreshHours: 24, // Hours before refreshing token cache
         excludeUnresolvedArtists: true, // Exclude artists without alias or tzdomain
+        typedAnswerWinners: 3, // Typed mode: how many correct typers score each round
+
+        // Streak bonuses: consecutive correct answers multiply the round score (highest reached threshold applies)
+        streakBonuses: [
+            { streak: 3, multiplier: 1.2 },
+            { streak: 5, multiplier: 1.5 },
+            { streak: 10, multiplier: 2 },
+        ],
+
+        // Hint settings (each hint gives up a share of the points a correct answer would earn)
+        hintCosts: {
+            description: 0.25, // Show a snippet of the token description
+            eliminate: 0.4, // Strike out one wrong choice
+        },
+        hintDescriptionLength: 200, // Maximum characters of description shown
+
+        // Reveal mode settings (the artwork starts pixelated and sharpens during the round)
+        revealBlockSizes: [48, 24, 12, 0], // Pixel block size per stage, shown for equal slices of the round (0 = clear)
+        revealStageBonus: 50, // Extra points for answering in the first stage, shrinking to 0 by the last one
+        revealImageMaxMB: 20, // Largest artwork reveal mode downloads; bigger ones are shown plainly instead
+
+        // Media settings (Discord shows videos, 3D and interactive tokens through their still preview)
+        mediaKinds: ["image", "gif", "video", "audio", "model", "html", "other"], // Kinds games play by default
+        videoAttachmentMaxMB: 8, // Attach videos up to this size so they play in the round (0 = previews only)
+
+        // Team mode settings
+        teams: [
+            { name: "Red", emoji: "🔴" },
+            { name: "Blue", emoji: "🔵" },
+            { name: "Green", emoji: "🟢" },
+            { name: "Yellow", emoji: "🟡" },
+        ],
+    },
+
+    // Token sources: where a game's artworks come from (players pick one with /namethatartist source)
+    // Each source is fetched from objkt.com and cached separately. Types:
+    //   "holder"     - tokens a wallet currently holds ({ address })
+    //   "creator"    - tokens an artist address minted ({ address })
+    //   "contract"   - tokens on an FA2 contract ({ contract })
+    //   "collection" - tokens in an objkt.com collection ({ collectionId })
+    // Run `npm run deploy-commands` after changing the list so the source choices update
+    tokenSources: {
+        default: "ttc", // Used when a game doesn't pick a source, and by the daily challenge
+        sources: {
+            ttc: {
+                name: "The Tezos Community",
+                type: "holder",
+                address: "tz1RZN17j7FuPtDpGpXKgMXbx57WEhpZGF6B", // TTC wallet
+            },
+        },
+    },
+
+    // Daily challenge settings
+    daily: {
+        rounds: 5, // Rounds in the daily challenge
+        roundTimeSeconds: 20, // Seconds to answer each round for points
+    },
+
+    // Tournament settings
+    tournaments: {
+        defaultGames: 3, // Games in a cumulative tournament (default)
+        roundsPerGame: 10, // Rounds in each tournament game (default)
+        maxBracketPlayers: 32, // Maximum players in a bracket tournament (cumulative ones use game.maxPlayers)
+    },
+
+    // Game transcripts (who answered what in each game, downloadable with /gamelog)
+    transcripts: {
+        retentionDays: 30, // Days a finished game's transcript is kept
     },
 
     // Branding
@@ -68,16 +146,54 @@ export const config = {
                 user: 10, // Per-user cooldown: 10 seconds
                 channel: 0, // No channel cooldown
             },
+            // Daily challenge - one attempt per day anyway, light rate limiting
+            daily: {
+                user: 5, // Per-user cooldown: 5 seconds
+                channel: 0, // No channel cooldown
+            },
             // Stats command - personal stats, light rate limiting
             stats: {
                 user: 5, // Per-user cooldown: 5 seconds
                 channel: 0, // No channel cooldown
             },
+            // Tournament commands - sign-ups and standings
+            tournament: {
+                user: 5, // Per-user cooldown: 5 seconds
+                channel: 0, // No channel cooldown
+            },
+            // Pool blocklist - moderator action, minimal cooldown
+            pool: {
+                user: 3, // Per-user cooldown: 3 seconds
+                channel: 0, // No channel cooldown
+            },
+            // Artist opt-out - signing requests and registry changes
+            optout: {
+                user: 5, // Per-user cooldown: 5 seconds
+                channel: 0, // No channel cooldown
+            },
+            // Game transcripts - file downloads, light rate limiting
+            gamelog: {
+                user: 10, // Per-user cooldown: 10 seconds
+                channel: 0, // No channel cooldown
+            },
             // Stop game - moderator action, minimal cooldown
             stopgame: {
                 user: 3, // Per-user cooldown: 3 seconds
                 channel: 0, // No channel cooldown
             },
+            // Pause, resume and skip round - moderator actions, minimal cooldown
+            pausegame: {
+                user: 3, // Per-user cooldown: 3 seconds
+                channel: 0, // No channel cooldown
+            },
+            resumegame: {
+                user: 3, // Per-user cooldown: 3 seconds
+                channel: 0, // No channel cooldown
+            },
+            skipround: {
+                user: 3, // Per-user cooldown: 3 seconds
+                channel: 0, // No channel cooldown
+            },
             // Help and ping - very light rate limiting
             help: {
                 user: 10, // Per-user cooldown: 10 seconds
@@ -103,6 +219,10 @@ export function validateConfig() {
         errors.push("CLIENT_ID is not set (required for slash commands)");
     }
 
+    if (!Object.hasOwn(config.tokenSources.sources, config.tokenSources.default)) {
+        errors.push(`tokenSources.default "${config.tokenSources.default}" is not one of the configured token sources`);
+    }
+
     if (errors.length > 0) {
         console.error("❌ Configuration errors:");
         errors.forEach((error) => console.error(`   - ${error}`));
@@ -1,5 +1,7 @@
 import { REST, Routes } from "discord.js";
 import dotenv from "dotenv";
+import { config } from "./config.js";
+import { GUILD_SETTING_LABELS } from "./services/guild-settings.js";
 
 // Load environment variables
 dotenv.config();
@@ -10,6 +12,20 @@ if (!process.env.DISCORD_TOKEN || !process.env.CLIENT_ID) {
     process.exit(1);
 }
 
+// Token source choices come from config.tokenSources (Discord allows up to 25)
+const sourceOption = {
+    name: "source",
+    description: "Which collection the artworks come from",
+    type: 3, // STRING type
+    required: false,
+    choices: Object.entries(config.tokenSources.sources)
+        .slice(0, 25)
+        .map(([value, source]) => ({
+            name: source.name,
+            value,
+        })),
+};
+
 // Define slash commands
 const commands = [
     {
@@ -38,17 +54,265 @@ const commands = [
             },
             {
                 name: "betweenroundtime",
-                description: "Seconds between rounds (default: 30, min: 5, max: 60)",
+                description: "Seconds between rounds (default: 5, min: 5, max: 60)",
                 type: 4, // INTEGER type
                 required: false,
                 min_value: 5,
                 max_value: 60,
             },
+            {
+                name: "teams",
+                description: "Play in teams - number of teams to split into (min: 2, max: 4)",
+                type: 4, // INTEGER type
+                required: false,
+                min_value: 2,
+                max_value: 4,
+            },
+            {
+                name: "lives",
+                description: "Survival mode - lives per player, wrong or missed answers cost one (min: 1, max: 5)",
+                type: 4, // INTEGER type
+                required: false,
+                min_value: 1,
+                max_value: 5,
+            },
+            {
+                name: "question",
+                description: "What each round asks (default: Name the artist)",
+                type: 3, // STRING type
+                required: false,
+                choices: [
+                    {
+                        name: "Name the artist",
+                        value: "artist",
+                    },
+                    {
+                        name: "Reverse - find the artist's artwork",
+                        value: "reverse",
+                    },
+                    {
+                        name: "Name that title",
+                        value: "title",
+                    },
+                ],
+            },
+            {
+                name: "typed",
+                description: "Type the artist's alias or .tez domain in chat instead of clicking buttons",
+                type: 5, // BOOLEAN type
+                required: false,
+            },
+            {
+                name: "reveal",
+                description: "Start each artwork pixelated and sharpen it during the round - early answers earn a bonus",
+                type: 5, // BOOLEAN type
+                required: false,
+            },
+            {
+                name: "endearly",
+                description: "End each round as soon as every player has answered (default: on)",
+                type: 5, // BOOLEAN type
+                required: false,
+            },
+            {
+                name: "scoring",
+                description: "How correct answers are scored (default: Speed)",
+                type: 3, // STRING type
+                required: false,
+                choices: [
+                    {
+                        name: "Speed - faster answers score more",
+                        value: "linear",
+                    },
+                    {
+                        name: "Flat - every correct answer scores the same",
+                        value: "flat",
+                    },
+                    {
+                        name: "First bonus - speed plus a bonus for the first correct answer",
+                        value: "first-bonus",
+                    },
+                    {
+                        name: "Podium - points by order of correct answers",
+                        value: "rank",
+                    },
+                ],
+            },
+            {
+                name: "difficulty",
+                description: "How tricky the wrong answers are (default: Easy)",
+                type: 3, // STRING type
+                required: false,
+                choices: [
+                    {
+                        name: "Easy - random artists",
+                        value: "easy",
+                    },
+                    {
+                        name: "Medium - artists from the same contract",
+                        value: "medium",
+                    },
+                    {
+                        name: "Hard - artists players often mix up",
+                        value: "hard",
+                    },
+                ],
+            },
+            {
+                name: "seed",
+                description: "Replay a previous game by entering the seed shown in its footer",
+                type: 3, // STRING type
+                required: false,
+                max_length: 32,
+            },
+            sourceOption,
+            {
+                name: "media",
+                description: "Media kinds to play, e.g. \"image, gif\" or \"-video, -html\" (image, gif, video, audio, model, html)",
+                type: 3, // STRING type
+                required: false,
+                max_length: 100,
+            },
+        ],
+    },
+    {
+        name: "daily",
+        description: "The daily challenge - same rounds for everyone, one attempt per day",
+        options: [
+            {
+                name: "play",
+                description: "Play today's daily challenge (only you can see your rounds)",
+                type: 1, // SUB_COMMAND type
+            },
+            {
+                name: "leaderboard",
+                description: "View today's daily challenge leaderboard",
+                type: 1, // SUB_COMMAND type
+            },
+        ],
+    },
+    {
+        name: "tournament",
+        description: "Multi-game tournaments - cumulative points or a knockout bracket",
+        options: [
+            {
+                name: "create",
+                description: "Create a tournament players can sign up for",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "name",
+                        description: "Tournament name",
+                        type: 3, // STRING type
+                        required: true,
+                        max_length: 50,
+                    },
+                    {
+                        name: "format",
+                        description: "How the champion is decided (default: Cumulative)",
+                        type: 3, // STRING type
+                        required: false,
+                        choices: [
+                            {
+                                name: "Cumulative - points add up over a series of games",
+                                value: "cumulative",
+                            },
+                            {
+                                name: "Bracket - single elimination, one game per match",
+                                value: "bracket",
+                            },
+                        ],
+                    },
+                    {
+                        name: "games",
+                        description: "Games in a cumulative tournament (default: 3, min: 1, max: 10)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 1,
+                        max_value: 10,
+                    },
+                    {
+                        name: "rounds",
+                        description: "Rounds per game (default: 10, min: 5, max: 50)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 5,
+                        max_value: 50,
+                    },
+                ],
+            },
+            {
+                name: "join",
+                description: "Sign up for a tournament",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "id",
+                        description: "Tournament ID shown when it was created",
+                        type: 3, // STRING type
+                        required: true,
+                        max_length: 6,
+                    },
+                ],
+            },
+            {
+                name: "start",
+                description: "Start the next tournament game in this channel (organizer or moderators)",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "id",
+                        description: "Tournament ID shown when it was created",
+                        type: 3, // STRING type
+                        required: true,
+                        max_length: 6,
+                    },
+                ],
+            },
+            {
+                name: "standings",
+                description: "View a tournament's standings or bracket",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "id",
+                        description: "Tournament ID shown when it was created",
+                        type: 3, // STRING type
+                        required: true,
+                        max_length: 6,
+                    },
+                ],
+            },
         ],
     },
     {
         name: "leaderboard",
-        description: "View the top players on the leaderboard",
+        description: "View the top players this season",
+        options: [
+            {
+                name: "season",
+                description: "Season number to view (default: the current season)",
+                type: 4, // INTEGER type
+                required: false,
+                min_value: 1,
+            },
+        ],
+    },
+    {
+        name: "season",
+        description: "Leaderboard seasons - scores reset each season, lifetime totals are kept",
+        options: [
+            {
+                name: "info",
+                description: "View the current season and past champions",
+                type: 1, // SUB_COMMAND type
+            },
+            {
+                name: "close",
+                description: "Close the current season, archive its standings and start a new one (server managers)",
+                type: 1, // SUB_COMMAND type
+            },
+        ],
     },
     {
         name: "stats",
@@ -94,19 +358,343 @@ const commands = [
                     },
                 ],
             },
+            {
+                name: "season",
+                description: "Show a season's leaderboard instead of lifetime totals",
+                type: 4, // INTEGER type
+                required: false,
+                min_value: 1,
+            },
         ],
     },
     {
         name: "stopgame",
         description: "Stop the current game in this channel",
     },
+    {
+        name: "pausegame",
+        description: "Pause the current game in this channel (the round clock stops)",
+    },
+    {
+        name: "resumegame",
+        description: "Resume the paused game in this channel",
+    },
+    {
+        name: "skipround",
+        description: "Skip the round on screen without scoring it (e.g. if its artwork didn't load)",
+    },
+    {
+        name: "gamelog",
+        description: "Download the transcript of a finished game (who answered what, and when)",
+        options: [
+            {
+                name: "gameid",
+                description: "Game ID shown in the game over footer",
+                type: 3, // STRING type
+                required: true,
+                max_length: 64,
+            },
+            {
+                name: "format",
+                description: "File format (default: Markdown)",
+                type: 3, // STRING type
+                required: false,
+                choices: [
+                    {
+                        name: "Markdown - readable summary",
+                        value: "markdown",
+                    },
+                    {
+                        name: "JSON - full data",
+                        value: "json",
+                    },
+                ],
+            },
+        ],
+    },
     {
         name: "help",
         description: "Get help and information about the Name That Artist game",
     },
+    {
+        name: "pool",
+        description: "Keep artworks or artists out of games (moderators)",
+        options: [
+            {
+                name: "block",
+                description: "Stop a token or an artist from appearing in games",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "token",
+                        description: "objkt.com link or contract:tokenId of the artwork",
+                        type: 3, // STRING type
+                        required: false,
+                    },
+                    {
+                        name: "artist",
+                        description: "Tezos address of the artist (blocks all their artworks)",
+                        type: 3, // STRING type
+                        required: false,
+                    },
+                    {
+                        name: "reason",
+                        description: "Why it's blocked (e.g. inappropriate, wrong artist, broken image)",
+                        type: 3, // STRING type
+                        required: false,
+                        max_length: 200,
+                    },
+                ],
+            },
+            {
+                name: "unblock",
+                description: "Let a blocked token or artist appear in games again",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "token",
+                        description: "objkt.com link or contract:tokenId of the artwork",
+                        type: 3, // STRING type
+                        required: false,
+                    },
+                    {
+                        name: "artist",
+                        description: "Tezos address of the artist",
+                        type: 3, // STRING type
+                        required: false,
+                    },
+                ],
+            },
+            {
+                name: "list",
+                description: "View blocked tokens and artists",
+                type: 1, // SUB_COMMAND type
+            },
+        ],
+    },
+    {
+        name: "optout",
+        description: "Artist opt-out - keep an artist's work out of the game",
+        options: [
+            {
+                name: "request",
+                description: "Artists: start opting out by signing a message with your wallet",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "address",
+                        description: "Your wallet address (tz1, tz2 or tz3)",
+                        type: 3, // STRING type
+                        required: true,
+                    },
+                ],
+            },
+            {
+                name: "verify",
+                description: "Artists: finish opting out with your wallet's signature",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "publickey",
+                        description: "Your wallet's public key (edpk..., sppk... or p2pk...)",
+                        type: 3, // STRING type
+                        required: true,
+                    },
+                    {
+                        name: "signature",
+                        description: "Signature of the message from /optout request",
+                        type: 3, // STRING type
+                        required: true,
+                    },
+                ],
+            },
+            {
+                name: "add",
+                description: "Opt an artist out on their behalf (Admin only)",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "address",
+                        description: "Artist's Tezos address",
+                        type: 3, // STRING type
+                        required: true,
+                    },
+                    {
+                        name: "reason",
+                        description: "How the artist asked (e.g. DM, email)",
+                        type: 3, // STRING type
+                        required: false,
+                        max_length: 200,
+                    },
+                ],
+            },
+            {
+                name: "remove",
+                description: "Let an opted-out artist back into the game (Admin only)",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "address",
+                        description: "Artist's Tezos address",
+                        type: 3, // STRING type
+                        required: true,
+                    },
+                ],
+            },
+            {
+                name: "list",
+                description: "View artists who opted out (Admin only)",
+                type: 1, // SUB_COMMAND type
+            },
+        ],
+    },
+    {
+        name: "settings",
+        description: "View or change this server's game settings (Admin only)",
+        options: [
+            {
+                name: "view",
+                description: "View this server's settings",
+                type: 1, // SUB_COMMAND type
+            },
+            {
+                name: "set",
+                description: "Change this server's game defaults",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "rounds",
+                        description: "Default number of rounds (min: 5, max: 50)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 5,
+                        max_value: 50,
+                    },
+                    {
+                        name: "roundtime",
+                        description: "Default seconds per round (min: 10, max: 60)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 10,
+                        max_value: 60,
+                    },
+                    {
+                        name: "betweenroundtime",
+                        description: "Default seconds between rounds (min: 5, max: 60)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 5,
+                        max_value: 60,
+                    },
+                    {
+                        name: "difficulty",
+                        description: "Default difficulty for Name the artist games with buttons",
+                        type: 3, // STRING type
+                        required: false,
+                        choices: [
+                            {
+                                name: "Easy - random artists",
+                                value: "easy",
+                            },
+                            {
+                                name: "Medium - artists from the same contract",
+                                value: "medium",
+                            },
+                            {
+                                name: "Hard - artists players often mix up",
+                                value: "hard",
+                            },
+                        ],
+                    },
+                    {
+                        name: "color",
+                        description: "Embed color as a hex code, like #2c7df6",
+                        type: 3, // STRING type
+                        required: false,
+                        max_length: 8,
+                    },
+                    {
+                        ...sourceOption,
+                        description: "Default collection the artworks come from",
+                    },
+                ],
+            },
+            {
+                name: "channel",
+                description: "Allow or stop games in a channel (games are allowed everywhere until one is added)",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "channel",
+                        description: "Channel to change",
+                        type: 7, // CHANNEL type
+                        required: true,
+                        channel_types: [0], // Text channels
+                    },
+                    {
+                        name: "allowed",
+                        description: "Whether games can be played in the channel",
+                        type: 5, // BOOLEAN type
+                        required: true,
+                    },
+                ],
+            },
+            {
+                name: "cooldown",
+                description: "Change a command's cooldowns on this server",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "command",
+                        description: "Command to change",
+                        type: 3, // STRING type
+                        required: true,
+                        choices: Object.keys(config.cooldowns.commands).map((name) => ({
+                            name: `/${name}`,
+                            value: name,
+                        })),
+                    },
+                    {
+                        name: "user",
+                        description: "Seconds before the same player can use it again (0 = no cooldown)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 0,
+                        max_value: 3600,
+                    },
+                    {
+                        name: "channel",
+                        description: "Seconds before it can be used again in the same channel (0 = no cooldown)",
+                        type: 4, // INTEGER type
+                        required: false,
+                        min_value: 0,
+                        max_value: 3600,
+                    },
+                ],
+            },
+            {
+                name: "reset",
+                description: "Go back to the bot defaults",
+                type: 1, // SUB_COMMAND type
+                options: [
+                    {
+                        name: "setting",
+                        description: "Setting to reset (default: all of them)",
+                        type: 3, // STRING type
+                        required: false,
+                        choices: Object.entries(GUILD_SETTING_LABELS).map(([value, name]) => ({
+                            name,
+                            value,
+                        })),
+                    },
+                ],
+            },
+        ],
+    },
     {
         name: "precache",
         description: "Pre-load all game images into Discord's cache (Admin only)",
+        options: [sourceOption],
     },
 ];
 
@@ -5,14 +5,47 @@
  */
 
 import { config } from "./config.js";
-import { loadTokens, needsTokenRefresh } from "./services/storage.js";
+import {
+    loadTokens,
+    migrateLegacyTokens,
+    needsTokenRefresh,
+    getDailyRounds,
+    saveDailyRounds,
+    getDailyResult,
+    recordDailyAttempt,
+    completeDailyAttempt,
+    loadConfusions,
+    loadBlocklist,
+    addToBlocklist,
+    removeFromBlocklist,
+    loadOptOuts,
+    addOptOut,
+    removeOptOut,
+    saveGameState,
+    clearGameState,
+    getAllGameStates,
+} from "./services/storage.js";
 import {
     fetchAllTokens,
     normalizeToken,
     getUniqueArtists,
     getDistractors,
+    getArtworkDistractors,
+    getTitleDistractors,
+    hasMeaningfulTitle,
+    isTokenCreator,
     batchResolveArtistNames,
 } from "./services/objkt-api.js";
+import { isFuzzyMatch } from "./services/fuzzy-match.js";
+import { createSeededRandom, generateSeed, sample, shuffle } from "./services/random.js";
+import { calculateScore, isScoringStrategy } from "./services/scoring.js";
+import { resolveGuildSettings, isChannelAllowed } from "./services/guild-settings.js";
+import { applyBlocklist, isTokenBlocked, getArtistBlockKey, getTokenBlockKey } from "./services/blocklist.js";
+import { applyOptOuts, isOptedOutToken } from "./services/opt-out.js";
+import { MEDIA_KINDS, filterPoolByMedia } from "./services/media.js";
+import { serializeSession, deserializeSession } from "./services/session-state.js";
+import { buildTranscript } from "./services/transcript.js";
+import { getStageBonus } from "./services/image-reveal.js";
 
 /**
  * Game class to manage Name That Artist game sessions
@@ -20,16 +53,22 @@ import {
 export class NameThatArtistGame {
     constructor() {
         this.activeSessions = new Map();
-        this.tokens = [];
-        this.artists = [];
-        this.artistInfo = {}; // Map of address -> artist info (alias, tzdomain, etc.)
+        this.dailySessions = new Map(); // userId -> daily challenge session
+        this.tokens = []; // Default token source's tokens
+        this.artists = []; // Default token source's artists
+        this.sourcePools = new Map(); // sourceId -> { tokens, artists } for the other token sources, loaded on demand
+        this.poolPromises = new Map(); // sourceId -> ongoing load of a non-default source
+        this.artistInfo = {}; // Map of address -> artist info (alias, tzdomain, etc.), shared by all sources
+        this.unfilteredPools = new Map(); // sourceId -> { tokens, artists } including blocked and opted-out items
+        this.blocklist = {}; // Blocked tokens and artists, keyed by blocklist key (see services/blocklist.js)
+        this.optOuts = {}; // Artists who asked not to be in the game, keyed by address
         this.isInitialized = false;
         this.initializationPromise = null; // Track ongoing initialization
-        this.refreshPromise = null; // Track background refresh
+        this.refreshPromises = new Map(); // sourceId -> ongoing refresh
     }
 
     /**
-     * Quick initialization - load from cache immediately
+     * Quick initialization - load the default token source from cache immediately
      * This is fast and can be called before every game
      */
     async initialize() {
@@ -46,37 +85,13 @@ export class NameThatArtistGame {
         // Create initialization promise to prevent concurrent initializations
         this.initializationPromise = (async () => {
             try {
-                // Always try to load from cache first (fast)
-                console.log("📂 Loading tokens from cache...");
-                const data = await loadTokens();
-
-                if (data && data.tokens && data.tokens.length > 0) {
-                    this.tokens = data.tokens;
-                    this.artistInfo = data.artistInfo || {};
-
-                    // Filter artists based on config
-                    const allArtists = getUniqueArtists(this.tokens);
-                    if (config.game.excludeUnresolvedArtists) {
-                        this.artists = allArtists.filter((address) => this.artistInfo[address]?.hasResolution);
-                        this.tokens = this.tokens.filter(
-                            (token) => this.artistInfo[token.primaryArtist]?.hasResolution
-                        );
-                        console.log(`   Filtered to ${this.artists.length} artists with alias/domain`);
-                        console.log(`   Filtered to ${this.tokens.length} tokens with resolved artists`);
-                    } else {
-                        this.artists = allArtists;
-                    }
-
-                    console.log(
-                        `✅ Game initialized with ${this.tokens.length} tokens and ${this.artists.length} unique artists`
-                    );
-                    this.isInitialized = true;
-                } else {
-                    // No cache available - need to fetch (this should be rare)
-                    console.log("⚠️ No cache found, fetching fresh data...");
-                    await this.refreshData();
-                    this.isInitialized = true;
+                this.blocklist = await loadBlocklist();
+                this.optOuts = await loadOptOuts();
+                if (await migrateLegacyTokens(config.tokenSources.default)) {
+                    console.log("📦 Moved the token cache from tokens.json to token_cache.json");
                 }
+                await this.loadSource(config.tokenSources.default);
+                this.isInitialized = true;
             } catch (error) {
                 console.error("❌ Failed to initialize game:", error);
                 this.initializationPromise = null;
@@ -90,70 +105,281 @@ export class NameThatArtistGame {
     }
 
     /**
-     * Refresh token data from API (slow operation, runs in background)
+     * Load a token source from cache, fetching it if there's no cache yet (this should be rare)
+     * @param {string} sourceId - Token source ID
+     */
+    async loadSource(sourceId) {
+        const source = config.tokenSources.sources[sourceId];
+
+        // Always try to load from cache first (fast)
+        console.log(`📂 Loading ${source.name} tokens from cache...`);
+        const data = await loadTokens(sourceId);
+
+        if (data && data.tokens && data.tokens.length > 0) {
+            this.setSourceTokens(sourceId, data.tokens, data.artistInfo || {});
+
+            const pool = this.getLoadedPool(sourceId);
+            console.log(
+                `✅ ${source.name} loaded with ${pool.tokens.length} tokens and ${pool.artists.length} unique artists`
+            );
+        } else {
+            console.log(`⚠️ No cache found for ${source.name}, fetching fresh data...`);
+            await this.refreshData(sourceId);
+        }
+    }
+
+    /**
+     * Store a token source's tokens as a game pool
+     * Blocked tokens and opted-out artists are left out of the pool but kept aside in case they return
+     * @param {string} sourceId - Token source ID
+     * @param {Array} tokens - Normalized tokens
+     * @param {Object} artistInfo - Map of address -> artist info for the source's artists
+     */
+    setSourceTokens(sourceId, tokens, artistInfo) {
+        Object.assign(this.artistInfo, artistInfo);
+
+        // Filter artists based on config
+        let artists = getUniqueArtists(tokens);
+        if (config.game.excludeUnresolvedArtists) {
+            artists = artists.filter((address) => this.artistInfo[address]?.hasResolution);
+            tokens = tokens.filter((token) => this.artistInfo[token.primaryArtist]?.hasResolution);
+            console.log(`   Filtered to ${artists.length} artists with alias/domain`);
+            console.log(`   Filtered to ${tokens.length} tokens with resolved artists`);
+        }
+
+        this.unfilteredPools.set(sourceId, { tokens, artists });
+        this.filterPool(sourceId);
+    }
+
+    /**
+     * Rebuild a loaded token source's game pool, leaving out blocked tokens and artists and opted-out artists
+     * @param {string} sourceId - Token source ID
+     */
+    filterPool(sourceId) {
+        const unblocked = applyBlocklist(this.unfilteredPools.get(sourceId), this.blocklist);
+        const { tokens, artists } = applyOptOuts(unblocked, this.optOuts);
+
+        if (sourceId === config.tokenSources.default) {
+            this.tokens = tokens;
+            this.artists = artists;
+        } else {
+            this.sourcePools.set(sourceId, { tokens, artists });
+        }
+    }
+
+    /**
+     * Block a token or an artist so it never appears in games
+     * Loaded pools are filtered straight away; games already running keep the rounds they dealt
+     * @param {string} key - Blocklist key (see services/blocklist.js)
+     * @param {Object} entry - Entry ({ type, id, reason, blockedBy, blockedByUsername })
+     * @returns {Promise<Object>} Result ({ success, message })
+     */
+    async blockItem(key, entry) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (Object.hasOwn(this.blocklist, key)) {
+            return {
+                success: false,
+                message: `\`${entry.id}\` is already blocked.`,
+            };
+        }
+
+        const blocked = { ...entry, blockedAt: new Date().toISOString() };
+        await addToBlocklist(key, blocked);
+        this.blocklist[key] = blocked;
+        this.unfilteredPools.forEach((_, sourceId) => this.filterPool(sourceId));
+
+        return {
+            success: true,
+            message: `\`${entry.id}\` is blocked and won't appear in new games.`,
+        };
+    }
+
+    /**
+     * Unblock a token or an artist
+     * @param {string} key - Blocklist key (see services/blocklist.js)
+     * @param {string} id - Token or artist shown in the message
+     * @returns {Promise<Object>} Result ({ success, message })
+     */
+    async unblockItem(key, id) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (!(await removeFromBlocklist(key))) {
+            return {
+                success: false,
+                message: `\`${id}\` isn't blocked.`,
+            };
+        }
+
+        delete this.blocklist[key];
+        this.unfilteredPools.forEach((_, sourceId) => this.filterPool(sourceId));
+
+        return {
+            success: true,
+            message: `\`${id}\` is unblocked and can appear in games again.`,
+        };
+    }
+
+    /**
+     * Take an artist out of every game mode at their (or an admin's) request
+     * The opt-out is saved, so it outlasts restarts and token refreshes
+     * @param {string} address - Artist address
+     * @param {Object} entry - Opt-out ({ method, reason, requestedBy, requestedByUsername })
+     * @returns {Promise<Object>} Result ({ success, message })
+     */
+    async optOutArtist(address, entry) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (Object.hasOwn(this.optOuts, address)) {
+            return {
+                success: false,
+                message: `\`${address}\` has already opted out.`,
+            };
+        }
+
+        const optOut = { address, ...entry, optedOutAt: new Date().toISOString() };
+        await addOptOut(address, optOut);
+        this.optOuts[address] = optOut;
+        this.unfilteredPools.forEach((_, sourceId) => this.filterPool(sourceId));
+
+        return {
+            success: true,
+            message: `\`${address}\` has opted out - their artworks won't appear in new games.`,
+        };
+    }
+
+    /**
+     * Let an opted-out artist back into the game
+     * @param {string} address - Artist address
+     * @returns {Promise<Object>} Result ({ success, message })
+     */
+    async removeArtistOptOut(address) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (!(await removeOptOut(address))) {
+            return {
+                success: false,
+                message: `\`${address}\` hasn't opted out.`,
+            };
+        }
+
+        delete this.optOuts[address];
+        this.unfilteredPools.forEach((_, sourceId) => this.filterPool(sourceId));
+
+        return {
+            success: true,
+            message: `\`${address}\` is back in the game.`,
+        };
+    }
+
+    /**
+     * Get a token source's pool if it's already loaded
+     * @param {string} sourceId - Token source ID
+     * @returns {Object|null} Pool ({ tokens, artists }) or null
+     */
+    getLoadedPool(sourceId) {
+        if (sourceId === config.tokenSources.default) {
+            return { tokens: this.tokens, artists: this.artists };
+        }
+        return this.sourcePools.get(sourceId) || null;
+    }
+
+    /**
+     * Get a token source's pool, loading the source first if needed
+     * @param {string} sourceId - Token source ID
+     * @returns {Promise<Object>} Pool ({ tokens, artists })
+     */
+    async getPool(sourceId) {
+        // Initializing also loads the blocklist every pool is filtered with
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        if (!this.sourcePools.has(sourceId) && sourceId !== config.tokenSources.default) {
+            // Share one load between games starting at the same time
+            if (!this.poolPromises.has(sourceId)) {
+                this.poolPromises.set(
+                    sourceId,
+                    this.loadSource(sourceId).finally(() => this.poolPromises.delete(sourceId))
+                );
+            }
+            await this.poolPromises.get(sourceId);
+        }
+
+        return this.getLoadedPool(sourceId);
+    }
+
+    /**
+     * Refresh a token source from the API (slow operation, runs in background)
      * This fetches new tokens and resolves artist names
+     * @param {string} sourceId - Token source ID (defaults to the default source)
      */
-    async refreshData() {
-        // Prevent concurrent refreshes
-        if (this.refreshPromise) {
-            return this.refreshPromise;
+    async refreshData(sourceId = config.tokenSources.default) {
+        // Prevent concurrent refreshes of the same source
+        if (this.refreshPromises.has(sourceId)) {
+            return this.refreshPromises.get(sourceId);
         }
 
-        console.log("� Refreshing token data from objkt.com...");
+        const source = config.tokenSources.sources[sourceId];
+        console.log(`🔄 Refreshing ${source.name} token data from objkt.com...`);
 
-        this.refreshPromise = (async () => {
+        const refreshPromise = (async () => {
             try {
-                const rawTokens = await fetchAllTokens();
-                this.tokens = rawTokens.map(normalizeToken).filter((t) => t.imageUrl);
-
-                // Extract unique artists
-                const allArtists = getUniqueArtists(this.tokens);
+                const rawTokens = await fetchAllTokens(source);
+                const tokens = rawTokens.map(normalizeToken).filter((t) => t.imageUrl);
 
                 // Resolve artist names (alias/tzdomain)
                 console.log("🔍 Resolving artist information...");
-                this.artistInfo = await batchResolveArtistNames(allArtists);
-
-                // Filter artists based on config
-                if (config.game.excludeUnresolvedArtists) {
-                    this.artists = allArtists.filter((address) => this.artistInfo[address]?.hasResolution);
-                    this.tokens = this.tokens.filter((token) => this.artistInfo[token.primaryArtist]?.hasResolution);
-                    console.log(`   Filtered to ${this.artists.length} artists with alias/domain`);
-                    console.log(`   Filtered to ${this.tokens.length} tokens with resolved artists`);
-                } else {
-                    this.artists = allArtists;
-                }
+                const artistInfo = await batchResolveArtistNames(getUniqueArtists(tokens));
 
-                // Save to cache with artist info
+                this.setSourceTokens(sourceId, tokens, artistInfo);
+                const pool = this.getLoadedPool(sourceId);
+
+                // Save to cache with artist info (including blocked and opted-out tokens, so they can come back)
                 const { saveTokens } = await import("./services/storage.js");
-                await saveTokens(this.tokens, this.artistInfo);
+                await saveTokens(sourceId, this.unfilteredPools.get(sourceId).tokens, artistInfo);
 
                 console.log(
-                    `✅ Data refreshed: ${this.tokens.length} tokens and ${this.artists.length} unique artists`
+                    `✅ ${source.name} refreshed: ${pool.tokens.length} tokens and ${pool.artists.length} unique artists`
                 );
             } catch (error) {
-                console.error("❌ Failed to refresh data:", error);
+                console.error(`❌ Failed to refresh ${source.name}:`, error);
                 throw error;
             } finally {
-                this.refreshPromise = null;
+                this.refreshPromises.delete(sourceId);
             }
         })();
 
-        return this.refreshPromise;
+        this.refreshPromises.set(sourceId, refreshPromise);
+        return refreshPromise;
     }
 
     /**
-     * Check if data needs refresh and start background refresh if needed
+     * Check if loaded token sources need a refresh and start background refreshes if needed
      * This is non-blocking and won't delay game start
      */
     async checkAndRefreshIfNeeded() {
-        const needsRefresh = await needsTokenRefresh();
-
-        if (needsRefresh && !this.refreshPromise) {
-            console.log("⏰ Data is stale (>24h), starting background refresh...");
-            // Fire and forget - don't await
-            this.refreshData().catch((error) => {
-                console.error("Background refresh failed:", error);
-            });
+        const sourceIds = [config.tokenSources.default, ...this.sourcePools.keys()];
+
+        for (const sourceId of sourceIds) {
+            const needsRefresh = await needsTokenRefresh(sourceId);
+
+            if (needsRefresh && !this.refreshPromises.has(sourceId)) {
+                const { name } = config.tokenSources.sources[sourceId];
+                console.log(`⏰ ${name} data is stale (>24h), starting background refresh...`);
+                // Fire and forget - don't await
+                this.refreshData(sourceId).catch((error) => {
+                    console.error("Background refresh failed:", error);
+                });
+            }
         }
     }
 
@@ -162,10 +388,41 @@ export class NameThatArtistGame {
      * @param {string} channelId - Discord channel ID
      * @param {string} userId - Discord user ID who started the game
      * @param {string} username - Discord username
-     * @param {number} rounds - Number of rounds to play (optional, defaults to config value)
+     * @param {number} rounds - Number of rounds to play (optional, defaults to the server's setting)
+     * @param {number} roundTime - Seconds per round (optional, defaults to the server's setting)
+     * @param {number} betweenRoundTime - Seconds between rounds (optional, defaults to the server's setting)
+     * @param {Object} options - Optional game modes
+     * @param {number} options.teams - Number of teams for team mode (2-4, omit for free-for-all)
+     * @param {number} options.lives - Lives per player for survival mode (omit for a regular game)
+     * @param {string} options.question - Question type: "artist" (name the artist), "reverse" (find the artwork)
+     *                                      or "title" (name the artwork)
+     * @param {boolean} options.typed - Typed mode: players type the artist's name instead of clicking buttons
+     * @param {string} options.scoring - Scoring strategy (see services/scoring.js, defaults to config.game.scoring)
+     * @param {boolean} options.reveal - Reveal mode: the artwork starts pixelated and sharpens during the round
+     * @param {boolean} options.endRoundsEarly - End a round once every player has answered
+     *                                           (defaults to config.game.endRoundsEarly)
+     * @param {string} options.difficulty - Distractor difficulty: "easy" (random artists), "medium" (artists from the
+     *                                        same contract) or "hard" (artists players often confuse with the answer)
+     * @param {string} options.seed - Seed for token and choice selection (replays a previous game; random if omitted)
+     * @param {Array<Object>} options.roster - Players ({ userId, username }) already in the game; only they may join
+     *                                           (tournament games)
+     * @param {Object} options.tournament - Tournament this game belongs to ({ id, matchId })
+     * @param {string} options.source - Token source the artworks come from (key in config.tokenSources.sources,
+     *                                    defaults to the server's setting)
+     * @param {Object} options.settings - Server settings from resolveGuildSettings (defaults to config.js)
+     * @param {Array<string>} options.media - Media kinds the artworks may be (see services/media.js,
+     *                                          defaults to config.game.mediaKinds)
      * @returns {Object} Game session data
      */
-    async startGame(channelId, userId, username, rounds = null, roundTime = null, betweenRoundTime = null) {
+    async startGame(
+        channelId,
+        userId,
+        username,
+        rounds = null,
+        roundTime = null,
+        betweenRoundTime = null,
+        options = {}
+    ) {
         // Check if game is initialized
         if (!this.isInitialized) {
             await this.initialize();
@@ -179,47 +436,195 @@ export class NameThatArtistGame {
             };
         }
 
-        // Use provided rounds or default to config value
-        const totalRounds = rounds ?? config.game.roundsPerGame;
-        const roundTimeSeconds = roundTime ?? config.game.roundTimeSeconds;
-        const delayBetweenRounds = betweenRoundTime ?? config.game.delayBetweenRounds;
+        const settings = options.settings ?? resolveGuildSettings({}, config);
+
+        if (!isChannelAllowed(settings, channelId)) {
+            return {
+                success: false,
+                message: `Games can only be played in ${settings.allowedChannels.map((id) => `<#${id}>`).join(", ")}.`,
+            };
+        }
+
+        const sourceId = options.source ?? settings.tokenSource;
+        if (!Object.hasOwn(config.tokenSources.sources, sourceId)) {
+            return {
+                success: false,
+                message: `Unknown token source: ${sourceId}`,
+            };
+        }
+
+        // Other sources are loaded the first time a game asks for them
+        let pool;
+        try {
+            pool = await this.getPool(sourceId);
+        } catch (error) {
+            return {
+                success: false,
+                message: `Couldn't load artworks from ${config.tokenSources.sources[sourceId].name}. Try again later.`,
+            };
+        }
+
+        // Only keep the media kinds this game plays
+        const media = options.media ?? config.game.mediaKinds;
+        if (media.length === 0 || media.some((kind) => !MEDIA_KINDS.includes(kind))) {
+            return {
+                success: false,
+                message: `Media kinds must be any of: ${MEDIA_KINDS.join(", ")}.`,
+            };
+        }
+        pool = filterPoolByMedia(pool, media);
+
+        // Use provided rounds or default to the server's settings
+        const totalRounds = rounds ?? settings.roundsPerGame;
+        const roundTimeSeconds = roundTime ?? settings.roundTimeSeconds;
+        const delayBetweenRounds = betweenRoundTime ?? settings.delayBetweenRounds;
 
         // Check if we have enough tokens
-        if (this.tokens.length < totalRounds) {
+        if (pool.tokens.length < totalRounds) {
+            const mediaText =
+                media.length < MEDIA_KINDS.length ? ` of the chosen media kinds (found ${pool.tokens.length})` : "";
+            return {
+                success: false,
+                message: `Not enough tokens to start a game. Need at least ${totalRounds} tokens${mediaText}.`,
+            };
+        }
+
+        // Validate team count against the configured teams
+        const teamCount = options.teams ?? 0;
+        if (teamCount === 1 || teamCount > config.game.teams.length) {
+            return {
+                success: false,
+                message: `Team games need between 2 and ${config.game.teams.length} teams.`,
+            };
+        }
+
+        // Reverse rounds need artworks from enough different artists to fill every choice
+        const questionType = options.question ?? "artist";
+        if (questionType === "reverse" && pool.artists.length < config.game.multipleChoiceCount) {
+            return {
+                success: false,
+                message: `Not enough artists for reverse mode. Need at least ${config.game.multipleChoiceCount} artists.`,
+            };
+        }
+
+        // Typed answers are matched against artist names, so they only work for artist questions
+        if (options.typed && questionType !== "artist") {
+            return {
+                success: false,
+                message: "Typed answers are only available for Name the artist rounds.",
+            };
+        }
+
+        const scoring = options.scoring ?? config.game.scoring;
+        if (!isScoringStrategy(scoring)) {
+            return {
+                success: false,
+                message: `Unknown scoring mode: ${scoring}`,
+            };
+        }
+
+        // Reverse rounds show four artworks at once, so there's no single image to reveal
+        if (options.reveal && questionType === "reverse") {
+            return {
+                success: false,
+                message: "Reveal mode isn't available for reverse rounds.",
+            };
+        }
+
+        // Difficulty changes which artists appear as wrong choices, so it needs artist choices on screen
+        // (the server's default difficulty only applies to games where it can)
+        const hasArtistChoices = questionType === "artist" && !options.typed;
+        const difficulty = options.difficulty ?? (hasArtistChoices ? settings.difficulty : "easy");
+        if (difficulty !== "easy" && !hasArtistChoices) {
             return {
                 success: false,
-                message: `Not enough tokens to start a game. Need at least ${totalRounds} tokens.`,
+                message: "Difficulty levels are only available for Name the artist rounds with buttons.",
             };
         }
 
+        // Title rounds can only use tokens with a real title
+        if (questionType === "title") {
+            const titledCount = pool.tokens.filter(hasMeaningfulTitle).length;
+            if (titledCount < totalRounds) {
+                return {
+                    success: false,
+                    message: `Not enough titled artworks for title mode. Need at least ${totalRounds}, found ${titledCount}.`,
+                };
+            }
+        }
+
         // Select random tokens for this game (no repeats)
-        const gameTokens = this.selectRandomTokens(totalRounds);
+        // Everything random about the game comes from the seed, so the same seed replays the same game
+        const seed = options.seed || generateSeed();
+        const random = createSeededRandom(seed);
+        const gameTokens = this.selectRandomTokens(
+            totalRounds,
+            questionType === "title" ? hasMeaningfulTitle : null,
+            random,
+            pool
+        );
+        const distractorPools = await this.getDistractorPools(gameTokens, difficulty, pool);
+        const startTime = Date.now();
 
         // Create game session
         const session = {
+            gameId: `${channelId}-${startTime}`,
             channelId,
             startedBy: userId,
             startedByUsername: username,
-            startTime: Date.now(),
+            startTime,
+            seed,
+            source: sourceId,
+            media, // Media kinds the artworks are drawn from
+            color: settings.color, // Server's embed color
             currentRound: 0,
             totalRounds: totalRounds,
             roundTimeSeconds,
             delayBetweenRounds,
+            scoring,
+            questionType,
+            difficulty,
+            typed: !!options.typed, // Typed mode: answers come from chat messages instead of buttons
+            reveal: !!options.reveal, // Reveal mode: the artwork sharpens stage by stage
+            endRoundsEarly: options.endRoundsEarly ?? config.game.endRoundsEarly, // End rounds once everyone answered
             rounds: gameTokens.map((token) => ({
+                type: questionType,
                 token,
-                choices: this.generateChoices(token),
+                choices: this.generateChoices(token, questionType, random, distractorPools.get(token), pool),
                 startTime: null,
                 endTime: null,
-                correctAnswer: token.primaryArtist,
+                correctAnswer: questionType === "title" ? token.name : token.primaryArtist,
                 answered: new Set(), // Users who have answered
+                correctCount: 0, // Correct answers so far (rank-based scoring)
+                eliminated: [], // Users knocked out during this round (survival mode)
+                hints: new Map(), // userId -> Map of hint type -> hint given
+                revealStage: null, // Reveal stage currently on screen (null when the image isn't being revealed)
+                brokenStreaks: [], // Bonus streaks that ended this round ({ userId, username, streak })
+                responses: [], // Answers for the transcript ({ userId, username, answer, correct, responseMs, score })
             })),
-            players: new Map(), // userId -> {username, score, correctAnswers, incorrectAnswers}
+            players: new Map(), // userId -> {username, score, correctAnswers, incorrectAnswers, teamId}
+            mistakes: [], // Wrong picks ({ correct, chosen } artists), recorded for hard difficulty
+            teams: teamCount > 0 ? this.createTeams(teamCount) : null, // teamId -> {name, emoji, score, members}
+            survival: options.lives ? { lives: options.lives } : null, // Survival mode: players lose lives on misses
+            phase: "joining", // Games open with a lobby: "joining" until round 1, then "playing"
+            roster: options.roster ? new Set(options.roster.map((p) => p.userId)) : null, // Closed games: who may play
+            tournament: options.tournament ?? null, // { id, matchId } for tournament games
+            tournamentUpdate: null, // Result of recording the game in its tournament (set by endGame)
             isActive: true,
+            pausedAt: null, // When the game was paused (answers and hints are refused until it's resumed)
+            roundSnapshot: null, // Player and team state from before the current round, to undo a skipped round
             messageId: null, // Discord message ID for the current round
         };
 
         this.activeSessions.set(channelId, session);
 
+        // Tournament games seat their roster; otherwise the player who started the game is always in it
+        if (session.roster) {
+            options.roster.forEach((player) => this.joinLobby(channelId, player.userId, player.username));
+        } else {
+            this.joinLobby(channelId, userId, username);
+        }
+
         return {
             success: true,
             session,
@@ -227,45 +632,112 @@ export class NameThatArtistGame {
     }
 
     /**
-     * Select random tokens for the game
-     * @param {number} count - Number of tokens to select
-     * @returns {Array} Array of random tokens
+     * Create the team table for a team game
+     * @param {number} count - Number of teams
+     * @returns {Map} Map of teamId -> team data
      */
-    selectRandomTokens(count) {
-        const shuffled = [...this.tokens].sort(() => 0.5 - Math.random());
-        return shuffled.slice(0, count);
+    createTeams(count) {
+        const teams = new Map();
+        config.game.teams.slice(0, count).forEach((team, index) => {
+            teams.set(String(index), {
+                teamId: String(index),
+                name: team.name,
+                emoji: team.emoji,
+                score: 0,
+                correctAnswers: 0,
+                members: new Set(),
+            });
+        });
+        return teams;
     }
 
     /**
-     * Generate multiple choice answers for a token
-     * @param {Object} token - The token to generate choices for
-     * @returns {Array} Array of choices with labels (A, B, C, D)
+     * Add a player to a team (or move them to another one)
+     * @param {string} channelId - Discord channel ID
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @param {string} teamId - Team to join
+     * @returns {Object} Result of the join
      */
-    generateChoices(token) {
-        const distractors = getDistractors(token, this.artists, config.game.multipleChoiceCount - 1);
-        const choices = [token.primaryArtist, ...distractors];
+    joinTeam(channelId, userId, username, teamId) {
+        const session = this.activeSessions.get(channelId);
 
-        // Shuffle choices
-        const shuffled = choices.sort(() => 0.5 - Math.random());
+        if (!session || !session.isActive || !session.teams) {
+            return {
+                success: false,
+                message: "There is no team game in this channel.",
+            };
+        }
 
-        // Add labels (1, 2, 3, 4) using keycap digit emojis
-        const labels = ["1️⃣", "2️⃣", "3️⃣", "4️⃣"];
-        return shuffled.map((artist, index) => ({
-            label: labels[index],
-            artist,
-            isCorrect: artist === token.primaryArtist,
-        }));
+        if (session.phase !== "joining") {
+            return {
+                success: false,
+                message: "Teams are locked once the game has started.",
+            };
+        }
+
+        const team = session.teams.get(teamId);
+        if (!team) {
+            return {
+                success: false,
+                message: "Invalid team.",
+            };
+        }
+
+        if (!session.players.has(userId) && session.players.size >= config.game.maxPlayers) {
+            return {
+                success: false,
+                message: `The game is full (${config.game.maxPlayers} players).`,
+            };
+        }
+
+        const player = this.getOrCreatePlayer(session, userId, username);
+        if (player.teamId === teamId) {
+            return {
+                success: false,
+                message: `You are already on team ${team.emoji} ${team.name}!`,
+            };
+        }
+
+        // Leave the previous team when switching
+        if (player.teamId !== null) {
+            session.teams.get(player.teamId).members.delete(userId);
+        }
+
+        player.teamId = teamId;
+        team.members.add(userId);
+
+        return {
+            success: true,
+            team,
+            message: `You joined team ${team.emoji} ${team.name}!`,
+        };
     }
 
     /**
-     * Process a player's answer for the current round
+     * Assign a player who skipped the join phase to the smallest team
+     * @param {Object} session - Game session
+     * @param {string} userId - Discord user ID
+     * @returns {Object} The team the player was assigned to
+     */
+    autoAssignTeam(session, userId) {
+        const smallest = Array.from(session.teams.values()).reduce((min, team) =>
+            team.members.size < min.members.size ? team : min
+        );
+        smallest.members.add(userId);
+        session.players.get(userId).teamId = smallest.teamId;
+        return smallest;
+    }
+
+    /**
+     * Join the lobby of a game that hasn't started yet
+     * In team games the player is placed on the smallest team (they can switch with joinTeam)
      * @param {string} channelId - Discord channel ID
      * @param {string} userId - Discord user ID
      * @param {string} username - Discord username
-     * @param {string} choiceLabel - Choice label (A, B, C, D)
-     * @returns {Object} Result of the answer
+     * @returns {Object} Result of the join ({ success, message, playerCount })
      */
-    async processAnswer(channelId, userId, username, choiceLabel) {
+    joinLobby(channelId, userId, username) {
         const session = this.activeSessions.get(channelId);
 
         if (!session || !session.isActive) {
@@ -275,60 +747,785 @@ export class NameThatArtistGame {
             };
         }
 
-        const currentRound = session.rounds[session.currentRound];
+        if (session.phase !== "joining") {
+            return {
+                success: false,
+                message: "The game has already started.",
+            };
+        }
 
-        // Check if user already answered this round
-        if (currentRound.answered.has(userId)) {
+        if (session.players.has(userId)) {
             return {
                 success: false,
-                message: "You have already answered this round!",
-                alreadyAnswered: true,
+                message: "You have already joined this game!",
             };
         }
 
-        // Find the selected choice
-        const selectedChoice = currentRound.choices.find((c) => c.label === choiceLabel);
-        if (!selectedChoice) {
+        if (session.roster && !session.roster.has(userId)) {
             return {
                 success: false,
-                message: "Invalid choice.",
+                message: "This is a tournament game - only its players can join.",
+            };
+        }
+
+        if (session.players.size >= config.game.maxPlayers) {
+            return {
+                success: false,
+                message: `The game is full (${config.game.maxPlayers} players).`,
             };
         }
 
+        this.getOrCreatePlayer(session, userId, username);
+        const team = session.teams ? this.autoAssignTeam(session, userId) : null;
+
+        return {
+            success: true,
+            message: team ? `You joined the game on team ${team.emoji} ${team.name}!` : "You joined the game!",
+            playerCount: session.players.size,
+        };
+    }
+
+    /**
+     * Leave the lobby of a game that hasn't started yet
+     * @param {string} channelId - Discord channel ID
+     * @param {string} userId - Discord user ID
+     * @returns {Object} Result of leaving ({ success, message, playerCount })
+     */
+    leaveLobby(channelId, userId) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive) {
+            return {
+                success: false,
+                message: "No active game in this channel.",
+            };
+        }
+
+        if (session.phase !== "joining") {
+            return {
+                success: false,
+                message: "The game has already started.",
+            };
+        }
+
+        const player = session.players.get(userId);
+        if (!player) {
+            return {
+                success: false,
+                message: "You haven't joined this game.",
+            };
+        }
+
+        if (player.teamId !== null) {
+            session.teams.get(player.teamId).members.delete(userId);
+        }
+        session.players.delete(userId);
+
+        return {
+            success: true,
+            message: "You left the game.",
+            playerCount: session.players.size,
+        };
+    }
+
+    /**
+     * Close the lobby and let rounds begin
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} Result ({ success, message, notEnoughPlayers })
+     */
+    startRounds(channelId) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive || session.phase !== "joining") {
+            return {
+                success: false,
+                message: "There is no game waiting to start in this channel.",
+            };
+        }
+
+        if (session.players.size < config.game.minPlayers) {
+            return {
+                success: false,
+                notEnoughPlayers: true,
+                message: `Not enough players joined (${session.players.size}/${config.game.minPlayers} needed).`,
+            };
+        }
+
+        session.phase = "playing";
+        return { success: true };
+    }
+
+    /**
+     * Check whether a player may take part in the current round
+     * Players outside the lobby roster may only join mid-game when config.game.allowUnjoinedAnswers is on
+     * @param {Object} session - Game session
+     * @param {string} userId - Discord user ID
+     * @returns {string|null} Reason the player can't answer, or null if they can
+     */
+    getParticipationError(session, userId) {
+        const player = session.players.get(userId);
+
+        if (player) {
+            return player.eliminated ? "☠️ You have been eliminated from this game!" : null;
+        }
+
+        if (session.roster) {
+            return "This is a tournament game - only its players can answer.";
+        }
+
+        if (!config.game.allowUnjoinedAnswers) {
+            return "You didn't join this game - join the lobby next time to play!";
+        }
+
+        if (session.players.size >= config.game.maxPlayers) {
+            return `The game is full (${config.game.maxPlayers} players).`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a player's session record, creating it if needed
+     * @param {Object} session - Game session
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @returns {Object} Player record
+     */
+    getOrCreatePlayer(session, userId, username) {
+        if (!session.players.has(userId)) {
+            session.players.set(userId, {
+                username,
+                score: 0,
+                correctAnswers: 0,
+                incorrectAnswers: 0,
+                teamId: null,
+                lives: session.survival?.lives ?? null,
+                eliminated: false,
+                eliminatedRound: null,
+                streak: 0, // Consecutive correct answers
+                longestStreak: 0,
+            });
+        }
+        return session.players.get(userId);
+    }
+
+    /**
+     * Take a life from a player in survival mode, eliminating them at zero
+     * @param {Object} session - Game session
+     * @param {string} userId - Discord user ID
+     * @returns {boolean} True if the player was eliminated
+     */
+    loseLife(session, userId) {
+        const player = session.players.get(userId);
+        player.lives--;
+
+        if (player.lives > 0) return false;
+
+        player.eliminated = true;
+        player.eliminatedRound = session.currentRound + 1;
+        session.rounds[session.currentRound].eliminated.push(userId);
+        return true;
+    }
+
+    /**
+     * Settle the current round once time is up
+     * In survival mode, every player still standing who didn't answer loses a life
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} Round outcome ({ eliminated: [{ userId, username }] })
+     */
+    resolveRound(channelId) {
+        const session = this.activeSessions.get(channelId);
+        if (!session) return { eliminated: [] };
+
+        const currentRound = session.rounds[session.currentRound];
+        currentRound.endTime = Date.now();
+
+        // Missing a round ends a streak; in survival mode it costs a life too
+        for (const [userId, player] of session.players) {
+            if (player.eliminated || currentRound.answered.has(userId)) continue;
+
+            this.breakStreak(currentRound, userId, player);
+            if (session.survival) {
+                this.loseLife(session, userId);
+            }
+        }
+
+        return {
+            eliminated: currentRound.eliminated.map((userId) => ({
+                userId,
+                username: session.players.get(userId).username,
+            })),
+        };
+    }
+
+    /**
+     * Check whether a survival game is down to its last player
+     * Solo games continue until the only player is eliminated
+     * @param {Object} session - Game session
+     * @returns {boolean} True if the game should end early
+     */
+    isSurvivalOver(session) {
+        if (!session.survival || session.players.size === 0) return false;
+
+        const remaining = Array.from(session.players.values()).filter((p) => !p.eliminated).length;
+        return session.players.size > 1 ? remaining <= 1 : remaining === 0;
+    }
+
+    /**
+     * Build the preferred distractor pools for each token of a game
+     * Medium draws from artists who minted on the same contract; hard draws from the artists players
+     * have mistaken for the correct one most often, then falls back to the same contract
+     * @param {Array} tokens - Tokens selected for the game
+     * @param {string} difficulty - "easy", "medium" or "hard"
+     * @param {Object} pool - Token pool the game draws from ({ tokens, artists }, defaults to the default source)
+     * @returns {Promise<Map>} Map of token -> array of artist pools (empty for easy)
+     */
+    async getDistractorPools(tokens, difficulty, pool = this) {
+        const pools = new Map();
+        if (difficulty === "easy") return pools;
+
+        // Only artists that can appear as choices at all (resolved names, not excluded)
+        const knownArtists = new Set(pool.artists);
+        const contractArtists = new Map();
+        for (const token of pool.tokens) {
+            if (!knownArtists.has(token.primaryArtist)) continue;
+            if (!contractArtists.has(token.contract)) contractArtists.set(token.contract, new Set());
+            contractArtists.get(token.contract).add(token.primaryArtist);
+        }
+
+        const confusions = difficulty === "hard" ? await loadConfusions() : {};
+        const confusedLimit = (config.game.multipleChoiceCount - 1) * 2;
+
+        for (const token of tokens) {
+            const sameContract = [...(contractArtists.get(token.contract) ?? [])];
+
+            if (difficulty === "hard") {
+                // Keep a few more than needed so the most confused artists don't appear every time
+                const confused = Object.entries(confusions[token.primaryArtist] ?? {})
+                    .filter(([artist]) => knownArtists.has(artist))
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, confusedLimit)
+                    .map(([artist]) => artist);
+                pools.set(token, [confused, sameContract]);
+            } else {
+                pools.set(token, [sameContract]);
+            }
+        }
+
+        return pools;
+    }
+
+    /**
+     * Select random tokens for the game
+     * @param {number} count - Number of tokens to select
+     * @param {Function} filter - Optional predicate limiting which tokens can be picked
+     * @param {Function} random - Random source (defaults to Math.random)
+     * @param {Object} pool - Token pool to pick from ({ tokens, artists }, defaults to the default source)
+     * @returns {Array} Array of random tokens
+     */
+    selectRandomTokens(count, filter = null, random = Math.random, pool = this) {
+        return sample(pool.tokens, count, random, filter);
+    }
+
+    /**
+     * Generate multiple choice answers for a token
+     * @param {Object} token - The token to generate choices for
+     * @param {string} questionType - "artist" for artist choices, "reverse" for artwork choices,
+     *                                 "title" for artwork title choices
+     * @param {Function} random - Random source (defaults to Math.random)
+     * @param {Array<Array>} preferredPools - Artist pools to pick artist distractors from first (see getDistractorPools)
+     * @param {Object} pool - Token pool to draw wrong choices from ({ tokens, artists }, defaults to the default source)
+     * @returns {Array} Array of choices with labels (A, B, C, D)
+     */
+    generateChoices(token, questionType = "artist", random = Math.random, preferredPools = [], pool = this) {
+        if (questionType === "reverse") {
+            return this.generateArtworkChoices(token, random, pool);
+        }
+
+        if (questionType === "title") {
+            return this.generateTitleChoices(token, random, pool);
+        }
+
+        return this.generateArtistChoices(token, random, preferredPools, pool);
+    }
+
+    /**
+     * Generate artist-name choices for a token image
+     * @param {Object} token - The token to generate choices for
+     * @param {Function} random - Random source (defaults to Math.random)
+     * @param {Array<Array>} preferredPools - Artist pools to pick distractors from first
+     * @param {Object} pool - Token pool to draw wrong choices from (defaults to the default source)
+     * @returns {Array} Array of choices ({ label, artist, isCorrect })
+     */
+    generateArtistChoices(token, random = Math.random, preferredPools = [], pool = this) {
+        const distractors = getDistractors(
+            token,
+            pool.artists,
+            config.game.multipleChoiceCount - 1,
+            random,
+            preferredPools
+        );
+        const choices = [token.primaryArtist, ...distractors];
+
+        // Shuffle choices
+        const shuffled = shuffle(choices, random);
+
+        // Add labels (1, 2, 3, 4) using keycap digit emojis
+        const labels = ["1️⃣", "2️⃣", "3️⃣", "4️⃣"];
+        return shuffled.map((artist, index) => ({
+            label: labels[index],
+            artist,
+            isCorrect: isTokenCreator(token, artist),
+        }));
+    }
+
+    /**
+     * Generate artwork choices for reverse mode
+     * The prompt is the token's artist; one choice is the token, the rest are works by other artists
+     * @param {Object} token - The token whose artist is the prompt
+     * @param {Function} random - Random source (defaults to Math.random)
+     * @param {Object} pool - Token pool to draw wrong choices from (defaults to the default source)
+     * @returns {Array} Array of choices ({ label, artist, token, isCorrect })
+     */
+    generateArtworkChoices(token, random = Math.random, pool = this) {
+        const distractors = getArtworkDistractors(token, pool.tokens, config.game.multipleChoiceCount - 1, random);
+        const choices = [token, ...distractors];
+
+        // Shuffle choices
+        const shuffled = shuffle(choices, random);
+
+        const labels = ["1️⃣", "2️⃣", "3️⃣", "4️⃣"];
+        return shuffled.map((choiceToken, index) => ({
+            label: labels[index],
+            artist: choiceToken.primaryArtist,
+            token: choiceToken,
+            isCorrect: choiceToken === token,
+        }));
+    }
+
+    /**
+     * Generate artwork title choices for title mode
+     * Distractor titles come from the same artist's other works where possible
+     * @param {Object} token - The token whose title is the answer
+     * @param {Function} random - Random source (defaults to Math.random)
+     * @param {Object} pool - Token pool to draw wrong choices from (defaults to the default source)
+     * @returns {Array} Array of choices ({ label, title, artist, isCorrect })
+     */
+    generateTitleChoices(token, random = Math.random, pool = this) {
+        const distractors = getTitleDistractors(token, pool.tokens, config.game.multipleChoiceCount - 1, random);
+        const choices = [token, ...distractors];
+
+        // Shuffle choices
+        const shuffled = shuffle(choices, random);
+
+        const labels = ["1️⃣", "2️⃣", "3️⃣", "4️⃣"];
+        return shuffled.map((choiceToken, index) => ({
+            label: labels[index],
+            title: choiceToken.name,
+            artist: choiceToken.primaryArtist,
+            isCorrect: choiceToken === token,
+        }));
+    }
+
+    /**
+     * Process a player's answer for the current round
+     * @param {string} channelId - Discord channel ID
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @param {string} choiceLabel - Choice label (A, B, C, D)
+     * @returns {Object} Result of the answer
+     */
+    async processAnswer(channelId, userId, username, choiceLabel) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive) {
+            return {
+                success: false,
+                message: "No active game in this channel.",
+            };
+        }
+
+        if (session.phase !== "playing") {
+            return {
+                success: false,
+                message: "The game hasn't started yet!",
+            };
+        }
+
+        if (session.pausedAt) {
+            return {
+                success: false,
+                message: "⏸️ The game is paused - answer once it's resumed.",
+            };
+        }
+
+        const currentRound = session.rounds[session.currentRound];
+
+        // Check if user already answered this round
+        if (currentRound.answered.has(userId)) {
+            return {
+                success: false,
+                message: "You have already answered this round!",
+                alreadyAnswered: true,
+            };
+        }
+
+        // Eliminated players and players outside the roster can't answer
+        const participationError = this.getParticipationError(session, userId);
+        if (participationError) {
+            return {
+                success: false,
+                message: participationError,
+            };
+        }
+
+        // Find the selected choice
+        const selectedChoice = currentRound.choices.find((c) => c.label === choiceLabel);
+        if (!selectedChoice) {
+            return {
+                success: false,
+                message: "Invalid choice.",
+            };
+        }
+
+        // Remember which artist was mistaken for which, so hard games can reuse the pairs
+        // (title and reverse rounds don't ask for an artist, so their wrong picks aren't artist confusions)
+        if (!selectedChoice.isCorrect && currentRound.type === "artist") {
+            session.mistakes.push({ correct: currentRound.token.primaryArtist, chosen: selectedChoice.artist });
+        }
+
+        return this.recordAnswer(session, currentRound, userId, username, selectedChoice.isCorrect, choiceLabel);
+    }
+
+    /**
+     * Process a typed answer in typed mode
+     * Only correct guesses count: chat is noisy, so misses are ignored rather than scored as wrong
+     * @param {string} channelId - Discord channel ID
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @param {string} text - Message content
+     * @returns {Object} Result of the guess ({ success, correct, late, score, rank, message }); late is set for correct
+     *                   guesses made after the scoring spots were taken
+     */
+    processTypedAnswer(channelId, userId, username, text) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive || !session.typed || session.phase !== "playing" || session.pausedAt) {
+            return { success: false };
+        }
+
+        // Only accept guesses while the round is on screen
+        const currentRound = session.rounds[session.currentRound];
+        if (!currentRound.startTime || currentRound.endTime) {
+            return { success: false };
+        }
+
+        if (currentRound.answered.has(userId) || this.getParticipationError(session, userId)) {
+            return { success: false };
+        }
+
+        if (!isFuzzyMatch(text, this.getTokenAnswerNames(currentRound.token))) {
+            return { success: true, correct: false };
+        }
+
+        // Only the first N correct typers score; later ones still count as answered, so they keep their streak
+        // (and, in survival mode, their lives)
+        const rank = currentRound.answered.size + 1;
+        if (rank > config.game.typedAnswerWinners) {
+            const player = this.getOrCreatePlayer(session, userId, username);
+            if (session.teams && !session.teams.has(player.teamId)) {
+                this.autoAssignTeam(session, userId);
+            }
+
+            currentRound.answered.add(userId);
+            currentRound.responses.push({
+                userId,
+                username,
+                answer: text,
+                correct: true,
+                responseMs: Date.now() - currentRound.startTime,
+                score: 0,
+            });
+
+            return {
+                success: true,
+                correct: false,
+                late: true,
+                message: `Too slow! The first ${config.game.typedAnswerWinners} correct answers already scored.`,
+            };
+        }
+
+        return { ...this.recordAnswer(session, currentRound, userId, username, true, text), rank };
+    }
+
+    /**
+     * Give a player a hint for the current round
+     * Each hint type costs a share of the player's points for the round (config.game.hintCosts);
+     * asking for the same hint again shows it again at no extra cost
+     * @param {string} channelId - Discord channel ID
+     * @param {string} userId - Discord user ID
+     * @param {string} hintType - "description" (token description snippet) or "eliminate" (strike out a wrong choice)
+     * @returns {Object} Result ({ success, hintType, description | eliminatedLabel, multiplier, message })
+     */
+    useHint(channelId, userId, hintType) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive || session.phase !== "playing") {
+            return {
+                success: false,
+                message: "No active round in this channel.",
+            };
+        }
+
+        const currentRound = session.rounds[session.currentRound];
+        if (!currentRound.startTime || currentRound.endTime || session.pausedAt) {
+            return {
+                success: false,
+                message: "Hints are only available while a round is running.",
+            };
+        }
+
+        if (currentRound.answered.has(userId)) {
+            return {
+                success: false,
+                message: "You have already answered this round!",
+            };
+        }
+
+        const participationError = this.getParticipationError(session, userId);
+        if (participationError) {
+            return {
+                success: false,
+                message: participationError,
+            };
+        }
+
+        if (!(hintType in config.game.hintCosts)) {
+            return {
+                success: false,
+                message: "Unknown hint.",
+            };
+        }
+
+        if (hintType === "eliminate" && session.typed) {
+            return {
+                success: false,
+                message: "There are no choices to strike out in typed mode.",
+            };
+        }
+
+        const hints = currentRound.hints.get(userId) ?? new Map();
+
+        if (!hints.has(hintType)) {
+            if (hintType === "description") {
+                const description = this.getHintDescription(currentRound);
+                if (!description) {
+                    return {
+                        success: false,
+                        message: "This artwork has no description to give a hint with.",
+                    };
+                }
+                hints.set(hintType, { description });
+            } else {
+                // Each player gets their own random wrong choice struck out, seeded so replays strike out the same one
+                const random = createSeededRandom(`${session.seed}:hint:${session.currentRound}:${userId}`);
+                const wrongChoices = currentRound.choices.filter((c) => !c.isCorrect);
+                const removed = wrongChoices[Math.floor(random() * wrongChoices.length)];
+                hints.set(hintType, { eliminatedLabel: removed.label });
+            }
+            currentRound.hints.set(userId, hints);
+        }
+
+        return {
+            success: true,
+            hintType,
+            ...hints.get(hintType),
+            multiplier: this.getHintMultiplier(currentRound, userId),
+        };
+    }
+
+    /**
+     * Get the share of a round's points a player can still earn after their hints
+     * @param {Object} round - Game round
+     * @param {string} userId - Discord user ID
+     * @returns {number} Multiplier between 0 and 1
+     */
+    getHintMultiplier(round, userId) {
+        const used = round.hints?.get(userId);
+        if (!used) return 1;
+
+        const cost = Array.from(used.keys()).reduce((total, hintType) => total + config.game.hintCosts[hintType], 0);
+        return Math.max(0, 1 - cost);
+    }
+
+    /**
+     * Get the description snippet for a description hint
+     * Names that would give the answer away are masked
+     * @param {Object} round - Game round
+     * @returns {string|null} Snippet, or null if the token has no description
+     */
+    getHintDescription(round) {
+        let text = round.token.description?.replace(/\s+/g, " ").trim();
+        if (!text) return null;
+
+        // Also hide .tez domains without the suffix; longest names first so they're masked whole
+        const artistNames = this.getTokenAnswerNames(round.token);
+        const hiddenNames = [...artistNames, ...artistNames.map((name) => name.replace(/\.tez$/i, ""))];
+        if (round.type === "title") hiddenNames.push(round.token.name);
+        hiddenNames.sort((a, b) => b.length - a.length);
+
+        for (const name of hiddenNames) {
+            if (!name || name.length < 3) continue;
+            const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            text = text.replace(new RegExp(escaped, "gi"), "█████");
+        }
+
+        const maxLength = config.game.hintDescriptionLength;
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    }
+
+    /**
+     * Get the score multiplier for a streak of consecutive correct answers
+     * @param {number} streak - Current streak length
+     * @returns {number} Multiplier from the highest threshold reached in config.game.streakBonuses (1 if none)
+     */
+    getStreakMultiplier(streak) {
+        return config.game.streakBonuses.reduce(
+            (multiplier, bonus) => (streak >= bonus.streak ? Math.max(multiplier, bonus.multiplier) : multiplier),
+            1
+        );
+    }
+
+    /**
+     * End a player's streak, remembering it for the round results if it had earned a bonus
+     * @param {Object} round - Game round
+     * @param {string} userId - Discord user ID
+     * @param {Object} player - Session player
+     */
+    breakStreak(round, userId, player) {
+        if (this.getStreakMultiplier(player.streak) > 1) {
+            round.brokenStreaks.push({ userId, username: player.username, streak: player.streak });
+        }
+        player.streak = 0;
+    }
+
+    /**
+     * Set which reveal stage of the round artwork is on screen
+     * @param {string} channelId - Discord channel ID
+     * @param {number|null} stage - Stage index into config.game.revealBlockSizes (null if the image couldn't be revealed)
+     */
+    setRevealStage(channelId, stage) {
+        const session = this.activeSessions.get(channelId);
+        if (!session) return;
+
+        session.rounds[session.currentRound].revealStage = stage;
+    }
+
+    /**
+     * Get the bonus for answering while the artwork is still pixelated
+     * @param {Object} round - Game round
+     * @returns {number} Bonus points (0 once the image is clear or when not revealing)
+     */
+    getRevealBonus(round) {
+        if (round.revealStage === null || round.revealStage === undefined) return 0;
+
+        return getStageBonus(round.revealStage, config.game.revealBlockSizes.length, config.game.revealStageBonus);
+    }
+
+    /**
+     * Record an answer for the current round and update player, team and survival state
+     * @param {Object} session - Game session
+     * @param {Object} currentRound - Round being answered
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {string} answer - Choice label picked, or the text typed in typed mode
+     * @returns {Object} Result of the answer
+     */
+    recordAnswer(session, currentRound, userId, username, isCorrect, answer) {
         // Mark as answered
         currentRound.answered.add(userId);
 
+        // Every answer goes into the game's transcript (points are filled in below for correct ones)
+        const response = {
+            userId,
+            username,
+            answer,
+            correct: isCorrect,
+            responseMs: Date.now() - currentRound.startTime,
+            score: 0,
+        };
+        currentRound.responses.push(response);
+
         // Initialize player if not exists
-        if (!session.players.has(userId)) {
-            session.players.set(userId, {
-                username,
-                score: 0,
-                correctAnswers: 0,
-                incorrectAnswers: 0,
-            });
-        }
+        const player = this.getOrCreatePlayer(session, userId, username);
 
-        const player = session.players.get(userId);
-        const isCorrect = selectedChoice.isCorrect;
+        // Players who skipped the lobby are placed on the smallest team
+        const team = session.teams
+            ? session.teams.get(player.teamId) ?? this.autoAssignTeam(session, userId)
+            : null;
 
-        // Calculate score if correct
+        // Calculate score if correct: the game's scoring strategy, then reveal, hint and streak adjustments
         if (isCorrect) {
-            const timeElapsed = (Date.now() - currentRound.startTime) / 1000;
-            const timeRemaining = Math.max(0, config.game.roundTimeSeconds - timeElapsed);
-            const score = Math.round(config.game.baseScore * (timeRemaining / config.game.roundTimeSeconds));
-
+            currentRound.correctCount++;
+            player.streak++;
+            player.longestStreak = Math.max(player.longestStreak, player.streak);
+            const streakMultiplier = this.getStreakMultiplier(player.streak);
+
+            const points = calculateScore(
+                session.scoring,
+                {
+                    elapsedSeconds: response.responseMs / 1000,
+                    roundTimeSeconds: session.roundTimeSeconds,
+                    rank: currentRound.correctCount,
+                },
+                config.game
+            );
+            const score = Math.round(
+                (points + this.getRevealBonus(currentRound)) *
+                    this.getHintMultiplier(currentRound, userId) *
+                    streakMultiplier
+            );
+
+            response.score = score;
             player.score += score;
             player.correctAnswers++;
 
+            // Team games credit the player's team as well
+            if (team) {
+                team.score += score;
+                team.correctAnswers++;
+            }
+
+            const streakText = streakMultiplier > 1 ? ` 🔥 ${player.streak} in a row (×${streakMultiplier})` : "";
+
             return {
                 success: true,
                 correct: true,
                 score,
                 totalScore: player.score,
-                message: `✅ Correct! +${score} points`,
+                streak: player.streak,
+                streakMultiplier,
+                message: team
+                    ? `✅ Correct! +${score} points for ${team.emoji} ${team.name}${streakText}`
+                    : `✅ Correct! +${score} points${streakText}`,
             };
         } else {
             player.incorrectAnswers++;
+            this.breakStreak(currentRound, userId, player);
+
+            // Wrong answers cost a life in survival mode
+            if (session.survival) {
+                const eliminated = this.loseLife(session, userId);
+                return {
+                    success: true,
+                    correct: false,
+                    eliminated,
+                    message: eliminated
+                        ? `❌ Wrong answer! ☠️ You have been eliminated!`
+                        : `❌ Wrong answer! ❤️ ${player.lives} ${player.lives === 1 ? "life" : "lives"} left`,
+                };
+            }
 
             return {
                 success: true,
@@ -356,8 +1553,8 @@ export class NameThatArtistGame {
         // Move to next round
         session.currentRound++;
 
-        // Check if game is over
-        if (session.currentRound >= session.totalRounds) {
+        // Check if game is over (all rounds played or survival down to its last player)
+        if (session.currentRound >= session.totalRounds || this.isSurvivalOver(session)) {
             return {
                 success: true,
                 gameOver: true,
@@ -365,9 +1562,8 @@ export class NameThatArtistGame {
             };
         }
 
-        // Start timing for the new round
+        // Timing starts when the round is displayed (see getCurrentRound)
         const currentRound = session.rounds[session.currentRound];
-        currentRound.startTime = Date.now();
 
         return {
             success: true,
@@ -392,6 +1588,7 @@ export class NameThatArtistGame {
         // Start timing if not started
         if (!currentRound.startTime) {
             currentRound.startTime = Date.now();
+            session.roundSnapshot = this.createRoundSnapshot(session);
         }
 
         return {
@@ -402,6 +1599,141 @@ export class NameThatArtistGame {
         };
     }
 
+    /**
+     * Record player and team state before a round, so the round can be undone if it is skipped
+     * Stored as plain data, so it is saved along with the session
+     * @param {Object} session - Game session
+     * @returns {Object} Snapshot ({ players, teams, mistakes })
+     */
+    createRoundSnapshot(session) {
+        return {
+            players: Array.from(session.players, ([userId, player]) => [userId, { ...player }]),
+            teams: session.teams
+                ? Array.from(session.teams, ([teamId, team]) => [
+                      teamId,
+                      { score: team.score, correctAnswers: team.correctAnswers },
+                  ])
+                : null,
+            mistakes: session.mistakes.length,
+        };
+    }
+
+    /**
+     * Put players and teams back as they were before the current round, and clear what the round recorded
+     * Players who first joined during the round are removed again
+     * @param {Object} session - Game session
+     */
+    restoreRoundSnapshot(session) {
+        const snapshot = session.roundSnapshot;
+        if (!snapshot) return;
+
+        const players = new Map(snapshot.players);
+        for (const [userId, player] of session.players) {
+            if (players.has(userId)) {
+                Object.assign(player, players.get(userId));
+            } else {
+                session.teams?.get(player.teamId)?.members.delete(userId);
+                session.players.delete(userId);
+            }
+        }
+
+        snapshot.teams?.forEach(([teamId, totals]) => Object.assign(session.teams.get(teamId), totals));
+        session.mistakes.length = snapshot.mistakes;
+
+        const currentRound = session.rounds[session.currentRound];
+        currentRound.answered.clear();
+        currentRound.correctCount = 0;
+        currentRound.eliminated = [];
+        currentRound.hints.clear();
+        currentRound.brokenStreaks = [];
+        currentRound.responses = [];
+    }
+
+    /**
+     * Pause a running game: answers and hints are refused until it is resumed
+     * The round timers are paused by the caller
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} Result ({ success, message })
+     */
+    pauseGame(channelId) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive || session.phase !== "playing") {
+            return {
+                success: false,
+                message: "There is no game being played in this channel.",
+            };
+        }
+
+        if (session.pausedAt) {
+            return {
+                success: false,
+                message: "The game is already paused.",
+            };
+        }
+
+        session.pausedAt = Date.now();
+        return { success: true };
+    }
+
+    /**
+     * Resume a paused game
+     * The round on screen gets the paused time back, so speed scoring doesn't count the pause
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} Result ({ success, message })
+     */
+    resumeGame(channelId) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive || !session.pausedAt) {
+            return {
+                success: false,
+                message: "There is no paused game in this channel.",
+            };
+        }
+
+        const currentRound = session.rounds[session.currentRound];
+        if (currentRound.startTime && !currentRound.endTime) {
+            // A round that came on screen during the pause only gets back the time it was paused for
+            currentRound.startTime += Date.now() - Math.max(session.pausedAt, currentRound.startTime);
+        }
+
+        session.pausedAt = null;
+        return { success: true };
+    }
+
+    /**
+     * Void the round on screen (e.g. its artwork didn't load): answers given in it are undone and it isn't scored
+     * Skipping also resumes a paused game; the caller moves on to the next round
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} Result ({ success, roundNumber, message })
+     */
+    skipRound(channelId) {
+        const session = this.activeSessions.get(channelId);
+
+        if (!session || !session.isActive || session.phase !== "playing") {
+            return {
+                success: false,
+                message: "There is no game being played in this channel.",
+            };
+        }
+
+        const currentRound = session.rounds[session.currentRound];
+        if (!currentRound.startTime || currentRound.endTime) {
+            return {
+                success: false,
+                message: "There is no round on screen to skip - wait for the next one to start.",
+            };
+        }
+
+        currentRound.endTime = Date.now();
+        currentRound.voided = true;
+        this.restoreRoundSnapshot(session);
+        session.pausedAt = null;
+
+        return { success: true, roundNumber: session.currentRound + 1 };
+    }
+
     /**
      * Get final scores and determine winners
      * @param {Object} session - Game session
@@ -414,20 +1746,69 @@ export class NameThatArtistGame {
             score: data.score,
             correctAnswers: data.correctAnswers,
             incorrectAnswers: data.incorrectAnswers,
+            teamId: data.teamId,
+            lives: data.lives,
+            eliminatedRound: data.eliminatedRound,
+            longestStreak: data.longestStreak,
         }));
 
         // Sort by score (descending)
-        scores.sort((a, b) => b.score - a.score);
+        // In survival mode, players who lasted longer always rank higher
+        const survivalRank = (s) => (s.eliminatedRound === null ? Infinity : s.eliminatedRound);
+        scores.sort((a, b) =>
+            session.survival && survivalRank(a) !== survivalRank(b)
+                ? survivalRank(b) - survivalRank(a)
+                : b.score - a.score
+        );
 
         // Determine winners (handle ties)
         const topScore = scores[0]?.score || 0;
-        const winners = scores.filter((s) => s.score === topScore);
+        const winners = scores.filter(
+            (s) => s.score === topScore && (!session.survival || survivalRank(s) === survivalRank(scores[0]))
+        );
 
-        return {
+        const results = {
             scores,
             winners,
             totalPlayers: scores.length,
         };
+
+        if (session.teams) {
+            Object.assign(results, this.getTeamScores(session, scores));
+        }
+
+        return results;
+    }
+
+    /**
+     * Get team totals, MVPs and winning teams
+     * @param {Object} session - Game session
+     * @param {Array} scores - Sorted player scores from getFinalScores
+     * @returns {Object} Team results ({ teams, winningTeams })
+     */
+    getTeamScores(session, scores) {
+        const teams = Array.from(session.teams.values()).map((team) => {
+            const members = scores.filter((s) => s.teamId === team.teamId);
+            return {
+                teamId: team.teamId,
+                name: team.name,
+                emoji: team.emoji,
+                score: team.score,
+                correctAnswers: team.correctAnswers,
+                members,
+                // Scores are sorted, so the first member is the MVP
+                mvp: members[0]?.score > 0 ? members[0] : null,
+            };
+        });
+
+        teams.sort((a, b) => b.score - a.score);
+
+        // Only teams with players can win; ties share the win
+        const contenders = teams.filter((t) => t.members.length > 0);
+        const topScore = contenders[0]?.score || 0;
+        const winningTeams = contenders.filter((t) => t.score === topScore);
+
+        return { teams, winningTeams };
     }
 
     /**
@@ -439,27 +1820,126 @@ export class NameThatArtistGame {
         const session = this.activeSessions.get(channelId);
         if (session) {
             session.isActive = false;
+        }
+
+        // Games stopped or cancelled in the lobby never started, so there's nothing to record
+        if (session?.phase === "playing") {
+            // Cleared first, so a restart while the results are saved can't restore the game and credit it twice
+            try {
+                await clearGameState(channelId);
+            } catch (error) {
+                console.error(`Failed to clear game state for ${channelId}:`, error);
+            }
 
             // Save final scores to storage
-            const { updatePlayerStats } = await import("./services/storage.js");
+            const { updatePlayerStats, saveTeamResult, recordConfusions, saveTranscript, pruneTranscripts } =
+                await import("./services/storage.js");
             const finalScores = this.getFinalScores(session);
 
             for (const player of finalScores.scores) {
                 const isWinner = finalScores.winners.some((w) => w.userId === player.userId);
+                const team = session.teams?.get(player.teamId);
                 await updatePlayerStats(
                     player.userId,
                     player.username,
                     player.score,
                     isWinner,
                     player.correctAnswers,
-                    player.incorrectAnswers
+                    player.incorrectAnswers,
+                    {
+                        gameId: session.gameId,
+                        seed: session.seed,
+                        difficulty: session.difficulty,
+                        scoring: session.scoring,
+                        longestStreak: player.longestStreak,
+                        ...(session.tournament && { tournamentId: session.tournament.id }),
+                        ...(team && {
+                            team: team.name,
+                            teamWon: finalScores.winningTeams.some((t) => t.teamId === team.teamId),
+                        }),
+                    }
+                );
+            }
+
+            await recordConfusions(session.mistakes);
+
+            // Keep a record of who answered what for disputes (/gamelog), dropping transcripts past retention
+            const getArtistName = (address) => this.getArtistDisplayName(address);
+            await saveTranscript(session.gameId, buildTranscript(session, finalScores, getArtistName));
+            await pruneTranscripts(config.transcripts.retentionDays);
+
+            if (finalScores.teams) {
+                await saveTeamResult(session.gameId, {
+                    channelId,
+                    seed: session.seed,
+                    difficulty: session.difficulty,
+                    date: new Date().toISOString(),
+                    teams: finalScores.teams.map((team) => ({
+                        name: team.name,
+                        score: team.score,
+                        correctAnswers: team.correctAnswers,
+                        members: team.members.map((m) => m.userId),
+                        mvp: team.mvp?.userId ?? null,
+                        isWinner: finalScores.winningTeams.some((t) => t.teamId === team.teamId),
+                    })),
+                });
+            }
+
+            if (session.tournament) {
+                const { tournamentManager } = await import("./tournament.js");
+                session.tournamentUpdate = await tournamentManager.recordGame(
+                    session.tournament.id,
+                    session.gameId,
+                    finalScores.scores.map((player) => ({
+                        ...player,
+                        isWinner: finalScores.winners.some((w) => w.userId === player.userId),
+                    }))
                 );
             }
+        } else if (session?.tournament) {
+            // The game never got going, so its tournament slot is free to be played again
+            const { tournamentManager } = await import("./tournament.js");
+            await tournamentManager.releaseGame(session.tournament.id, session.gameId);
         }
 
         return this.activeSessions.delete(channelId);
     }
 
+    /**
+     * Save a running game so it survives a restart
+     * Called at round boundaries, before the next round is shown, so a restored game replays that round from the start
+     * @param {string} channelId - Discord channel ID
+     */
+    async saveSession(channelId) {
+        const session = this.activeSessions.get(channelId);
+        if (!session?.isActive || session.phase !== "playing") return;
+
+        try {
+            await saveGameState(channelId, serializeSession(session));
+        } catch (error) {
+            console.error(`Failed to save game state for ${channelId}:`, error);
+        }
+    }
+
+    /**
+     * Restore the games that were running when the bot stopped
+     * @returns {Promise<Array<Object>>} Restored games ({ session, savedAt })
+     */
+    async restoreSessions() {
+        const states = await getAllGameStates();
+        const restored = [];
+
+        for (const [channelId, state] of Object.entries(states)) {
+            if (this.activeSessions.has(channelId)) continue;
+
+            const session = deserializeSession(state);
+            this.activeSessions.set(channelId, session);
+            restored.push({ session, savedAt: state.lastUpdated });
+        }
+
+        return restored;
+    }
+
     /**
      * Get active game session for a channel
      * @param {string} channelId - Discord channel ID
@@ -482,7 +1962,270 @@ export class NameThatArtistGame {
         if (!currentRound.startTime) return false;
 
         const elapsed = (Date.now() - currentRound.startTime) / 1000;
-        return elapsed >= config.game.roundTimeSeconds;
+        return elapsed >= session.roundTimeSeconds;
+    }
+
+    /**
+     * Check if every player still in the game has answered the round on screen, so it can end early
+     * Typed mode only counts correct guesses, so its rounds run until everyone has found the answer
+     * @param {string} channelId - Discord channel ID
+     * @returns {boolean} True if nobody is left to answer
+     */
+    haveAllPlayersAnswered(channelId) {
+        const session = this.activeSessions.get(channelId);
+        if (!session || !session.isActive || session.phase !== "playing") return false;
+
+        const currentRound = session.rounds[session.currentRound];
+        if (!currentRound.startTime || currentRound.endTime || currentRound.answered.size === 0) return false;
+
+        return Array.from(session.players).every(
+            ([userId, player]) => player.eliminated || currentRound.answered.has(userId)
+        );
+    }
+
+    /**
+     * Get today's daily challenge date
+     * @param {Date} date - Date to convert (defaults to now)
+     * @returns {string} UTC calendar day (YYYY-MM-DD)
+     */
+    getDailyDate(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get the tokens daily challenges are dealt from
+     * Sorted so a seed picks the same tokens regardless of cache order
+     * @returns {Array} Default source's tokens, sorted by contract and token ID
+     */
+    getDailyPool() {
+        return [...this.tokens].sort((a, b) =>
+            `${a.contract}:${a.tokenId}`.localeCompare(`${b.contract}:${b.tokenId}`)
+        );
+    }
+
+    /**
+     * Get the rounds for a day's challenge, generating them from the date seed on first use
+     * Generated rounds are stored so the set stays the same after restarts and token refreshes
+     * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+     * @returns {Promise<Array>} Rounds ({ token, choices, correctAnswer })
+     */
+    async getDailyChallengeRounds(date) {
+        const storedRounds = await getDailyRounds(date);
+        if (storedRounds) return this.replaceExcludedDailyRounds(date, storedRounds);
+
+        const random = createSeededRandom(`daily:${date}`);
+        const dailyTokens = sample(this.getDailyPool(), config.daily.rounds, random);
+
+        const rounds = dailyTokens.map((token) => ({
+            token,
+            choices: this.generateChoices(token, "artist", random),
+            correctAnswer: token.primaryArtist,
+        }));
+
+        await saveDailyRounds(date, rounds);
+        return rounds;
+    }
+
+    /**
+     * Re-deal stored daily rounds that show a token or artist blocked or opted out since the day's rounds were dealt
+     * A blocked artwork is swapped for another one; a blocked wrong answer only gets the round new choices.
+     * Replacements are seeded from the date and round number and stored, so every player still gets the same set
+     * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+     * @param {Array} rounds - Stored rounds ({ token, choices, correctAnswer })
+     * @returns {Promise<Array>} Rounds without excluded tokens or artists
+     */
+    async replaceExcludedDailyRounds(date, rounds) {
+        const isExcludedToken = (token) =>
+            isTokenBlocked(this.blocklist, token) || isOptedOutToken(this.optOuts, token);
+        const isExcludedArtist = (address) =>
+            Object.hasOwn(this.blocklist, getArtistBlockKey(address)) || Object.hasOwn(this.optOuts, address);
+
+        const tokenKey = (token) => getTokenBlockKey(token.contract, token.tokenId);
+        const usedTokens = new Set(rounds.map((round) => tokenKey(round.token)));
+        const isUnused = (token) => !usedTokens.has(tokenKey(token));
+        let changed = false;
+
+        const allowedRounds = rounds
+            .map((round, index) => {
+                const tokenExcluded = isExcludedToken(round.token);
+                if (!tokenExcluded && !round.choices.some((choice) => isExcludedArtist(choice.artist))) {
+                    return round;
+                }
+
+                changed = true;
+                const random = createSeededRandom(`daily:${date}:${index + 1}`);
+                let { token } = round;
+                if (tokenExcluded) {
+                    [token] = sample(this.getDailyPool(), 1, random, isUnused);
+                    // Nothing left to deal: the day is played with one round less
+                    if (!token) return null;
+                    usedTokens.add(tokenKey(token));
+                }
+
+                return {
+                    token,
+                    choices: this.generateChoices(token, "artist", random),
+                    correctAnswer: token.primaryArtist,
+                };
+            })
+            .filter(Boolean);
+
+        if (changed) {
+            await saveDailyRounds(date, allowedRounds);
+        }
+        return allowedRounds;
+    }
+
+    /**
+     * Start (or resume) a player's daily challenge
+     * Each player gets one attempt per UTC day
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @returns {Promise<Object>} Daily session data or failure message
+     */
+    async startDaily(userId, username) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const date = this.getDailyDate();
+
+        // Resume an attempt that is still in progress (e.g. the ephemeral message was dismissed)
+        // Attempts left unfinished on an earlier day are dropped; their day's attempt was already used
+        const existing = this.dailySessions.get(userId);
+        if (existing && existing.date === date) {
+            return { success: true, session: existing, resumed: true };
+        }
+        this.dailySessions.delete(userId);
+
+        if (await getDailyResult(date, userId)) {
+            return {
+                success: false,
+                message: "You've already played today's daily challenge! Come back tomorrow.",
+            };
+        }
+
+        if (this.tokens.length < config.daily.rounds) {
+            return {
+                success: false,
+                message: "Not enough tokens for today's daily challenge.",
+            };
+        }
+
+        const rounds = await this.getDailyChallengeRounds(date);
+        const streak = await recordDailyAttempt(date, userId, username);
+
+        const session = {
+            userId,
+            username,
+            date,
+            streak,
+            currentRound: 0,
+            totalRounds: rounds.length,
+            roundTimeSeconds: config.daily.roundTimeSeconds,
+            rounds: rounds.map((round) => ({ ...round, startTime: null })),
+            score: 0,
+            correctAnswers: 0,
+            incorrectAnswers: 0,
+        };
+        session.rounds[0].startTime = Date.now();
+
+        this.dailySessions.set(userId, session);
+
+        return { success: true, session };
+    }
+
+    /**
+     * Process a daily challenge answer and move to the next round
+     * Answers after the round time still count but score no points
+     * @param {string} userId - Discord user ID
+     * @param {number} roundIndex - Round the answer was given on (from the button), so clicks on an earlier round's
+     *                              message or double clicks don't answer the next round
+     * @param {string} choiceLabel - Choice label
+     * @returns {Promise<Object>} Result of the answer, plus the final result when the challenge is over
+     */
+    async processDailyAnswer(userId, roundIndex, choiceLabel) {
+        const session = this.dailySessions.get(userId);
+
+        if (!session) {
+            return {
+                success: false,
+                message: "You don't have a daily challenge in progress. Start one with `/daily play`!",
+            };
+        }
+
+        if (roundIndex !== session.currentRound) {
+            return {
+                success: false,
+                message: "That round has already been answered.",
+            };
+        }
+
+        const round = session.rounds[session.currentRound];
+        const selectedChoice = round.choices.find((c) => c.label === choiceLabel);
+        if (!selectedChoice) {
+            return {
+                success: false,
+                message: "Invalid choice.",
+            };
+        }
+
+        const correctChoice = round.choices.find((c) => c.isCorrect);
+        let score = 0;
+
+        if (selectedChoice.isCorrect) {
+            score = Math.round(
+                calculateScore(
+                    "linear",
+                    {
+                        elapsedSeconds: (Date.now() - round.startTime) / 1000,
+                        roundTimeSeconds: session.roundTimeSeconds,
+                        rank: 1,
+                    },
+                    config.game
+                )
+            );
+
+            session.score += score;
+            session.correctAnswers++;
+        } else {
+            session.incorrectAnswers++;
+        }
+
+        session.currentRound++;
+
+        // Challenge finished - save the result
+        if (session.currentRound >= session.totalRounds) {
+            this.dailySessions.delete(userId);
+            await completeDailyAttempt(session.date, userId, {
+                username: session.username,
+                score: session.score,
+                correctAnswers: session.correctAnswers,
+                incorrectAnswers: session.incorrectAnswers,
+            });
+
+            return {
+                success: true,
+                correct: selectedChoice.isCorrect,
+                score,
+                correctChoice,
+                token: round.token,
+                finished: true,
+                session,
+            };
+        }
+
+        session.rounds[session.currentRound].startTime = Date.now();
+
+        return {
+            success: true,
+            correct: selectedChoice.isCorrect,
+            score,
+            correctChoice,
+            token: round.token,
+            finished: false,
+            session,
+        };
     }
 
     /**
@@ -499,6 +2242,29 @@ export class NameThatArtistGame {
         return this.formatArtistAddress(address);
     }
 
+    /**
+     * Get the names a typed answer may match for an artist
+     * Accepts either the alias or the tezos domain, falling back to the address when neither is set
+     * @param {string} address - Tezos wallet address
+     * @returns {Array<string>} Accepted names
+     */
+    getArtistAnswerNames(address) {
+        const info = this.artistInfo[address]?.info;
+        const names = [info?.alias, info?.tzdomain].filter(Boolean);
+        return names.length > 0 ? names : [address];
+    }
+
+    /**
+     * Get the names a typed answer may match for a token
+     * Any creator of a collaborative token counts as the artist
+     * @param {Object} token - Normalized token
+     * @returns {Array<string>} Accepted names
+     */
+    getTokenAnswerNames(token) {
+        const creators = token.artists?.length > 0 ? token.artists : [token.primaryArtist];
+        return creators.flatMap((address) => this.getArtistAnswerNames(address));
+    }
+
     /**
      * Format artist address for display (shorten)
      * @param {string} address - Tezos address
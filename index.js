@@ -6,16 +6,55 @@ import {
     ButtonBuilder,
     ButtonStyle,
     EmbedBuilder,
+    AttachmentBuilder,
 } from "discord.js";
 import { config, validateConfig } from "./config.js";
 import { gameManager } from "./game.js";
-import { getLeaderboard, getPlayerStats } from "./services/storage.js";
+import {
+    getLeaderboard,
+    getSeasonLeaderboard,
+    getCurrentSeason,
+    loadSeasons,
+    closeSeason,
+    getPlayerStats,
+    getDailyLeaderboard,
+    getGuildSettings,
+    saveGuildSettings,
+    loadBlocklist,
+    loadOptOuts,
+    getTranscript,
+} from "./services/storage.js";
 import { cooldownManager } from "./services/cooldown.js";
 import { CompactionScheduler } from "./services/append-log.js";
+import { createRevealFrames, getStageDelays } from "./services/image-reveal.js";
+import { scoringStrategies } from "./services/scoring.js";
+import { GUILD_SETTING_LABELS, resolveGuildSettings, parseColor, formatColor } from "./services/guild-settings.js";
+import { isTezosAddress, parseTokenReference, getTokenBlockKey, getArtistBlockKey } from "./services/blocklist.js";
+import { createOptOutMessage, encodeSignedMessage } from "./services/opt-out.js";
+import { verifyWalletSignature } from "./services/wallet-signature.js";
+import { MEDIA_KINDS, MEDIA_KIND_LABELS, parseMediaKinds } from "./services/media.js";
+import { isStaleSession } from "./services/session-state.js";
+import { formatTranscriptMarkdown } from "./services/transcript.js";
+import { RoundScheduler } from "./services/round-scheduler.js";
+import { tournamentManager } from "./tournament.js";
 
 // Initialize compaction scheduler for periodic log optimization
 const compactionScheduler = new CompactionScheduler(3600000); // Run every hour
 
+// Opt-out requests waiting for a wallet signature: userId -> { address, payload, expiresAt }
+const optOutRequests = new Map();
+const OPT_OUT_REQUEST_MINUTES = 15;
+
+// Timers of running games (lobby countdown, round end, reveal frames, delays between rounds)
+const roundScheduler = new RoundScheduler();
+
+// Display names for /namethatartist difficulty levels
+const DIFFICULTY_LABELS = {
+    easy: "🟢 Easy",
+    medium: "🟠 Medium",
+    hard: "🔴 Hard",
+};
+
 // Validate required environment variables
 if (!validateConfig()) {
     process.exit(1);
@@ -52,9 +91,30 @@ client.once(Events.ClientReady, async (readyClient) => {
         console.error("⚠️ Warning: Failed to initialize game data:", error.message);
     }
 
+    // Pick up games that were running when the bot stopped (their rounds don't need the token data)
+    try {
+        await resumeSavedGames();
+    } catch (error) {
+        console.error("⚠️ Warning: Failed to resume saved games:", error.message);
+    }
+
     // Start background compaction scheduler
     console.log("\n🗜️ Starting background compaction scheduler...");
-    compactionScheduler.start(["players", "tokens", "game_state"]);
+    compactionScheduler.start([
+        "players",
+        "token_cache",
+        "game_state",
+        "team_results",
+        "daily",
+        "daily_streaks",
+        "confusions",
+        "tournaments",
+        "seasons",
+        "guild_settings",
+        "blocklist",
+        "opt_outs",
+        "transcripts",
+    ]);
 });
 
 // Handle errors
@@ -97,6 +157,108 @@ client.on(Events.InteractionCreate, async (interaction) => {
                 content: result.correct ? `${result.message} (Total: ${result.totalScore} points)` : result.message,
                 ephemeral: true,
             });
+
+            await endRoundIfAllAnswered(channelId);
+        }
+
+        // Handle daily challenge answers (ephemeral, one player per message)
+        // Daily buttons carry the player's user ID where game buttons carry the channel ID, then the round index
+        if (action === "daily") {
+            if (interaction.user.id !== channelId) {
+                await interaction.reply({ content: "⚠️ This isn't your daily challenge!", ephemeral: true });
+                return;
+            }
+
+            const [, , roundIndex, label] = interaction.customId.split("_");
+            const result = await gameManager.processDailyAnswer(interaction.user.id, Number(roundIndex), label);
+
+            if (!result.success) {
+                await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+                return;
+            }
+
+            const feedback = result.correct
+                ? `✅ Correct! +${result.score} points`
+                : `❌ Wrong! It was **${result.correctChoice.label} ${gameManager.getArtistDisplayName(
+                      result.correctChoice.artist
+                  )}**${formatCollaborators(result.token, result.correctChoice.artist)}`;
+
+            const { color } = await getSettings(interaction.guildId);
+            await interaction.update(
+                result.finished
+                    ? buildDailySummaryMessage(result.session, feedback, color)
+                    : buildDailyRoundMessage(result.session, feedback, color)
+            );
+        }
+
+        // Handle lobby buttons: joining (or picking a team), leaving and starting early
+        if (action === "team" || action === "lobby") {
+            const session = gameManager.getSession(channelId);
+
+            if (action === "lobby" && choice === "start") {
+                if (!session || session.phase !== "joining") {
+                    await interaction.reply({ content: "⚠️ There is no game waiting to start.", ephemeral: true });
+                    return;
+                }
+
+                const canStart =
+                    interaction.user.id === session.startedBy || interaction.memberPermissions?.has("ManageMessages");
+
+                if (!canStart) {
+                    await interaction.reply({
+                        content: "⚠️ Only the person who started the game or moderators can start it early.",
+                        ephemeral: true,
+                    });
+                    return;
+                }
+
+                // Starting early needs the minimum already; the countdown cancels games that never reach it
+                if (session.players.size < config.game.minPlayers) {
+                    await interaction.reply({
+                        content: `⚠️ Waiting for more players (${session.players.size}/${config.game.minPlayers} needed).`,
+                        ephemeral: true,
+                    });
+                    return;
+                }
+
+                await interaction.deferUpdate();
+                await launchLobby(interaction.channel, session, interaction.message);
+                return;
+            }
+
+            let result;
+            if (action === "team") {
+                result = gameManager.joinTeam(channelId, interaction.user.id, interaction.user.username, choice);
+            } else if (choice === "join") {
+                result = gameManager.joinLobby(channelId, interaction.user.id, interaction.user.username);
+            } else {
+                result = gameManager.leaveLobby(channelId, interaction.user.id);
+            }
+
+            if (!result.success) {
+                await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+                return;
+            }
+
+            // Refresh the roster on the lobby message
+            await interaction.update(buildLobbyMessage(interaction.message.embeds[0], session));
+        }
+
+        // Handle hints: the round's Hint button opens a private menu, the menu's buttons buy a hint
+        if (action === "hint") {
+            if (choice === "menu") {
+                await interaction.reply(buildHintMenuMessage(channelId));
+                return;
+            }
+
+            const result = gameManager.useHint(channelId, interaction.user.id, choice);
+
+            if (!result.success) {
+                await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+                return;
+            }
+
+            await interaction.update(buildHintResultMessage(channelId, result));
         }
         return;
     }
@@ -107,18 +269,60 @@ client.on(Events.InteractionCreate, async (interaction) => {
     await handleSlashCommand(interaction);
 });
 
+// Handle typed answers for games started in typed mode
+client.on(Events.MessageCreate, async (message) => {
+    if (message.author.bot || !message.content) return;
+
+    const result = gameManager.processTypedAnswer(
+        message.channelId,
+        message.author.id,
+        message.author.username,
+        message.content
+    );
+
+    // Late correct guesses don't score, but they still give the answer away
+    if (result.late) {
+        try {
+            await message.delete();
+        } catch (error) {
+            // Missing Manage Messages permission - leave the message in place
+        }
+        await endRoundIfAllAnswered(message.channelId);
+        return;
+    }
+
+    if (!result.correct) return;
+
+    // Remove the correct guess so it doesn't give the answer away, then announce the score
+    try {
+        await message.delete();
+    } catch (error) {
+        // Missing Manage Messages permission - leave the message in place
+    }
+
+    const streakText = result.streakMultiplier > 1 ? ` • 🔥 ${result.streak} in a row (×${result.streakMultiplier})` : "";
+    await message.channel.send({
+        content: `✅ **${message.author.username}** got it! #${result.rank} • +${result.score} points${streakText} (Total: ${result.totalScore} points)`,
+    });
+
+    await endRoundIfAllAnswered(message.channelId);
+});
+
 /**
  * Handle slash commands
  */
 async function handleSlashCommand(interaction) {
     const { commandName } = interaction;
 
+    // Server settings fall back to config.js for anything the server hasn't changed
+    const settings = await getSettings(interaction.guildId);
+
     // Check if user can bypass cooldowns (admins/moderators)
     const canBypass = cooldownManager.canBypassCooldown(interaction);
 
     // Check user cooldown (unless bypassed)
     if (!canBypass) {
-        const userCooldown = cooldownManager.checkUserCooldown(commandName, interaction.user.id);
+        const userCooldown = cooldownManager.checkUserCooldown(commandName, interaction.user.id, settings.cooldowns);
         if (userCooldown.onCooldown) {
             await interaction.reply({
                 content: `⏱️ Please wait ${cooldownManager.formatTime(
@@ -130,7 +334,11 @@ async function handleSlashCommand(interaction) {
         }
 
         // Check channel cooldown (unless bypassed)
-        const channelCooldown = cooldownManager.checkChannelCooldown(commandName, interaction.channelId);
+        const channelCooldown = cooldownManager.checkChannelCooldown(
+            commandName,
+            interaction.channelId,
+            settings.cooldowns
+        );
         if (channelCooldown.onCooldown) {
             await interaction.reply({
                 content: `⏱️ This command was recently used in this channel. Please wait ${cooldownManager.formatTime(
@@ -165,6 +373,25 @@ async function handleSlashCommand(interaction) {
         const rounds = interaction.options.getInteger("rounds");
         const roundTime = interaction.options.getInteger("roundtime");
         const betweenRoundTime = interaction.options.getInteger("betweenroundtime");
+        const teams = interaction.options.getInteger("teams");
+        const lives = interaction.options.getInteger("lives");
+        const question = interaction.options.getString("question");
+        const typed = interaction.options.getBoolean("typed");
+        const reveal = interaction.options.getBoolean("reveal");
+        const endRoundsEarly = interaction.options.getBoolean("endearly");
+        const scoring = interaction.options.getString("scoring");
+        const difficulty = interaction.options.getString("difficulty");
+        const seed = interaction.options.getString("seed");
+        const source = interaction.options.getString("source");
+        const mediaText = interaction.options.getString("media");
+
+        const media = mediaText === null ? undefined : parseMediaKinds(mediaText);
+        if (media === null) {
+            await interaction.editReply({
+                content: `⚠️ Media kinds must be \`all\`, kinds to play (\`image, gif\`) or kinds to leave out (\`-video, -html\`). Kinds: ${MEDIA_KINDS.join(", ")}.`,
+            });
+            return;
+        }
 
         const result = await gameManager.startGame(
             interaction.channelId,
@@ -172,7 +399,21 @@ async function handleSlashCommand(interaction) {
             interaction.user.username,
             rounds,
             roundTime,
-            betweenRoundTime
+            betweenRoundTime,
+            {
+                teams,
+                lives,
+                question,
+                typed,
+                reveal,
+                endRoundsEarly,
+                scoring,
+                difficulty,
+                seed,
+                source,
+                settings,
+                media,
+            }
         );
 
         if (!result.success) {
@@ -183,45 +424,100 @@ async function handleSlashCommand(interaction) {
         }
 
         // Show game start message
-        const startEmbed = new EmbedBuilder()
-            .setColor(config.branding.color)
-            .setTitle("🎨 Name That Artist - Game Starting!")
-            .setDescription(
-                `**${result.session.totalRounds} rounds** of Tezos NFT trivia!\n\nGet ready to guess the artists behind NFTs from The Tezos Community wallet.`
-            )
-            .addFields(
-                { name: "⏱️ Time per Round", value: `${result.session.roundTimeSeconds} seconds`, inline: true },
-                { name: "🎯 Scoring", value: `Up to ${config.game.baseScore} points per round`, inline: true },
-                { name: "👥 Started by", value: interaction.user.username, inline: true }
-            )
-            .setFooter({ text: config.branding.name })
-            .setTimestamp();
+        const startEmbed = buildStartEmbed(result.session);
 
-        await interaction.editReply({ embeds: [startEmbed] });
-
-        // Start first round after a short delay
-        setTimeout(async () => {
-            await displayRound(interaction.channel, result.session.channelId);
-        }, 3000);
+        // Every game opens with a lobby before round 1
+        await startLobby(interaction, startEmbed, result.session);
         return;
     }
 
+    // Daily challenge command
+    if (commandName === "daily") {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === "play") {
+            // Played ephemerally so answers aren't spoiled for everyone else
+            await interaction.deferReply({ ephemeral: true });
+
+            const result = await gameManager.startDaily(interaction.user.id, interaction.user.username);
+
+            if (!result.success) {
+                await interaction.editReply({ content: `⚠️ ${result.message}` });
+                return;
+            }
+
+            const intro = result.resumed
+                ? "▶️ Resuming your daily challenge..."
+                : `📅 Daily challenge for **${result.session.date}** • 🔥 Streak: ${result.session.streak.currentStreak} day(s)`;
+
+            await interaction.editReply(buildDailyRoundMessage(result.session, intro, settings.color));
+            return;
+        }
+
+        if (subcommand === "leaderboard") {
+            await interaction.deferReply();
+
+            const date = gameManager.getDailyDate();
+            const leaderboard = await getDailyLeaderboard(date, 10);
+
+            if (leaderboard.length === 0) {
+                await interaction.editReply({
+                    content: "📅 Nobody has finished today's daily challenge yet! Be the first with `/daily play`",
+                });
+                return;
+            }
+
+            const medals = ["🥇", "🥈", "🥉"];
+            const leaderboardText = leaderboard
+                .map((player, index) => {
+                    const medal = medals[index] || `${index + 1}.`;
+                    return `${medal} **${player.username}** - ${player.score} pts (${player.correctAnswers}/${config.daily.rounds} correct)`;
+                })
+                .join("\n");
+
+            const embed = new EmbedBuilder()
+                .setColor(settings.color)
+                .setTitle(`📅 Daily Challenge - ${date}`)
+                .setDescription(leaderboardText)
+                .setFooter({ text: config.branding.name })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+    }
+
     // Leaderboard command
     if (commandName === "leaderboard") {
         await interaction.deferReply();
 
-        const leaderboard = await getLeaderboard("totalScore", 10);
+        // Shows the current season unless an earlier one is picked
+        const currentSeason = await getCurrentSeason();
+        const seasonNumber = interaction.options.getInteger("season") ?? currentSeason.number;
+        const leaderboard = await getSeasonLeaderboard(seasonNumber, "totalScore", 10);
+
+        if (!leaderboard) {
+            await interaction.editReply({
+                content: `⚠️ Season ${seasonNumber} hasn't happened yet - the current season is ${currentSeason.number}.`,
+            });
+            return;
+        }
 
         if (leaderboard.length === 0) {
             await interaction.editReply({
-                content: "📊 No games played yet! Start a game with `/namethatartist`",
+                content: `📊 No games played in season ${seasonNumber} yet! Start a game with \`/namethatartist\``,
             });
             return;
         }
 
+        const seasonText =
+            seasonNumber === currentSeason.number
+                ? `Season ${seasonNumber}`
+                : `Season ${seasonNumber} (final standings)`;
+
         const embed = new EmbedBuilder()
-            .setColor(config.branding.color)
-            .setTitle("🏆 Name That Artist - Leaderboard")
+            .setColor(settings.color)
+            .setTitle(`🏆 Name That Artist - ${seasonText} Leaderboard`)
             .setDescription("Top players by total score")
             .setFooter({ text: config.branding.name })
             .setTimestamp();
@@ -254,7 +550,7 @@ async function handleSlashCommand(interaction) {
         }
 
         const embed = new EmbedBuilder()
-            .setColor(config.branding.color)
+            .setColor(settings.color)
             .setTitle(`📊 Stats for ${interaction.user.username}`)
             .addFields(
                 { name: "🎮 Games Played", value: stats.totalGames.toString(), inline: true },
@@ -269,11 +565,20 @@ async function handleSlashCommand(interaction) {
                 },
                 { name: "✅ Correct Answers", value: stats.totalCorrectAnswers.toString(), inline: true },
                 { name: "❌ Incorrect Answers", value: stats.totalIncorrectAnswers.toString(), inline: true },
-                { name: "🎯 Accuracy", value: `${stats.accuracyRate}%`, inline: true }
+                { name: "🎯 Accuracy", value: `${stats.accuracyRate}%`, inline: true },
+                { name: "🔥 Longest Streak", value: `${stats.longestStreak} in a row`, inline: true }
             )
             .setFooter({ text: config.branding.name })
             .setTimestamp();
 
+        if (stats.teamGames > 0) {
+            embed.addFields({
+                name: "🤝 Team Games",
+                value: `${stats.teamWins}/${stats.teamGames} won`,
+                inline: true,
+            });
+        }
+
         await interaction.editReply({ embeds: [embed] });
         return;
     }
@@ -283,7 +588,21 @@ async function handleSlashCommand(interaction) {
         await interaction.deferReply();
 
         const sortBy = interaction.options.getString("sort") || "totalScore";
-        const leaderboard = await getLeaderboard(sortBy, 10);
+        const seasonNumber = interaction.options.getInteger("season");
+
+        // Lifetime totals unless a season is picked
+        const leaderboard =
+            seasonNumber === null
+                ? await getLeaderboard(sortBy, 10)
+                : await getSeasonLeaderboard(seasonNumber, sortBy, 10);
+
+        if (!leaderboard) {
+            const currentSeason = await getCurrentSeason();
+            await interaction.editReply({
+                content: `⚠️ Season ${seasonNumber} hasn't happened yet - the current season is ${currentSeason.number}.`,
+            });
+            return;
+        }
 
         if (leaderboard.length === 0) {
             await interaction.editReply({
@@ -315,8 +634,12 @@ async function handleSlashCommand(interaction) {
         };
 
         const embed = new EmbedBuilder()
-            .setColor(config.branding.color)
-            .setTitle(`${sortEmojis[sortBy]} All-Time Leaderboard - ${sortNames[sortBy]}`)
+            .setColor(settings.color)
+            .setTitle(
+                `${sortEmojis[sortBy]} ${seasonNumber === null ? "All-Time" : `Season ${seasonNumber}`} Leaderboard - ${
+                    sortNames[sortBy]
+                }`
+            )
             .setDescription(`Top players sorted by ${sortNames[sortBy]}`)
             .setFooter({ text: config.branding.name })
             .setTimestamp();
@@ -354,6 +677,270 @@ async function handleSlashCommand(interaction) {
         return;
     }
 
+    // Season command
+    if (commandName === "season") {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === "info") {
+            const seasons = await loadSeasons();
+            const currentSeason = await getCurrentSeason();
+            const startedText = currentSeason.startedAt
+                ? `<t:${Math.floor(new Date(currentSeason.startedAt).getTime() / 1000)}:D>`
+                : "the beginning";
+
+            const pastSeasons = Object.keys(seasons)
+                .filter((key) => key !== "current")
+                .map((key) => seasons[key])
+                .sort((a, b) => b.number - a.number)
+                .slice(0, 10)
+                .map((season) => {
+                    const champion = season.standings[0];
+                    return `**Season ${season.number}** - ${
+                        champion ? `🏆 ${champion.username} (${champion.totalScore} pts)` : "no games played"
+                    }`;
+                })
+                .join("\n");
+
+            const embed = new EmbedBuilder()
+                .setColor(settings.color)
+                .setTitle(`📅 Season ${currentSeason.number}`)
+                .setDescription(
+                    `Running since ${startedText}. \`/leaderboard\` shows this season; add \`season\` to look back.`
+                )
+                .addFields({ name: "📜 Past Seasons", value: pastSeasons || "_None yet_" })
+                .setFooter({ text: config.branding.name })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+
+        if (subcommand === "close") {
+            if (!interaction.memberPermissions?.has("ManageGuild")) {
+                await interaction.reply({
+                    content: "⚠️ Only server managers can close a season.",
+                    ephemeral: true,
+                });
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const season = await closeSeason();
+
+            const medals = ["🥇", "🥈", "🥉"];
+            const podium = season.standings
+                .slice(0, 3)
+                .map((player, index) => `${medals[index]} **${player.username}** - ${player.totalScore} pts`)
+                .join("\n");
+
+            const embed = new EmbedBuilder()
+                .setColor(settings.color)
+                .setTitle(`🏁 Season ${season.number} Closed!`)
+                .setDescription(
+                    `${podium || "No games were played this season."}\n\nSeason ${
+                        season.number + 1
+                    } starts now - everyone is back to 0! Lifetime totals are still on \`/alltime\`.`
+                )
+                .setFooter({ text: `${config.branding.name} • Closed by ${interaction.user.username}` })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+    }
+
+    // Tournament command
+    if (commandName === "tournament") {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === "create") {
+            const result = await tournamentManager.createTournament({
+                guildId: interaction.guildId,
+                userId: interaction.user.id,
+                username: interaction.user.username,
+                name: interaction.options.getString("name"),
+                format: interaction.options.getString("format") ?? "cumulative",
+                games: interaction.options.getInteger("games"),
+                rounds: interaction.options.getInteger("rounds"),
+            });
+
+            if (!result.success) {
+                await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+                return;
+            }
+
+            const { tournament } = result;
+
+            const formatText =
+                tournament.format === "bracket"
+                    ? "Single elimination - players are paired up and the winner of each game moves on"
+                    : `${tournament.plannedGames} games - points add up across every game`;
+
+            const embed = new EmbedBuilder()
+                .setColor(settings.color)
+                .setTitle(`🏆 Tournament Created: ${tournament.name}`)
+                .setDescription(`Join with \`/tournament join id:${tournament.id}\``)
+                .addFields(
+                    { name: "🆔 Tournament ID", value: tournament.id, inline: true },
+                    { name: "🎮 Rounds per Game", value: tournament.rounds.toString(), inline: true },
+                    { name: "👥 Organizer", value: interaction.user.username, inline: true },
+                    { name: "📋 Format", value: formatText }
+                )
+                .setFooter({ text: config.branding.name })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+
+        if (subcommand === "join") {
+            const result = await tournamentManager.joinTournament(
+                interaction.options.getString("id"),
+                interaction.guildId,
+                interaction.user.id,
+                interaction.user.username
+            );
+
+            if (!result.success) {
+                await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+                return;
+            }
+
+            const playerCount = Object.keys(result.tournament.players).length;
+            await interaction.reply({
+                content: `✅ **${interaction.user.username}** joined **${result.tournament.name}** (${playerCount} player(s))`,
+            });
+            return;
+        }
+
+        if (subcommand === "start") {
+            const tournament = await tournamentManager.getTournament(
+                interaction.options.getString("id"),
+                interaction.guildId
+            );
+
+            if (!tournament) {
+                await interaction.reply({ content: "⚠️ Tournament not found.", ephemeral: true });
+                return;
+            }
+
+            const canStart =
+                interaction.user.id === tournament.createdBy || interaction.memberPermissions?.has("ManageMessages");
+
+            if (!canStart) {
+                await interaction.reply({
+                    content: "⚠️ Only the tournament organizer or moderators can start tournament games.",
+                    ephemeral: true,
+                });
+                return;
+            }
+
+            if (gameManager.getSession(interaction.channelId)) {
+                await interaction.reply({
+                    content: "⚠️ A game is already in progress in this channel! Wait for it to finish.",
+                    ephemeral: true,
+                });
+                return;
+            }
+
+            await interaction.deferReply();
+
+            // Games listed as active but no longer running were interrupted and get played again
+            const activeGameIds = new Set(Array.from(gameManager.activeSessions.values()).map((s) => s.gameId));
+            const next = await tournamentManager.getNextGame(tournament.id, interaction.guildId, activeGameIds);
+
+            if (!next.success) {
+                await interaction.editReply({ content: `⚠️ ${next.message}` });
+                return;
+            }
+
+            const result = await gameManager.startGame(
+                interaction.channelId,
+                interaction.user.id,
+                interaction.user.username,
+                next.tournament.rounds,
+                null,
+                null,
+                { roster: next.roster, tournament: { id: tournament.id, matchId: next.matchId }, settings }
+            );
+
+            if (!result.success) {
+                await interaction.editReply({ content: `⚠️ ${result.message}` });
+                return;
+            }
+
+            const started = await tournamentManager.markGameStarted(
+                tournament.id,
+                result.session.gameId,
+                interaction.channelId,
+                next.matchId
+            );
+
+            if (!started.success) {
+                await gameManager.endGame(interaction.channelId);
+                await interaction.editReply({ content: `⚠️ ${started.message}` });
+                return;
+            }
+
+            const startEmbed = buildStartEmbed(result.session);
+            startEmbed.addFields({
+                name: `🏆 ${next.tournament.name} • ${next.label}`,
+                value: next.roster.map((p) => p.username).join(next.matchId ? " ⚔️ " : ", "),
+            });
+
+            await startLobby(interaction, startEmbed, result.session);
+            return;
+        }
+
+        if (subcommand === "standings") {
+            const tournament = await tournamentManager.getTournament(
+                interaction.options.getString("id"),
+                interaction.guildId
+            );
+
+            if (!tournament) {
+                await interaction.reply({ content: "⚠️ Tournament not found.", ephemeral: true });
+                return;
+            }
+
+            await interaction.reply({ embeds: [buildTournamentEmbed(tournament, settings.color)] });
+            return;
+        }
+    }
+
+    // Game log command: download a finished game's transcript
+    if (commandName === "gamelog") {
+        const gameId = interaction.options.getString("gameid").trim();
+        const format = interaction.options.getString("format") ?? "markdown";
+
+        await interaction.deferReply({ ephemeral: true });
+
+        // Transcripts are only shared on the server the game was played on
+        const transcript = await getTranscript(gameId);
+        const gameChannel =
+            transcript && interaction.guild
+                ? await interaction.guild.channels.fetch(transcript.channelId).catch(() => null)
+                : null;
+
+        if (!gameChannel) {
+            await interaction.editReply({
+                content: `⚠️ No transcript found for game \`${gameId}\` on this server. Transcripts are kept for ${config.transcripts.retentionDays} days.`,
+            });
+            return;
+        }
+
+        const [text, extension] =
+            format === "json" ? [JSON.stringify(transcript, null, 2), "json"] : [formatTranscriptMarkdown(transcript), "md"];
+        const file = new AttachmentBuilder(Buffer.from(text), { name: `game-${gameId}.${extension}` });
+
+        await interaction.editReply({
+            content: `📜 Transcript of game \`${gameId}\` - ${transcript.rounds.length} round(s), ${transcript.players.length} player(s)`,
+            files: [file],
+        });
+        return;
+    }
+
     // Stop game command
     if (commandName === "stopgame") {
         const session = gameManager.getSession(interaction.channelId);
@@ -377,6 +964,7 @@ async function handleSlashCommand(interaction) {
             return;
         }
 
+        roundScheduler.cancel(interaction.channelId);
         await gameManager.endGame(interaction.channelId);
         await interaction.reply({
             content: "🛑 Game stopped by moderator.",
@@ -385,20 +973,26 @@ async function handleSlashCommand(interaction) {
         return;
     }
 
+    // Pause, resume and skip-round commands
+    if (commandName === "pausegame" || commandName === "resumegame" || commandName === "skipround") {
+        await handleGameControl(interaction, commandName);
+        return;
+    }
+
     // Help command
     if (commandName === "help") {
         const helpEmbed = new EmbedBuilder()
-            .setColor(config.branding.color)
+            .setColor(settings.color)
             .setTitle("🎨 Name That Artist - Help")
             .setDescription("Welcome to TTC's Name That Artist game!")
             .addFields(
                 {
                     name: "📋 Commands",
-                    value: "`/namethatartist [rounds] [roundtime] [betweenroundtime]` - Start a new game\n`/leaderboard` - View top players by score\n`/alltime` - View all-time leaderboards with sorting options\n`/stats` - View your personal stats\n`/stopgame` - Stop current game\n`/ping` - Check bot status\n`/help` - Show this message",
+                    value: "`/namethatartist [rounds] [roundtime] [betweenroundtime] [teams] [lives] [question] [typed] [reveal] [scoring] [difficulty] [seed] [source] [media]` - Start a new game\n`/daily play` - Play today's daily challenge (once per day)\n`/daily leaderboard` - View today's daily challenge results\n`/tournament create|join|start|standings` - Run a multi-game tournament\n`/leaderboard [season]` - View top players this season (or a past one)\n`/alltime [sort] [season]` - View all-time or season leaderboards with sorting options\n`/season info` - View the current season and past champions\n`/stats` - View your personal stats\n`/stopgame` - Stop current game\n`/pausegame` / `/resumegame` - Pause or resume the current game\n`/skipround` - Skip a broken round without scoring it\n`/gamelog <gameid> [format]` - Download who answered what in a finished game\n`/pool block|unblock|list` - Keep artworks or artists out of games (Moderators)\n`/optout request|verify` - Artists: take your artworks out of the game\n`/settings` - Change this server's game settings (Admins)\n`/ping` - Check bot status\n`/help` - Show this message",
                 },
                 {
                     name: "🎮 How to Play",
-                    value: `• Customize rounds (5-50, default: 20)\n• Customize round time (10-60s, default: 30s)\n• Customize between-round time (5-60s, default: 30s)\n• Click the correct artist button\n• Faster answers = more points!\n• Only one answer per round`,
+                    value: `• Customize rounds (5-50, default: 20)\n• Customize round time (10-60s, default: 30s)\n• Customize between-round time (5-60s, default: 5s)\n• Press ✋ Join in the lobby before round 1\n• Click the correct artist button\n• Faster answers = more points!\n• Stuck? Press 💡 Hint to see the description or remove a wrong answer, for part of your points\n• Only one answer per round`,
                 },
                 {
                     name: "⏱️ Cooldowns",
@@ -416,39 +1010,322 @@ async function handleSlashCommand(interaction) {
         return;
     }
 
-    // Precache command (Admin only)
-    if (commandName === "precache") {
-        // Check if user has admin permissions
-        if (!interaction.memberPermissions?.has("Administrator")) {
+    // Pool command (moderators): keep tokens and artists out of games
+    if (commandName === "pool") {
+        if (!interaction.memberPermissions?.has("ManageMessages")) {
             await interaction.reply({
-                content: "⚠️ This command requires Administrator permissions.",
+                content: "⚠️ Only moderators can change the artwork pool.",
                 ephemeral: true,
             });
             return;
         }
 
-        await interaction.deferReply({ ephemeral: true });
+        const subcommand = interaction.options.getSubcommand();
 
-        try {
-            const tokens = gameManager.tokens;
+        if (subcommand === "list") {
+            await interaction.deferReply({ ephemeral: true });
+            await interaction.editReply({ embeds: [buildBlocklistEmbed(await loadBlocklist(), settings.color)] });
+            return;
+        }
 
-            if (!tokens || tokens.length === 0) {
-                await interaction.editReply({
-                    content: "⚠️ No tokens loaded. Please wait for bot initialization to complete.",
+        const tokenText = interaction.options.getString("token");
+        const artistText = interaction.options.getString("artist");
+        const items = [];
+
+        if (tokenText !== null) {
+            const token = parseTokenReference(tokenText);
+            if (!token) {
+                await interaction.reply({
+                    content: "⚠️ Tokens are given as an objkt.com link or as `contract:tokenId`.",
+                    ephemeral: true,
                 });
                 return;
             }
-
-            const totalImages = tokens.filter((t) => t.fullImageUrl).length;
-
-            await interaction.editReply({
-                content: `🔄 Starting precache of ${totalImages} images...\nThis will take approximately ${Math.ceil(
-                    totalImages / 10
-                )} minutes.\n\n⚠️ Messages will appear and disappear automatically. Do not be alarmed!`,
+            items.push({
+                key: getTokenBlockKey(token.contract, token.tokenId),
+                type: "token",
+                id: `${token.contract}:${token.tokenId}`,
             });
+        }
 
-            let cachedCount = 0;
-            let lastMessage = null;
+        if (artistText !== null) {
+            const address = artistText.trim();
+            if (!isTezosAddress(address)) {
+                await interaction.reply({
+                    content: "⚠️ Artists are given by their Tezos address (tz1...).",
+                    ephemeral: true,
+                });
+                return;
+            }
+            items.push({ key: getArtistBlockKey(address), type: "artist", id: address });
+        }
+
+        if (items.length === 0) {
+            await interaction.reply({ content: "⚠️ Give a token, an artist or both.", ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const reason = interaction.options.getString("reason");
+        const messages = [];
+        for (const { key, type, id } of items) {
+            const result =
+                subcommand === "block"
+                    ? await gameManager.blockItem(key, {
+                          type,
+                          id,
+                          reason,
+                          blockedBy: interaction.user.id,
+                          blockedByUsername: interaction.user.username,
+                      })
+                    : await gameManager.unblockItem(key, id);
+            messages.push(`${result.success ? "✅" : "⚠️"} ${result.message}`);
+        }
+
+        await interaction.editReply({ content: messages.join("\n") });
+        return;
+    }
+
+    // Opt-out command: artists prove they own their wallet to leave the game, admins manage the registry
+    if (commandName === "optout") {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === "request") {
+            const address = interaction.options.getString("address").trim();
+            if (!/^tz[1-3]/.test(address) || !isTezosAddress(address)) {
+                await interaction.reply({
+                    content: "⚠️ Give the tz1, tz2 or tz3 address of the wallet you mint with.",
+                    ephemeral: true,
+                });
+                return;
+            }
+
+            const message = createOptOutMessage(address, interaction.user.id, new Date().toISOString());
+            const payload = encodeSignedMessage(message);
+            optOutRequests.set(interaction.user.id, {
+                address,
+                payload,
+                expiresAt: Date.now() + OPT_OUT_REQUEST_MINUTES * 60000,
+            });
+
+            await interaction.reply({
+                content: `✍️ To opt out \`${address}\`, sign this message with that wallet (most wallets offer "Sign message"; pick the Micheline format if asked):\n\`\`\`${message}\`\`\`Wallets that want raw bytes can sign this payload instead:\n\`\`\`${payload}\`\`\`Then run \`/optout verify\` with your wallet's public key and the signature within ${OPT_OUT_REQUEST_MINUTES} minutes.`,
+                ephemeral: true,
+            });
+            return;
+        }
+
+        if (subcommand === "verify") {
+            const request = optOutRequests.get(interaction.user.id);
+            if (!request || request.expiresAt < Date.now()) {
+                optOutRequests.delete(interaction.user.id);
+                await interaction.reply({
+                    content:
+                        "⚠️ No opt-out request in progress (they expire after a while). Start with `/optout request`.",
+                    ephemeral: true,
+                });
+                return;
+            }
+
+            const publicKey = interaction.options.getString("publickey").trim();
+            const signature = interaction.options.getString("signature").trim();
+            const verification = verifyWalletSignature(request.address, publicKey, signature, request.payload);
+
+            if (!verification.valid) {
+                await interaction.reply({ content: `⚠️ ${verification.message}`, ephemeral: true });
+                return;
+            }
+
+            optOutRequests.delete(interaction.user.id);
+            await interaction.deferReply({ ephemeral: true });
+
+            const result = await gameManager.optOutArtist(request.address, {
+                method: "signature",
+                reason: null,
+                requestedBy: interaction.user.id,
+                requestedByUsername: interaction.user.username,
+            });
+            await interaction.editReply({ content: `${result.success ? "✅" : "⚠️"} ${result.message}` });
+            return;
+        }
+
+        // Managing the registry directly is for admins
+        if (!interaction.memberPermissions?.has("Administrator")) {
+            await interaction.reply({
+                content: "⚠️ This command requires Administrator permissions.",
+                ephemeral: true,
+            });
+            return;
+        }
+
+        if (subcommand === "list") {
+            await interaction.deferReply({ ephemeral: true });
+            await interaction.editReply({ embeds: [buildOptOutEmbed(await loadOptOuts(), settings.color)] });
+            return;
+        }
+
+        const address = interaction.options.getString("address").trim();
+        if (!isTezosAddress(address)) {
+            await interaction.reply({ content: "⚠️ That isn't a Tezos address.", ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result =
+            subcommand === "add"
+                ? await gameManager.optOutArtist(address, {
+                      method: "admin",
+                      reason: interaction.options.getString("reason"),
+                      requestedBy: interaction.user.id,
+                      requestedByUsername: interaction.user.username,
+                  })
+                : await gameManager.removeArtistOptOut(address);
+
+        await interaction.editReply({ content: `${result.success ? "✅" : "⚠️"} ${result.message}` });
+        return;
+    }
+
+    // Settings command (Admin only)
+    if (commandName === "settings") {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: "⚠️ Settings can only be changed in a server.", ephemeral: true });
+            return;
+        }
+
+        if (!interaction.memberPermissions?.has("Administrator")) {
+            await interaction.reply({
+                content: "⚠️ This command requires Administrator permissions.",
+                ephemeral: true,
+            });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const overrides = await getGuildSettings(interaction.guildId);
+
+        if (subcommand === "view") {
+            await interaction.reply({ embeds: [buildSettingsEmbed(overrides, settings)], ephemeral: true });
+            return;
+        }
+
+        if (subcommand === "set") {
+            const changes = {
+                roundsPerGame: interaction.options.getInteger("rounds"),
+                roundTimeSeconds: interaction.options.getInteger("roundtime"),
+                delayBetweenRounds: interaction.options.getInteger("betweenroundtime"),
+                difficulty: interaction.options.getString("difficulty"),
+                tokenSource: interaction.options.getString("source"),
+                color: null,
+            };
+
+            const colorText = interaction.options.getString("color");
+            if (colorText !== null) {
+                changes.color = parseColor(colorText);
+                if (changes.color === null) {
+                    await interaction.reply({
+                        content: "⚠️ Colors must be 6-digit hex codes, like #2c7df6.",
+                        ephemeral: true,
+                    });
+                    return;
+                }
+            }
+
+            const updates = Object.entries(changes).filter(([, value]) => value !== null);
+            if (updates.length === 0) {
+                await interaction.reply({ content: "⚠️ Pick at least one setting to change.", ephemeral: true });
+                return;
+            }
+
+            Object.assign(overrides, Object.fromEntries(updates));
+        }
+
+        // Games are allowed everywhere until the first channel is added
+        if (subcommand === "channel") {
+            const channel = interaction.options.getChannel("channel");
+            const allowed = interaction.options.getBoolean("allowed");
+            const channels = (overrides.allowedChannels ?? []).filter((id) => id !== channel.id);
+
+            if (allowed) channels.push(channel.id);
+
+            if (channels.length > 0) {
+                overrides.allowedChannels = channels;
+            } else {
+                delete overrides.allowedChannels;
+            }
+        }
+
+        if (subcommand === "cooldown") {
+            const command = interaction.options.getString("command");
+            const user = interaction.options.getInteger("user");
+            const channel = interaction.options.getInteger("channel");
+
+            if (user === null && channel === null) {
+                await interaction.reply({
+                    content: "⚠️ Set a user cooldown, a channel cooldown or both.",
+                    ephemeral: true,
+                });
+                return;
+            }
+
+            const cooldown = { ...overrides.cooldowns?.[command] };
+            if (user !== null) cooldown.user = user;
+            if (channel !== null) cooldown.channel = channel;
+            overrides.cooldowns = { ...overrides.cooldowns, [command]: cooldown };
+        }
+
+        if (subcommand === "reset") {
+            const setting = interaction.options.getString("setting");
+            for (const key of setting ? [setting] : Object.keys(overrides)) {
+                delete overrides[key];
+            }
+        }
+
+        await saveGuildSettings(interaction.guildId, overrides);
+
+        await interaction.reply({
+            content: "✅ Settings updated.",
+            embeds: [buildSettingsEmbed(overrides, resolveGuildSettings(overrides, config))],
+            ephemeral: true,
+        });
+        return;
+    }
+
+    // Precache command (Admin only)
+    if (commandName === "precache") {
+        // Check if user has admin permissions
+        if (!interaction.memberPermissions?.has("Administrator")) {
+            await interaction.reply({
+                content: "⚠️ This command requires Administrator permissions.",
+                ephemeral: true,
+            });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const sourceId = interaction.options.getString("source") ?? settings.tokenSource;
+            const { tokens } = await gameManager.getPool(sourceId);
+
+            if (!tokens || tokens.length === 0) {
+                await interaction.editReply({
+                    content: "⚠️ No tokens loaded. Please wait for bot initialization to complete.",
+                });
+                return;
+            }
+
+            const totalImages = tokens.filter((t) => t.fullImageUrl).length;
+
+            await interaction.editReply({
+                content: `🔄 Starting precache of ${totalImages} images...\nThis will take approximately ${Math.ceil(
+                    totalImages / 10
+                )} minutes.\n\n⚠️ Messages will appear and disappear automatically. Do not be alarmed!`,
+            });
+
+            let cachedCount = 0;
+            let lastMessage = null;
 
             // Process in small batches to avoid rate limits
             for (let i = 0; i < tokens.length; i++) {
@@ -461,7 +1338,7 @@ async function handleSlashCommand(interaction) {
                     const cacheEmbed = new EmbedBuilder()
                         .setTitle(`Caching ${i + 1}/${tokens.length}`)
                         .setImage(token.fullImageUrl)
-                        .setColor(config.branding.color);
+                        .setColor(settings.color);
 
                     const msg = await interaction.channel.send({ embeds: [cacheEmbed] });
                     lastMessage = msg;
@@ -513,10 +1390,681 @@ async function handleSlashCommand(interaction) {
     }
 }
 
+/**
+ * Handle /pausegame, /resumegame and /skipround for the game in this channel (starter or moderators only)
+ */
+async function handleGameControl(interaction, commandName) {
+    const { channelId } = interaction;
+    const session = gameManager.getSession(channelId);
+
+    if (!session) {
+        await interaction.reply({ content: "⚠️ No active game in this channel.", ephemeral: true });
+        return;
+    }
+
+    const canControl =
+        interaction.user.id === session.startedBy || interaction.memberPermissions?.has("ManageMessages");
+
+    if (!canControl) {
+        await interaction.reply({
+            content: "⚠️ Only the person who started the game or moderators can pause, resume or skip rounds.",
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (commandName === "pausegame") {
+        const result = gameManager.pauseGame(channelId);
+        if (!result.success) {
+            await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+            return;
+        }
+
+        roundScheduler.pause(channelId);
+        await interaction.reply({ content: "⏸️ **Game paused.** The round clock is stopped until `/resumegame`." });
+        return;
+    }
+
+    if (commandName === "resumegame") {
+        const result = gameManager.resumeGame(channelId);
+        if (!result.success) {
+            await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+            return;
+        }
+
+        roundScheduler.resume(channelId);
+        await interaction.reply({ content: "▶️ **Game resumed!** The clock is running again." });
+        return;
+    }
+
+    const result = gameManager.skipRound(channelId);
+    if (!result.success) {
+        await interaction.reply({ content: `⚠️ ${result.message}`, ephemeral: true });
+        return;
+    }
+
+    // The round's end and reveal frames belong to the skipped round, and a paused game's timers are all stale
+    roundScheduler.cancel(channelId);
+    await interaction.reply({
+        content: `⏭️ **Round ${result.roundNumber} skipped** - answers in it don't count.`,
+    });
+
+    try {
+        const message = await interaction.channel.messages.fetch(session.messageId);
+        await message.edit({ components: [] });
+    } catch (error) {
+        console.error("Error closing skipped round:", error);
+    }
+
+    await advanceRound(interaction.channel, channelId);
+}
+
+/**
+ * Load a server's settings, resolved over the config.js defaults
+ * Direct messages have no server and always use the defaults
+ */
+async function getSettings(guildId) {
+    return resolveGuildSettings(guildId ? await getGuildSettings(guildId) : {}, config);
+}
+
+/**
+ * Build the embed listing a server's settings, marking the ones still on their defaults
+ */
+function buildSettingsEmbed(overrides, settings) {
+    const cooldownText = Object.entries(overrides.cooldowns ?? {})
+        .map(([command, cooldown]) => {
+            const { user = 0, channel = 0 } = settings.cooldowns[command];
+            return `\`/${command}\` - ${user}s per user, ${channel}s per channel`;
+        })
+        .join("\n");
+
+    const values = {
+        roundsPerGame: `${settings.roundsPerGame} rounds`,
+        roundTimeSeconds: `${settings.roundTimeSeconds}s`,
+        delayBetweenRounds: `${settings.delayBetweenRounds}s`,
+        difficulty: DIFFICULTY_LABELS[settings.difficulty],
+        allowedChannels: settings.allowedChannels.map((id) => `<#${id}>`).join(", ") || "Any channel",
+        color: formatColor(settings.color),
+        tokenSource: config.tokenSources.sources[settings.tokenSource].name,
+        cooldowns: cooldownText || "Bot defaults",
+    };
+
+    return new EmbedBuilder()
+        .setColor(settings.color)
+        .setTitle("⚙️ Server Settings")
+        .setDescription("Change these with `/settings set`, `/settings channel` and `/settings cooldown`.")
+        .addFields(
+            Object.entries(GUILD_SETTING_LABELS).map(([key, label]) => ({
+                name: Object.hasOwn(overrides, key) ? label : `${label} (default)`,
+                value: values[key],
+                inline: key !== "allowedChannels" && key !== "cooldowns",
+            }))
+        )
+        .setFooter({ text: config.branding.name })
+        .setTimestamp();
+}
+
+/**
+ * Build the embed listing blocked tokens and artists
+ */
+function buildBlocklistEmbed(blocklist, color) {
+    const entries = Object.values(blocklist).sort((a, b) => b.blockedAt.localeCompare(a.blockedAt));
+
+    const formatEntry = (entry) => {
+        const name =
+            entry.type === "token"
+                ? `[${entry.id}](https://objkt.com/tokens/${entry.id.replace(":", "/")})`
+                : `\`${entry.id}\` (${gameManager.getArtistDisplayName(entry.id)})`;
+        const reason = entry.reason ? ` - ${entry.reason}` : "";
+        return `${entry.type === "token" ? "🖼️" : "👤"} ${name}${reason} • by ${entry.blockedByUsername}`;
+    };
+
+    // Embed descriptions are capped at 4096 characters, so long lists show the most recent entries
+    const lines = [];
+    let length = 0;
+    for (const line of entries.map(formatEntry)) {
+        if (length + line.length + 1 > 3900) break;
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    const hiddenCount = entries.length - lines.length;
+    const description =
+        entries.length === 0
+            ? "Nothing is blocked. Use `/pool block` to keep a token or an artist out of games."
+            : `${lines.join("\n")}${hiddenCount > 0 ? `\n…and ${hiddenCount} more` : ""}`;
+
+    return new EmbedBuilder()
+        .setColor(color)
+        .setTitle(`🚫 Blocked Artworks & Artists (${entries.length})`)
+        .setDescription(description)
+        .setFooter({ text: config.branding.name })
+        .setTimestamp();
+}
+
+/**
+ * Build the embed listing artists who opted out
+ */
+function buildOptOutEmbed(optOuts, color) {
+    const entries = Object.values(optOuts).sort((a, b) => b.optedOutAt.localeCompare(a.optedOutAt));
+
+    const lines = entries.slice(0, 30).map((entry) => {
+        const how = entry.method === "signature" ? "✍️ signed" : `🛡️ by ${entry.requestedByUsername}`;
+        const reason = entry.reason ? ` - ${entry.reason}` : "";
+        return `\`${entry.address}\` (${gameManager.getArtistDisplayName(entry.address)}) • ${how}${reason}`;
+    });
+
+    const description =
+        entries.length === 0
+            ? "No artist has opted out."
+            : `${lines.join("\n")}${entries.length > lines.length ? `\n…and ${entries.length - lines.length} more` : ""}`;
+
+    return new EmbedBuilder()
+        .setColor(color)
+        .setTitle(`🙅 Opted-Out Artists (${entries.length})`)
+        .setDescription(description)
+        .setFooter({ text: config.branding.name })
+        .setTimestamp();
+}
+
+/**
+ * Build the game start embed describing the session's settings
+ */
+function buildStartEmbed(session) {
+    const startEmbed = new EmbedBuilder()
+        .setColor(session.color)
+        .setTitle("🎨 Name That Artist - Game Starting!")
+        .setDescription(
+            `**${session.totalRounds} rounds** of Tezos NFT trivia!\n\nGet ready to guess the artists behind NFTs from ${
+                config.tokenSources.sources[session.source].name
+            }.`
+        )
+        .addFields(
+            { name: "⏱️ Time per Round", value: `${session.roundTimeSeconds} seconds`, inline: true },
+            {
+                name: `🎯 Scoring: ${scoringStrategies[session.scoring].name}`,
+                value: scoringStrategies[session.scoring].description,
+                inline: true,
+            },
+            { name: "👥 Started by", value: session.startedByUsername, inline: true },
+            { name: "🧠 Difficulty", value: DIFFICULTY_LABELS[session.difficulty], inline: true }
+        )
+        .setFooter({ text: `${config.branding.name} • Seed: ${session.seed}` })
+        .setTimestamp();
+
+    if (session.questionType === "reverse") {
+        startEmbed.addFields({
+            name: "🔄 Reverse Mode",
+            value: "Each round names an artist - pick which of the four artworks they made!",
+        });
+    }
+
+    if (session.questionType === "title") {
+        startEmbed.addFields({
+            name: "🏷️ Name That Title",
+            value: "Each round shows an artwork - pick its title!",
+        });
+    }
+
+    if (session.typed) {
+        startEmbed.addFields({
+            name: "⌨️ Typed Answers",
+            value: `No buttons this time - type the artist's alias or .tez domain in chat! Small typos are forgiven. The first ${config.game.typedAnswerWinners} correct answers each round score.`,
+        });
+    }
+
+    if (session.reveal) {
+        startEmbed.addFields({
+            name: "🔍 Reveal Mode",
+            value: `Each artwork starts pixelated and sharpens as the round goes on - answer early for up to ${config.game.revealStageBonus} bonus points!`,
+        });
+    }
+
+    if (session.media.length < MEDIA_KINDS.length) {
+        startEmbed.addFields({
+            name: "🖼️ Media",
+            value: session.media.map((kind) => MEDIA_KIND_LABELS[kind]).join(" • "),
+        });
+    }
+
+    if (session.survival) {
+        startEmbed.addFields({
+            name: "❤️ Survival Mode",
+            value: `Everyone starts with ${session.survival.lives} ${
+                session.survival.lives === 1 ? "life" : "lives"
+            }. Wrong or missed answers cost a life - last player standing wins!`,
+        });
+    }
+
+    return startEmbed;
+}
+
+/**
+ * Build the tournament overview: sign-ups, cumulative standings or the bracket
+ */
+function buildTournamentEmbed(tournament, color) {
+    const statusText = { open: "📝 Sign-ups open", running: "▶️ In progress", finished: "🏁 Finished" };
+    const players = Object.values(tournament.players);
+
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(`🏆 ${tournament.name}`)
+        .setDescription(
+            `${statusText[tournament.status]} • ${tournament.format === "bracket" ? "Bracket" : "Cumulative"} • ${
+                players.length
+            } player(s)`
+        )
+        .setFooter({ text: `${config.branding.name} • Tournament ID: ${tournament.id}` })
+        .setTimestamp();
+
+    if (tournament.champion) {
+        embed.addFields({ name: "👑 Champion", value: `**${tournament.champion.username}**` });
+    }
+
+    if (tournament.status === "open") {
+        embed.addFields({
+            name: "👥 Players",
+            value:
+                players.map((p) => p.username).join(", ") ||
+                `_No players yet - join with \`/tournament join id:${tournament.id}\`_`,
+        });
+        return embed;
+    }
+
+    if (tournament.format === "bracket") {
+        const nameOf = (userId) => tournament.players[userId]?.username ?? "_TBD_";
+        const roundCount = tournament.bracket.rounds.length;
+
+        tournament.bracket.rounds.forEach((round, index) => {
+            const roundName =
+                index === roundCount - 1 ? "Final" : index === roundCount - 2 ? "Semifinals" : `Round ${index + 1}`;
+
+            const matchText = round
+                .map((match) => {
+                    const [first, second] = match.players;
+                    const label = (userId) =>
+                        userId && userId === match.winner ? `**${nameOf(userId)}** ✅` : nameOf(userId);
+                    // First-round byes have one player and an automatic winner
+                    if (index === 0 && second === null) return `${label(first)} • _bye_`;
+                    return `${label(first)} ⚔️ ${label(second)}`;
+                })
+                .join("\n");
+
+            embed.addFields({ name: roundName, value: matchText });
+        });
+        return embed;
+    }
+
+    const medals = ["🥇", "🥈", "🥉"];
+    const standingsText = tournamentManager
+        .getStandings(tournament)
+        .slice(0, 20)
+        .map((standing, index) => {
+            const medal = medals[index] || `${index + 1}.`;
+            return `${medal} **${standing.username}** - ${standing.totalScore} pts (${standing.wins} wins, ${standing.correctAnswers} correct)`;
+        })
+        .join("\n");
+
+    embed.addFields({
+        name: `📊 Standings • Game ${tournament.games.length}/${tournament.plannedGames} played`,
+        value: standingsText || "_No games finished yet_",
+    });
+
+    return embed;
+}
+
+/**
+ * Announce what a finished tournament game changed: the match winner, the next step or the champion
+ */
+async function announceTournamentUpdate(channel, update, color) {
+    if (!update?.success) return;
+
+    const { tournament, matchWinner, champion } = update;
+    let content;
+
+    if (champion) {
+        content = `👑 **${champion.username}** wins **${tournament.name}**!`;
+    } else if (matchWinner) {
+        content = `⚔️ **${matchWinner.username}** advances in **${tournament.name}**! Next match: \`/tournament start id:${tournament.id}\``;
+    } else {
+        content = `📈 Game ${tournament.games.length}/${tournament.plannedGames} of **${tournament.name}** recorded! Next game: \`/tournament start id:${tournament.id}\``;
+    }
+
+    await channel.send({ content, embeds: [buildTournamentEmbed(tournament, color)] });
+}
+
+/**
+ * Open the lobby: players join (or pick a team) until the countdown ends or the starter presses Start
+ */
+async function startLobby(interaction, startEmbed, session) {
+    const closesAt = Math.floor((Date.now() + config.game.lobbySeconds * 1000) / 1000);
+
+    // Tournament games already have their players seated
+    const howToJoin = session.roster
+        ? "Tournament players are already seated."
+        : `${session.teams ? "Pick a team" : "Press **Join**"} to play!`;
+    const playerLimits = session.roster ? "" : `\nPlayers: ${config.game.minPlayers}-${config.game.maxPlayers}`;
+
+    startEmbed.addFields({
+        name: "🚪 Lobby Open",
+        value: `${howToJoin} The game starts <t:${closesAt}:R>, or when ${session.startedByUsername} presses **Start**.${playerLimits}`,
+    });
+
+    const lobbyMessage = await interaction.editReply(buildLobbyMessage(startEmbed, session));
+
+    roundScheduler.schedule(
+        session.channelId,
+        "lobby",
+        async () => {
+            await launchLobby(interaction.channel, session, lobbyMessage);
+        },
+        config.game.lobbySeconds * 1000
+    );
+}
+
+/**
+ * Build the lobby message: the game info, the roster and the join controls
+ */
+function buildLobbyMessage(startEmbed, session, locked = false) {
+    const players = Array.from(session.players.values());
+
+    const rosterEmbed = new EmbedBuilder()
+        .setColor(session.color)
+        .setTitle(`👥 Players (${players.length}/${config.game.maxPlayers})`);
+
+    if (session.teams) {
+        rosterEmbed.setDescription(
+            Array.from(session.teams.values())
+                .map((team) => {
+                    const members = Array.from(team.members).map((userId) => session.players.get(userId).username);
+                    return `${team.emoji} **${team.name}**: ${members.length > 0 ? members.join(", ") : "_no players yet_"}`;
+                })
+                .join("\n")
+        );
+    } else {
+        rosterEmbed.setDescription(players.map((p) => p.username).join(", ") || "_No players yet_");
+    }
+
+    const components = [];
+
+    if (session.teams) {
+        const teamRow = new ActionRowBuilder();
+        session.teams.forEach((team) => {
+            teamRow.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`team_${session.channelId}_${team.teamId}`)
+                    .setLabel(`${team.emoji} Join ${team.name}`)
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(locked)
+            );
+        });
+        components.push(teamRow);
+    }
+
+    const controlRow = new ActionRowBuilder();
+    if (!session.teams) {
+        controlRow.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`lobby_${session.channelId}_join`)
+                .setLabel("✋ Join")
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(locked)
+        );
+    }
+    controlRow.addComponents(
+        new ButtonBuilder()
+            .setCustomId(`lobby_${session.channelId}_leave`)
+            .setLabel("🚪 Leave")
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(locked),
+        new ButtonBuilder()
+            .setCustomId(`lobby_${session.channelId}_start`)
+            .setLabel("▶️ Start")
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(locked)
+    );
+    components.push(controlRow);
+
+    return { embeds: [startEmbed, rosterEmbed], components };
+}
+
+/**
+ * Close the lobby and play round 1, or cancel the game if too few players joined
+ * Called by the countdown and by the Start button; only the first call for a session does anything
+ */
+async function launchLobby(channel, session, lobbyMessage) {
+    // The game may have been stopped (or replaced by a new one) while the lobby was open
+    if (gameManager.getSession(session.channelId) !== session || session.phase !== "joining") return;
+
+    // Started early with the Start button: the countdown has nothing left to do
+    roundScheduler.cancel(session.channelId, "lobby");
+    const result = gameManager.startRounds(session.channelId);
+
+    try {
+        await lobbyMessage.edit(buildLobbyMessage(lobbyMessage.embeds[0], session, true));
+    } catch (error) {
+        console.error("Error locking lobby:", error);
+    }
+
+    if (!result.success) {
+        if (result.notEnoughPlayers) {
+            await gameManager.endGame(session.channelId);
+            await channel.send({ content: `🚪 ${result.message} Game cancelled.` });
+        }
+        return;
+    }
+
+    await gameManager.saveSession(session.channelId);
+    await channel.send({ content: `🎮 **Game on!** ${session.players.size} player(s) locked in - round 1 starting...` });
+
+    // Short delay so players can get ready before the first image
+    roundScheduler.schedule(
+        session.channelId,
+        "nextRound",
+        async () => {
+            await displayRound(channel, session.channelId);
+        },
+        3000
+    );
+}
+
+/**
+ * Build the ephemeral message for the current daily challenge round
+ */
+function buildDailyRoundMessage(session, feedback, color) {
+    const round = session.rounds[session.currentRound];
+
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(`📅 Daily Challenge - Round ${session.currentRound + 1}/${session.totalRounds}`)
+        .setDescription(`**${round.token.name || "Untitled"}**\n\nWho created this artwork?`)
+        .setImage(round.token.fullImageUrl || round.token.imageUrl)
+        .setFooter({ text: `⏱️ Answer within ${session.roundTimeSeconds} seconds for points • Score: ${session.score}` });
+
+    const row = new ActionRowBuilder();
+    round.choices.forEach((choice) => {
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`daily_${session.userId}_${session.currentRound}_${choice.label}`)
+                .setLabel(`${choice.label} ${gameManager.getArtistDisplayName(choice.artist)}`)
+                .setStyle(ButtonStyle.Primary)
+        );
+    });
+
+    return { content: feedback, embeds: [embed], components: [row] };
+}
+
+/**
+ * Build the ephemeral summary shown when a daily challenge is finished
+ */
+function buildDailySummaryMessage(session, feedback, color) {
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle("📅 Daily Challenge Complete!")
+        .setDescription(`You scored **${session.score} points** on the ${session.date} challenge.`)
+        .addFields(
+            { name: "✅ Correct", value: `${session.correctAnswers}/${session.totalRounds}`, inline: true },
+            { name: "🔥 Streak", value: `${session.streak.currentStreak} day(s)`, inline: true },
+            { name: "⭐ Longest Streak", value: `${session.streak.longestStreak} day(s)`, inline: true }
+        )
+        .setFooter({ text: "Check /daily leaderboard to see how you rank • New challenge at 00:00 UTC" });
+
+    return { content: feedback, embeds: [embed], components: [] };
+}
+
+/**
+ * Build the private hint menu for the current round
+ */
+function buildHintMenuMessage(channelId) {
+    const session = gameManager.getSession(channelId);
+    const { description, eliminate } = config.game.hintCosts;
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`hint_${channelId}_description`)
+            .setLabel(`📝 Show description (-${Math.round(description * 100)}%)`)
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    // Typed rounds have no choices to strike out
+    if (!session?.typed) {
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`hint_${channelId}_eliminate`)
+                .setLabel(`✂️ Remove a wrong answer (-${Math.round(eliminate * 100)}%)`)
+                .setStyle(ButtonStyle.Secondary)
+        );
+    }
+
+    return {
+        content: "💡 **Need a hint?** Each hint costs part of the points you can earn this round.",
+        components: [row],
+        ephemeral: true,
+    };
+}
+
+/**
+ * Build the private message showing a hint the player bought
+ * The eliminate hint comes with the player's own copy of the answer buttons, one wrong choice disabled
+ */
+function buildHintResultMessage(channelId, result) {
+    const pointsText = `You can still earn ${Math.round(result.multiplier * 100)}% of this round's points.`;
+
+    if (result.hintType === "description") {
+        return { content: `📝 **Description:**\n> ${result.description}\n\n${pointsText}`, components: [] };
+    }
+
+    const session = gameManager.getSession(channelId);
+    const round = session.rounds[session.currentRound];
+    const row = new ActionRowBuilder();
+    round.choices.forEach((choice) => {
+        const removed = choice.label === result.eliminatedLabel;
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`answer_${channelId}_${choice.label}`)
+                .setLabel(formatChoiceLabel(round, choice))
+                .setStyle(removed ? ButtonStyle.Secondary : ButtonStyle.Primary)
+                .setDisabled(removed)
+        );
+    });
+
+    return {
+        content: `✂️ **${result.eliminatedLabel}** is wrong - answer here or on the round message.\n${pointsText}`,
+        components: [row],
+    };
+}
+
+/**
+ * Name the other creators of a collaborative token, e.g. " (collab with Alice, Bob)"
+ * Empty for tokens with a single creator
+ */
+function formatCollaborators(token, artist) {
+    const others = (token.artists ?? []).filter((address) => address !== artist);
+    if (others.length === 0) return "";
+
+    return ` (collab with ${others.map((address) => gameManager.getArtistDisplayName(address)).join(", ")})`;
+}
+
+/**
+ * Get the button label for a choice
+ * Reverse rounds only show the number until the round is over, since the artist is the question
+ */
+function formatChoiceLabel(round, choice, roundOver = false) {
+    if (round.type === "reverse" && !roundOver) {
+        return choice.label;
+    }
+
+    if (round.type === "title") {
+        // Button labels are capped at 80 characters
+        const title = choice.title.length > 70 ? `${choice.title.slice(0, 69)}…` : choice.title;
+        return `${choice.label} ${title}`;
+    }
+
+    return `${choice.label} ${gameManager.getArtistDisplayName(choice.artist)}`;
+}
+
+/**
+ * Build the round message embeds
+ * Artist rounds show one artwork; reverse rounds name the artist and show every choice as its own image
+ */
+function buildRoundEmbeds(round, roundNumber, totalRounds, session) {
+    const embed = new EmbedBuilder()
+        .setColor(session.color)
+        .setTitle(`🎨 Round ${roundNumber}/${totalRounds}`)
+        .setURL("https://objkt.com")
+        .setFooter({ text: `⏱️ You have ${session.roundTimeSeconds} seconds to answer!` })
+        .setTimestamp();
+
+    if (round.type === "reverse") {
+        embed.setDescription(
+            `Which artwork was made by **${gameManager.getArtistDisplayName(round.correctAnswer)}**?`
+        );
+
+        // Separate embeds (without a shared URL) keep each image next to its number
+        const choiceEmbeds = round.choices.map((choice) =>
+            new EmbedBuilder()
+                .setColor(session.color)
+                .setTitle(choice.label)
+                .setImage(choice.token.fullImageUrl || choice.token.imageUrl)
+        );
+        return [embed, ...choiceEmbeds];
+    }
+
+    // Title rounds can't show the title, so the artist is shown instead
+    if (round.type === "title") {
+        embed
+            .setDescription(
+                `By **${gameManager.getArtistDisplayName(round.token.primaryArtist)}**\n\nWhat is this artwork called?`
+            )
+            .setImage(round.token.fullImageUrl || round.token.imageUrl);
+        return [embed];
+    }
+
+    const prompt = session.typed
+        ? "Who created this artwork? **Type the artist's name in chat!**"
+        : "Who created this artwork?";
+
+    // Using full image for main display, Discord proxy caches it
+    embed
+        .setDescription(`**${round.token.name || "Untitled"}**\n\n${prompt}`)
+        .setImage(round.token.fullImageUrl || round.token.imageUrl);
+    return [embed];
+}
+
 /**
  * Display a round with artwork and answer buttons
  */
 async function displayRound(channel, channelId) {
+    // Reveal frames are rendered before the round clock starts so the download doesn't eat answer time
+    const pendingSession = gameManager.getSession(channelId);
+    const revealFrames = pendingSession?.reveal
+        ? await createRevealFrames(
+              pendingSession.rounds[pendingSession.currentRound].token.fullImageUrl,
+              config.game.revealBlockSizes,
+              config.game.revealImageMaxMB * 1024 * 1024
+          )
+        : null;
+
     const roundData = gameManager.getCurrentRound(channelId);
 
     if (!roundData) {
@@ -529,36 +2077,111 @@ async function displayRound(channel, channelId) {
     const session = gameManager.getSession(channelId);
     if (!session) return;
 
-    // Create embed with artwork
-    // Using full image for main display, Discord proxy caches it
-    const embed = new EmbedBuilder()
-        .setColor(config.branding.color)
-        .setTitle(`🎨 Round ${roundNumber}/${totalRounds}`)
-        .setDescription(`**${round.token.name || "Untitled"}**\n\nWho created this artwork?`)
-        .setImage(round.token.fullImageUrl || round.token.imageUrl)
-        .setURL("https://objkt.com")
-        .setFooter({ text: `⏱️ You have ${session.roundTimeSeconds} seconds to answer!` })
-        .setTimestamp();
+    // Create embeds with artwork
+    const embeds = buildRoundEmbeds(round, roundNumber, totalRounds, session);
 
-    // Create answer buttons
+    // Create answer buttons (typed mode answers come from chat instead)
     const row = new ActionRowBuilder();
     round.choices.forEach((choice) => {
         const button = new ButtonBuilder()
             .setCustomId(`answer_${channelId}_${choice.label}`)
-            .setLabel(`${choice.label} ${gameManager.getArtistDisplayName(choice.artist)}`)
+            .setLabel(formatChoiceLabel(round, choice))
             .setStyle(ButtonStyle.Primary);
         row.addComponents(button);
     });
 
-    const message = await channel.send({ embeds: [embed], components: [row] });
+    // Hints are bought privately through their own button
+    const hintRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`hint_${channelId}_menu`).setLabel("💡 Hint").setStyle(ButtonStyle.Secondary)
+    );
+
+    // Reveal mode shows the first (most pixelated) frame as an attachment instead of the image URL
+    const files = [];
+    if (revealFrames) {
+        files.push(new AttachmentBuilder(revealFrames[0], { name: "reveal-0.jpg" }));
+        embeds[0].setImage("attachment://reveal-0.jpg");
+        gameManager.setRevealStage(channelId, 0);
+    }
+
+    const components = session.typed ? [hintRow] : [row, hintRow];
+    const video = revealFrames ? null : getRoundVideo(round);
+
+    let message;
+    if (video) {
+        // Videos play under their still preview; a video that can't be fetched leaves just the preview
+        try {
+            message = await channel.send({ embeds, files: [video], components });
+        } catch (error) {
+            console.error("Error attaching round video:", error);
+        }
+    }
+    message ??= await channel.send({ embeds, files, components });
+
+    // Time answers from when the round is on screen, not from before its attachments were uploaded
+    round.startTime = Date.now();
 
     // Store message ID
     session.messageId = message.id;
 
+    if (revealFrames) {
+        scheduleReveal(channelId, message, embeds, round, revealFrames);
+    }
+
     // Start round timer using session-specific value
-    setTimeout(async () => {
-        await endRound(channel, channelId, message);
-    }, session.roundTimeSeconds * 1000);
+    roundScheduler.schedule(
+        channelId,
+        "roundEnd",
+        async () => {
+            await endRound(channel, channelId, message);
+        },
+        session.roundTimeSeconds * 1000
+    );
+}
+
+/**
+ * Get the video to attach to a round, if its artwork is a video Discord can play
+ * Reverse rounds show four artworks, so they stick to previews
+ */
+function getRoundVideo(round) {
+    const { video } = round.token;
+    const maxBytes = config.game.videoAttachmentMaxMB * 1024 * 1024;
+    if (round.type === "reverse" || !video?.size || video.size > maxBytes) {
+        return null;
+    }
+
+    // A neutral file name, so the attachment doesn't give the answer away
+    return new AttachmentBuilder(video.url, { name: `artwork.${video.extension}` });
+}
+
+/**
+ * Swap in sharper reveal frames at equal intervals through the round
+ */
+function scheduleReveal(channelId, message, embeds, round, frames) {
+    const session = gameManager.getSession(channelId);
+
+    getStageDelays(session.roundTimeSeconds * 1000, frames.length).forEach((delayMs, index) => {
+        const stage = index + 1;
+        const frame = frames[stage];
+        roundScheduler.schedule(
+            channelId,
+            "reveal",
+            async () => {
+                if (round.endTime || !session.isActive) return;
+
+                try {
+                    const name = `reveal-${stage}.jpg`;
+                    embeds[0].setImage(`attachment://${name}`);
+                    await message.edit({ embeds, files: [new AttachmentBuilder(frame, { name })], attachments: [] });
+
+                    // Bonus follows what players can actually see, so only advance once the edit lands
+                    if (!round.endTime) gameManager.setRevealStage(channelId, stage);
+                } catch (error) {
+                    console.error("Error updating reveal frame:", error);
+                }
+            },
+            delayMs
+        );
+    });
 }
 
 /**
@@ -569,6 +2192,11 @@ async function endRound(channel, channelId, message) {
     if (!session || !session.isActive) return;
 
     const currentRound = session.rounds[session.currentRound];
+    if (currentRound.endTime) return;
+    const allAnswered = gameManager.haveAllPlayersAnswered(channelId);
+
+    // Settle the round (survival mode takes lives from players who didn't answer)
+    const { eliminated } = gameManager.resolveRound(channelId);
 
     // Disable buttons
     try {
@@ -576,13 +2204,14 @@ async function endRound(channel, channelId, message) {
         currentRound.choices.forEach((choice) => {
             const button = new ButtonBuilder()
                 .setCustomId(`answer_${channelId}_${choice.label}`)
-                .setLabel(`${choice.label} ${gameManager.getArtistDisplayName(choice.artist)}`)
+                .setLabel(formatChoiceLabel(currentRound, choice, true))
                 .setStyle(choice.isCorrect ? ButtonStyle.Success : ButtonStyle.Secondary)
                 .setDisabled(true);
             disabledRow.addComponents(button);
         });
 
-        await message.edit({ components: [disabledRow] });
+        // Dropping the hint row closes hints for the round
+        await message.edit({ components: session.typed ? [] : [disabledRow] });
     } catch (error) {
         console.error("Error updating message:", error);
     }
@@ -592,14 +2221,23 @@ async function endRound(channel, channelId, message) {
     const token = currentRound.token;
     const objktUrl = `https://objkt.com/tokens/${token.contract}/${token.tokenId}`;
 
+    const correctArtist = gameManager.getArtistDisplayName(correctChoice.artist);
+    let answerText = `The correct answer was: **${correctChoice.label} ${correctArtist}**`;
+    if (session.typed) {
+        answerText = `The correct answer was: **${correctArtist}**`;
+    } else if (currentRound.type === "reverse") {
+        answerText = `The correct artwork was: **${correctChoice.label} ${token.name || "Untitled"}** by **${correctArtist}**`;
+    } else if (currentRound.type === "title") {
+        answerText = `The correct title was: **${correctChoice.label} ${token.name}** by **${correctArtist}**`;
+    }
+
+    // Collaborative tokens credit their other creators too
+    answerText += formatCollaborators(token, correctChoice.artist);
+
     const resultEmbed = new EmbedBuilder()
-        .setColor(config.branding.color)
-        .setTitle("⏰ Time's Up!")
-        .setDescription(
-            `The correct answer was: **${correctChoice.label} ${gameManager.getArtistDisplayName(
-                correctChoice.artist
-            )}**`
-        )
+        .setColor(session.color)
+        .setTitle(allAnswered ? "✅ Everyone Answered!" : "⏰ Time's Up!")
+        .setDescription(answerText)
         .addFields({
             name: "🔗 View NFT",
             value: objktUrl,
@@ -607,33 +2245,150 @@ async function endRound(channel, channelId, message) {
         })
         .setFooter({ text: "Get ready for the next round!" });
 
+    // Announce bonus streaks that are running or just ended
+    const streakLines = [
+        ...Array.from(session.players.values())
+            .filter((p) => gameManager.getStreakMultiplier(p.streak) > 1)
+            .sort((a, b) => b.streak - a.streak)
+            .map((p) => `🔥 **${p.username}** - ${p.streak} in a row (×${gameManager.getStreakMultiplier(p.streak)})`),
+        ...currentRound.brokenStreaks.map((s) => `💔 **${s.username}**'s ${s.streak}-answer streak ended`),
+    ];
+    if (streakLines.length > 0) {
+        resultEmbed.addFields({ name: "🔥 Streaks", value: streakLines.join("\n"), inline: false });
+    }
+
+    if (eliminated.length > 0) {
+        resultEmbed.addFields({
+            name: "☠️ Eliminated This Round",
+            value: eliminated.map((p) => p.username).join(", "),
+            inline: false,
+        });
+    }
+
     await channel.send({ embeds: [resultEmbed] });
 
     // Show round scores
     if (session.players.size > 0) {
+        const formatLives = (p) => {
+            if (!session.survival) return "";
+            return p.eliminated ? " ☠️" : ` ${"❤️".repeat(p.lives)}`;
+        };
         const scores = Array.from(session.players.values())
             .sort((a, b) => b.score - a.score)
-            .map((p, i) => `${i + 1}. **${p.username}**: ${p.score} pts`)
+            .map((p, i) => `${i + 1}. **${p.username}**: ${p.score} pts${formatLives(p)}`)
             .join("\n");
 
         const scoreEmbed = new EmbedBuilder()
-            .setColor(config.branding.color)
+            .setColor(session.color)
             .setTitle("📊 Current Scores")
             .setDescription(scores || "No one has scored yet!")
             .setTimestamp();
 
+        if (session.teams) {
+            const teamScores = Array.from(session.teams.values())
+                .sort((a, b) => b.score - a.score)
+                .map((t) => `${t.emoji} **${t.name}**: ${t.score} pts`)
+                .join("\n");
+            scoreEmbed.addFields({ name: "🤝 Team Scores", value: teamScores });
+        }
+
         await channel.send({ embeds: [scoreEmbed] });
     }
 
+    await advanceRound(channel, channelId);
+}
+
+/**
+ * End the round on screen straight away if nobody is left to answer (unless the game turned early endings off)
+ */
+async function endRoundIfAllAnswered(channelId) {
+    const session = gameManager.getSession(channelId);
+    if (!session?.endRoundsEarly || !gameManager.haveAllPlayersAnswered(channelId)) return;
+
+    // Later reveal frames would only sharpen an image nobody is guessing anymore
+    roundScheduler.cancel(channelId, "reveal");
+    await roundScheduler.runNow(channelId, "roundEnd");
+}
+
+/**
+ * Move on after a round has ended or been skipped: show the next round after the delay, or end the game
+ */
+async function advanceRound(channel, channelId) {
+    const session = gameManager.getSession(channelId);
     const nextResult = gameManager.nextRound(channelId);
 
     if (nextResult.gameOver) {
         // Game over - no delay needed, go straight to final results
         await endGame(channel, channelId, nextResult.finalScores);
     } else {
+        await gameManager.saveSession(channelId);
+
         // More rounds remaining - add delay for image loading before next round
-        await new Promise((resolve) => setTimeout(resolve, session.delayBetweenRounds * 1000));
-        await displayRound(channel, channelId);
+        roundScheduler.schedule(
+            channelId,
+            "nextRound",
+            async () => {
+                await displayRound(channel, channelId);
+            },
+            session.delayBetweenRounds * 1000
+        );
+    }
+}
+
+/**
+ * Pick up the games that were running when the bot stopped
+ * Recent games replay the round they were on; older ones (or all of them, with resumeAfterRestart off)
+ * end with the scores they had
+ */
+async function resumeSavedGames() {
+    const restored = await gameManager.restoreSessions();
+
+    for (const { session, savedAt } of restored) {
+        const { channelId } = session;
+        const channel = await client.channels.fetch(channelId).catch(() => null);
+
+        // The channel is gone or out of reach, so the scores are saved without an announcement
+        if (!channel) {
+            await gameManager.endGame(channelId);
+            continue;
+        }
+
+        try {
+            if (!config.game.resumeAfterRestart || isStaleSession(savedAt, config.game.resumeMaxAgeMinutes)) {
+                await channel.send({
+                    content:
+                        "🔌 The bot restarted and this game couldn't continue, so it ends here with the scores so far.",
+                });
+                await endGame(channel, channelId, gameManager.getFinalScores(session));
+                continue;
+            }
+
+            await channel.send({
+                content: `🔌 The bot restarted - the game picks up again at round ${session.currentRound + 1}/${session.totalRounds}${
+                    session.pausedAt ? " once it's resumed with `/resumegame`" : ""
+                }...`,
+            });
+
+            // A game saved while paused stays paused
+            if (session.pausedAt) {
+                roundScheduler.pause(channelId);
+            }
+            roundScheduler.schedule(
+                channelId,
+                "nextRound",
+                async () => {
+                    await displayRound(channel, channelId);
+                },
+                session.delayBetweenRounds * 1000
+            );
+        } catch (error) {
+            console.error(`Error resuming game in ${channelId}:`, error);
+            await gameManager.endGame(channelId);
+        }
+    }
+
+    if (restored.length > 0) {
+        console.log(`♻️ Restored ${restored.length} game(s) from before the restart`);
     }
 }
 
@@ -644,35 +2399,78 @@ async function endGame(channel, channelId, finalScores) {
     // Get session to retrieve totalRounds before ending the game
     const session = gameManager.getSession(channelId);
     const totalRounds = session ? session.totalRounds : config.game.roundsPerGame;
+    const seedText = session ? ` • Seed: ${session.seed} • Game ID: ${session.gameId}` : "";
+    const color = session?.color ?? config.branding.color;
 
+    roundScheduler.cancel(channelId);
     await gameManager.endGame(channelId);
 
-    const { winners, scores, totalPlayers } = finalScores;
+    const { winners, scores, totalPlayers, teams, winningTeams } = finalScores;
+
+    if (totalPlayers === 0) {
+        await channel.send({ content: "🎮 Game over! Nobody answered this time." });
+        await announceTournamentUpdate(channel, session?.tournamentUpdate, color);
+        return;
+    }
 
     // Create winners announcement
-    const winnerText =
+    let winnerText =
         winners.length > 1
             ? `🎉 **It's a tie!**\n${winners.map((w) => `🏆 **${w.username}** - ${w.score} points`).join("\n")}`
             : `🏆 **Winner: ${winners[0].username}**\n${winners[0].score} points • ${winners[0].correctAnswers}/${totalRounds} correct`;
 
+    // Survival games crown whoever is still standing
+    if (session?.survival) {
+        const survivors = scores.filter((p) => p.eliminatedRound === null);
+        const survivalText =
+            survivors.length > 0
+                ? `❤️ **Still standing:** ${survivors.map((p) => p.username).join(", ")}`
+                : "☠️ **Nobody survived!** The last players out take the win.";
+        winnerText = `${survivalText}\n\n${winnerText}`;
+    }
+
+    // Team games lead with the winning team
+    if (teams && winningTeams.length > 0) {
+        const teamText =
+            winningTeams.length > 1
+                ? `🤝 **Team tie!** ${winningTeams.map((t) => `${t.emoji} ${t.name}`).join(" & ")} - ${winningTeams[0].score} points`
+                : `🏆 **Winning team: ${winningTeams[0].emoji} ${winningTeams[0].name}** - ${winningTeams[0].score} points`;
+        winnerText = `${teamText}\n\n${winnerText}`;
+    }
+
     const embed = new EmbedBuilder()
-        .setColor(config.branding.color)
+        .setColor(color)
         .setTitle("🎮 Game Over!")
         .setDescription(winnerText)
-        .setFooter({ text: `${config.branding.name} • ${totalPlayers} player(s)` })
+        .setFooter({ text: `${config.branding.name} • ${totalPlayers} player(s)${seedText}` })
         .setTimestamp();
 
     // Add final leaderboard
     if (scores.length > 1) {
         const leaderboardText = scores
             .slice(0, 10)
-            .map((p, i) => `${i + 1}. **${p.username}** - ${p.score} pts (${p.correctAnswers} correct)`)
+            .map((p, i) => {
+                const knockedOut = p.eliminatedRound !== null ? ` ☠️ out in round ${p.eliminatedRound}` : "";
+                return `${i + 1}. **${p.username}** - ${p.score} pts (${p.correctAnswers} correct)${knockedOut}`;
+            })
             .join("\n");
 
         embed.addFields({ name: "📊 Final Scores", value: leaderboardText });
     }
 
+    if (teams) {
+        const teamText = teams
+            .map((t) => {
+                const mvp = t.mvp ? ` • MVP: **${t.mvp.username}** (${t.mvp.score} pts)` : "";
+                return `${t.emoji} **${t.name}** - ${t.score} pts (${t.members.length} player(s))${mvp}`;
+            })
+            .join("\n");
+
+        embed.addFields({ name: "🤝 Team Standings", value: teamText });
+    }
+
     await channel.send({ embeds: [embed] });
+    await announceTournamentUpdate(channel, session?.tournamentUpdate, color);
 }
 
 // Login to Discord
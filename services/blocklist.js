@@ -0,0 +1,75 @@
+/**
+ * Token and Artist Blocklist
+ * Pure helpers for naming blocked items and keeping them out of game pools
+ * Entries are keyed "token:<contract>:<tokenId>" or "artist:<address>"
+ */
+
+// Tezos addresses: wallets (tz1-tz4) and contracts (KT1), base58 encoded
+const ADDRESS_PATTERN = /^(?:tz[1-4]|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/;
+
+// Token references: objkt.com links (".../tokens/KT1.../42" or ".../asset/KT1.../42") or "KT1...:42" / "KT1.../42"
+const TOKEN_PATTERN = /(KT1[1-9A-HJ-NP-Za-km-z]{33})[:/](\d+)\/?$/;
+
+/**
+ * Check whether text is a Tezos address
+ * @param {string} text - Text to check
+ * @returns {boolean} True for tz1-tz4 and KT1 addresses
+ */
+export function isTezosAddress(text) {
+    return ADDRESS_PATTERN.test(text);
+}
+
+/**
+ * Parse a token reference typed by a moderator
+ * @param {string} text - objkt.com link, or contract and token ID separated by ":" or "/"
+ * @returns {Object|null} Token ({ contract, tokenId }), or null if it isn't a token reference
+ */
+export function parseTokenReference(text) {
+    const match = TOKEN_PATTERN.exec(text.trim().split(/[?#]/)[0]);
+    return match ? { contract: match[1], tokenId: match[2] } : null;
+}
+
+/**
+ * Get the blocklist key for a token
+ * @param {string} contract - Token contract address
+ * @param {string} tokenId - Token ID
+ * @returns {string} Key like "token:KT1...:42"
+ */
+export function getTokenBlockKey(contract, tokenId) {
+    return `token:${contract}:${tokenId}`;
+}
+
+/**
+ * Get the blocklist key for an artist
+ * @param {string} address - Artist address
+ * @returns {string} Key like "artist:tz1..."
+ */
+export function getArtistBlockKey(address) {
+    return `artist:${address}`;
+}
+
+/**
+ * Check whether a token is blocked, either itself or through any of its creators
+ * @param {Object} blocklist - Blocklist entries keyed by blocklist key
+ * @param {Object} token - Normalized token
+ * @returns {boolean} True if the token must not be played
+ */
+export function isTokenBlocked(blocklist, token) {
+    if (Object.hasOwn(blocklist, getTokenBlockKey(token.contract, token.tokenId))) return true;
+
+    const creators = token.artists?.length > 0 ? token.artists : [token.primaryArtist];
+    return creators.some((address) => Object.hasOwn(blocklist, getArtistBlockKey(address)));
+}
+
+/**
+ * Remove blocked tokens and artists from a game pool
+ * @param {Object} pool - Pool ({ tokens, artists })
+ * @param {Object} blocklist - Blocklist entries keyed by blocklist key
+ * @returns {Object} New pool ({ tokens, artists }) without blocked items
+ */
+export function applyBlocklist(pool, blocklist) {
+    return {
+        tokens: pool.tokens.filter((token) => !isTokenBlocked(blocklist, token)),
+        artists: pool.artists.filter((address) => !Object.hasOwn(blocklist, getArtistBlockKey(address))),
+    };
+}
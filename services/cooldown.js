@@ -20,10 +20,11 @@ export class CooldownManager {
      * Check if a user is on cooldown for a command
      * @param {string} commandName - Command name
      * @param {string} userId - Discord user ID
+     * @param {Object} commands - Cooldowns by command (defaults to config; servers can override them)
      * @returns {Object} { onCooldown: boolean, remainingTime: number }
      */
-    checkUserCooldown(commandName, userId) {
-        const cooldownDuration = config.cooldowns?.commands?.[commandName]?.user || 0;
+    checkUserCooldown(commandName, userId, commands = config.cooldowns?.commands) {
+        const cooldownDuration = commands?.[commandName]?.user || 0;
         
         if (cooldownDuration === 0) {
             return { onCooldown: false, remainingTime: 0 };
@@ -57,10 +58,11 @@ export class CooldownManager {
      * Check if a channel is on cooldown for a command
      * @param {string} commandName - Command name
      * @param {string} channelId - Discord channel ID
+     * @param {Object} commands - Cooldowns by command (defaults to config; servers can override them)
      * @returns {Object} { onCooldown: boolean, remainingTime: number }
      */
-    checkChannelCooldown(commandName, channelId) {
-        const cooldownDuration = config.cooldowns?.commands?.[commandName]?.channel || 0;
+    checkChannelCooldown(commandName, channelId, commands = config.cooldowns?.commands) {
+        const cooldownDuration = commands?.[commandName]?.channel || 0;
         
         if (cooldownDuration === 0) {
             return { onCooldown: false, remainingTime: 0 };
@@ -0,0 +1,87 @@
+/**
+ * Fuzzy Answer Matching
+ * Decides whether a typed guess matches an artist name
+ * Case/diacritic-insensitive and tolerant of small typos
+ */
+
+/**
+ * Normalize text for comparison
+ * Strips diacritics, case, a leading "@", a trailing ".tez" and anything that isn't a letter or digit
+ * @param {string} text - Raw text (guess or artist name)
+ * @returns {string} Normalized text
+ */
+export function normalizeAnswer(text) {
+    if (!text || typeof text !== "string") {
+        return "";
+    }
+
+    return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "") // Remove combining diacritical marks
+        .toLowerCase()
+        .trim()
+        .replace(/^@/, "")
+        .replace(/\.tez$/, "")
+        .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits to turn a into b
+ */
+export function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    // Single-row dynamic programming
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Number of typos allowed for a name of a given length
+ * Short names must be exact so they can't be hit by accident
+ * @param {number} length - Normalized name length
+ * @returns {number} Maximum edit distance
+ */
+export function getTypoTolerance(length) {
+    if (length <= 4) return 0;
+    if (length <= 8) return 1;
+    return 2;
+}
+
+/**
+ * Check whether a guess matches any of the accepted names
+ * @param {string} guess - Typed guess
+ * @param {Array<string>} acceptedNames - Accepted names (alias, tzdomain, ...)
+ * @returns {boolean} True if the guess is close enough to one of the names
+ */
+export function isFuzzyMatch(guess, acceptedNames) {
+    const normalizedGuess = normalizeAnswer(guess);
+    if (!normalizedGuess) return false;
+
+    return acceptedNames.some((name) => {
+        const normalizedName = normalizeAnswer(name);
+        if (!normalizedName) return false;
+
+        const tolerance = getTypoTolerance(normalizedName.length);
+
+        // Cheap length check before computing the distance
+        if (Math.abs(normalizedName.length - normalizedGuess.length) > tolerance) return false;
+
+        return levenshteinDistance(normalizedGuess, normalizedName) <= tolerance;
+    });
+}
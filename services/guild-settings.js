@@ -0,0 +1,77 @@
+/**
+ * Guild Settings
+ * Pure helpers for resolving per-server settings over the config defaults
+ * Servers store only the settings they change; everything else falls back to config.js
+ */
+
+// Display names for the settings a server can change (stored overrides use the same keys as resolved settings)
+export const GUILD_SETTING_LABELS = {
+    roundsPerGame: "Default rounds",
+    roundTimeSeconds: "Round time",
+    delayBetweenRounds: "Delay between rounds",
+    difficulty: "Default difficulty",
+    allowedChannels: "Game channels",
+    color: "Embed color",
+    tokenSource: "Token source",
+    cooldowns: "Cooldowns",
+};
+
+/**
+ * Resolve a server's settings, falling back to the config defaults for anything it hasn't changed
+ * @param {Object} overrides - Settings the server has changed (from getGuildSettings)
+ * @param {Object} config - Bot config
+ * @returns {Object} Settings ({ roundsPerGame, roundTimeSeconds, delayBetweenRounds, difficulty,
+ *                   allowedChannels, color, tokenSource, cooldowns })
+ */
+export function resolveGuildSettings(overrides, config) {
+    // A source removed from the config since it was picked falls back to the default
+    const tokenSource = Object.hasOwn(config.tokenSources.sources, overrides.tokenSource ?? "")
+        ? overrides.tokenSource
+        : config.tokenSources.default;
+
+    // Cooldown overrides may change just the user or just the channel cooldown of a command
+    const cooldowns = { ...config.cooldowns?.commands };
+    for (const [commandName, cooldown] of Object.entries(overrides.cooldowns ?? {})) {
+        cooldowns[commandName] = { ...cooldowns[commandName], ...cooldown };
+    }
+
+    return {
+        roundsPerGame: overrides.roundsPerGame ?? config.game.roundsPerGame,
+        roundTimeSeconds: overrides.roundTimeSeconds ?? config.game.roundTimeSeconds,
+        delayBetweenRounds: overrides.delayBetweenRounds ?? config.game.delayBetweenRounds,
+        difficulty: overrides.difficulty ?? config.game.difficulty,
+        allowedChannels: overrides.allowedChannels ?? [], // Empty means games can be played in any channel
+        color: overrides.color ?? config.branding.color,
+        tokenSource,
+        cooldowns,
+    };
+}
+
+/**
+ * Check whether games can be played in a channel
+ * @param {Object} settings - Resolved server settings
+ * @param {string} channelId - Discord channel ID
+ * @returns {boolean} True if the channel is allowed
+ */
+export function isChannelAllowed(settings, channelId) {
+    return settings.allowedChannels.length === 0 || settings.allowedChannels.includes(channelId);
+}
+
+/**
+ * Parse a hex color as typed by a player
+ * @param {string} value - Color like "#2c7df6", "0x2c7df6" or "2c7df6"
+ * @returns {number|null} Color as a number, or null if it isn't a 6-digit hex color
+ */
+export function parseColor(value) {
+    const match = /^(?:#|0x)?([0-9a-f]{6})$/i.exec(value.trim());
+    return match ? parseInt(match[1], 16) : null;
+}
+
+/**
+ * Format a color for display
+ * @param {number} color - Color as a number
+ * @returns {string} Color like "#2c7df6"
+ */
+export function formatColor(color) {
+    return `#${color.toString(16).padStart(6, "0")}`;
+}
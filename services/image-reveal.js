@@ -0,0 +1,126 @@
+/**
+ * Progressive Image Reveal
+ * Downloads a token image and renders pixelated variants that get sharper stage by stage
+ */
+
+import sharp from "sharp";
+
+const DOWNLOAD_TIMEOUT_MS = 10000; // Give up on slow gateways so the round isn't held up
+const MAX_WIDTH = 800; // Discord embeds don't show images wider than this
+
+/**
+ * Get when each reveal stage after the first goes on screen, splitting the round into equal slices
+ * @param {number} roundMs - Round length in milliseconds
+ * @param {number} stageCount - Number of stages, including the first one shown with the round
+ * @returns {Array<number>} Delay from the start of the round per stage, starting with stage 1
+ */
+export function getStageDelays(roundMs, stageCount) {
+    const stageMs = roundMs / stageCount;
+    return Array.from({ length: Math.max(0, stageCount - 1) }, (_, index) => (index + 1) * stageMs);
+}
+
+/**
+ * Get the bonus for answering at a reveal stage, shrinking evenly from the full bonus to 0 at the last stage
+ * @param {number} stage - Stage index (0 = most pixelated)
+ * @param {number} stageCount - Number of stages
+ * @param {number} maxBonus - Bonus for answering in the first stage
+ * @returns {number} Bonus points
+ */
+export function getStageBonus(stage, stageCount, maxBonus) {
+    const lastStage = stageCount - 1;
+    if (lastStage <= 0) return 0;
+
+    return maxBonus * ((lastStage - Math.min(stage, lastStage)) / lastStage);
+}
+
+/**
+ * Get the size an image is shrunk to so each remaining pixel covers a block of the original
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} blockSize - Size of each pixel block in pixels
+ * @returns {{width: number, height: number}} Shrunk size (at least 1x1)
+ */
+export function getPixelatedSize(width, height, blockSize) {
+    return {
+        width: Math.max(1, Math.round(width / blockSize)),
+        height: Math.max(1, Math.round(height / blockSize)),
+    };
+}
+
+/**
+ * Download an image into memory
+ * @param {string} url - Image URL (e.g. token fullImageUrl)
+ * @param {number} maxBytes - Largest image to download; bigger ones are refused
+ * @returns {Promise<Buffer>} Image data
+ */
+export async function downloadImage(url, maxBytes) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+
+    if (!response.ok) {
+        throw new Error(`Image download failed with status ${response.status}`);
+    }
+
+    const tooLarge = () => new Error(`Image is larger than ${maxBytes} bytes`);
+    if (Number(response.headers.get("content-length")) > maxBytes) {
+        await response.body?.cancel();
+        throw tooLarge();
+    }
+
+    // Gateways don't always send a length, so count while reading too
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body ?? []) {
+        size += chunk.length;
+        if (size > maxBytes) throw tooLarge();
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Pixelate an image by shrinking it and scaling it back up without smoothing
+ * @param {Buffer} image - Source image data
+ * @param {number} blockSize - Size of each pixel block in pixels (0 returns the image unchanged)
+ * @returns {Promise<Buffer>} JPEG image data
+ */
+export async function pixelate(image, blockSize) {
+    // Work from a display-sized copy; animated images use their first frame
+    const base = sharp(image).rotate().resize({ width: MAX_WIDTH, withoutEnlargement: true }).flatten({
+        background: "#000000",
+    });
+
+    if (!blockSize) {
+        return base.jpeg({ quality: 85 }).toBuffer();
+    }
+
+    const { data, info } = await base.raw().toBuffer({ resolveWithObject: true });
+    const size = getPixelatedSize(info.width, info.height, blockSize);
+
+    const small = await sharp(data, { raw: info }).resize(size.width, size.height).toBuffer();
+
+    return sharp(small, { raw: { ...size, channels: info.channels } })
+        .resize(info.width, info.height, { kernel: sharp.kernel.nearest })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
+
+/**
+ * Build every reveal frame for a token image
+ * @param {string} url - Image URL
+ * @param {Array<number>} blockSizes - Pixel block size per stage, most pixelated first (0 = clear)
+ * @param {number} maxBytes - Largest image to download
+ * @returns {Promise<Array<Buffer>|null>} One JPEG per stage, or null if the image can't be revealed
+ *                                         (download failed, too large, or not an image sharp can read, e.g. video)
+ */
+export async function createRevealFrames(url, blockSizes, maxBytes) {
+    if (!url) return null;
+
+    try {
+        const image = await downloadImage(url, maxBytes);
+        return await Promise.all(blockSizes.map((blockSize) => pixelate(image, blockSize)));
+    } catch (error) {
+        console.error("Failed to create reveal frames:", error.message);
+        return null;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Token Media Kinds
+ * Pure helpers for classifying token artifacts and picking what Discord can show for each of them
+ * Discord embeds only display still images and GIFs, so other artifacts are shown through their preview image
+ */
+
+// Media kinds in the order they are listed to players
+export const MEDIA_KINDS = ["image", "gif", "video", "audio", "model", "html", "other"];
+
+// Display names for media kinds
+export const MEDIA_KIND_LABELS = {
+    image: "🖼️ Images",
+    gif: "🎞️ GIFs",
+    video: "🎬 Videos",
+    audio: "🎵 Audio",
+    model: "🧊 3D models",
+    html: "🕹️ Interactive",
+    other: "📦 Other",
+};
+
+// Image formats Discord renders inside embeds
+const EMBEDDABLE_IMAGE_MIMES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+
+// Video formats Discord plays inline when attached to a message, with the file extension Discord expects
+const PLAYABLE_VIDEO_EXTENSIONS = { "video/mp4": "mp4", "video/webm": "webm", "video/quicktime": "mov" };
+
+/**
+ * Classify a token's artifact by its MIME type
+ * @param {string} mime - Artifact MIME type from objkt
+ * @returns {string} Media kind (see MEDIA_KINDS)
+ */
+export function getMediaKind(mime) {
+    // Tokens cached before media kinds were fetched have no MIME type, and were always played as images
+    if (!mime) return "image";
+
+    if (mime === "image/gif") return "gif";
+    // SVGs can run scripts and don't render in embeds, so they are treated like interactive tokens
+    if (mime === "image/svg+xml") return "html";
+    if (mime.startsWith("image/")) return "image";
+    if (mime.startsWith("video/")) return "video";
+    if (mime.startsWith("audio/")) return "audio";
+    if (mime.startsWith("model/")) return "model";
+    if (mime === "text/html" || mime === "application/x-directory") return "html";
+    return "other";
+}
+
+/**
+ * Get the MIME type of one of a token's files
+ * @param {Object} token - Raw token data from the API ({ mime, artifact_uri, formats })
+ * @param {string} uri - File URI
+ * @returns {string|null} MIME type, or null if the token doesn't say
+ */
+function getUriMime(token, uri) {
+    const format = token.formats?.find((f) => f.uri === uri);
+    if (format?.mimeType) return format.mimeType;
+    return uri === token.artifact_uri ? (token.mime ?? null) : null;
+}
+
+/**
+ * Pick the still images to show for a token
+ * Display and thumbnail files are previews by convention, so they are used unless they say they aren't images;
+ * the artifact itself is only used when Discord can render it
+ * @param {Object} token - Raw token data from the API ({ mime, artifact_uri, display_uri, thumbnail_uri, formats })
+ * @returns {Object} URIs ({ thumbnailUri, fullUri }), null where the token has nothing Discord can show
+ */
+export function getStillImageUris(token) {
+    const isStill = (uri) => {
+        if (!uri) return false;
+        const mime = getUriMime(token, uri);
+        return !mime || EMBEDDABLE_IMAGE_MIMES.has(mime);
+    };
+
+    // Thumbnails load faster; the display file is the higher quality preview
+    const thumbnailUri = [token.thumbnail_uri, token.display_uri, token.artifact_uri].find(isStill) ?? null;
+    const fullUri = [token.display_uri, token.artifact_uri, token.thumbnail_uri].find(isStill) ?? null;
+
+    return { thumbnailUri, fullUri };
+}
+
+/**
+ * Get a token's video if Discord can play it as an attachment
+ * @param {Object} token - Raw token data from the API ({ mime, artifact_uri, formats })
+ * @returns {Object|null} Video ({ uri, size, extension }), size in bytes or null if unknown;
+ *                        null if there's no playable video
+ */
+export function getPlayableVideo(token) {
+    const extension = token.artifact_uri ? PLAYABLE_VIDEO_EXTENSIONS[getUriMime(token, token.artifact_uri)] : null;
+    if (!extension) return null;
+
+    const fileSize = Number(token.formats?.find((f) => f.uri === token.artifact_uri)?.fileSize);
+    return { uri: token.artifact_uri, size: Number.isFinite(fileSize) ? fileSize : null, extension };
+}
+
+/**
+ * Parse the media kinds a player asked for
+ * @param {string} text - Comma-separated kinds to include ("image, gif"), kinds to leave out ("-video, -html"),
+ *                        or "all"
+ * @returns {Array<string>|null} Media kinds to play, or null if the text names an unknown kind or leaves nothing
+ */
+export function parseMediaKinds(text) {
+    const parts = text
+        .toLowerCase()
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean);
+
+    if (parts.length === 1 && parts[0] === "all") return [...MEDIA_KINDS];
+
+    const excluded = parts.filter((part) => part.startsWith("-")).map((part) => part.slice(1).trim());
+    const included = parts.filter((part) => !part.startsWith("-"));
+    if ([...excluded, ...included].some((kind) => !MEDIA_KINDS.includes(kind))) return null;
+
+    const kinds = (included.length > 0 ? included : MEDIA_KINDS).filter((kind) => !excluded.includes(kind));
+    return kinds.length > 0 ? MEDIA_KINDS.filter((kind) => kinds.includes(kind)) : null;
+}
+
+/**
+ * Limit a game pool to tokens of some media kinds
+ * Artists without a token left are dropped too, so the pool keeps the same shape as a source pool
+ * @param {Object} pool - Pool ({ tokens, artists })
+ * @param {Array<string>} kinds - Media kinds to keep
+ * @returns {Object} New pool ({ tokens, artists })
+ */
+export function filterPoolByMedia(pool, kinds) {
+    if (MEDIA_KINDS.every((kind) => kinds.includes(kind))) return pool;
+
+    // Tokens cached before media kinds were fetched were all played as images
+    const tokens = pool.tokens.filter((token) => kinds.includes(token.mediaKind ?? "image"));
+    const artistsWithTokens = new Set(tokens.flatMap((token) => token.artists ?? []));
+
+    return {
+        tokens,
+        artists: pool.artists.filter((address) => artistsWithTokens.has(address)),
+    };
+}
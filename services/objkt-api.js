@@ -1,14 +1,15 @@
 /**
  * objkt.com GraphQL API Integration
- * Fetches NFT tokens from The Tezos Community wallet
+ * Fetches NFT tokens from the configured token sources (wallets, creators, contracts or objkt collections)
  */
 
 import { GraphQLClient, gql } from "graphql-request";
 import rateKeeperPkg from "rate-keeper";
+import { sample, randomOrder } from "./random.js";
+import { getMediaKind, getStillImageUris, getPlayableVideo } from "./media.js";
 const { default: RateKeeper, DropPolicy } = rateKeeperPkg;
 
 const OBJKT_GRAPHQL_ENDPOINT = "https://data.objkt.com/v3/graphql";
-const TTC_WALLET_ADDRESS = "tz1RZN17j7FuPtDpGpXKgMXbx57WEhpZGF6B";
 const IPFS_GATEWAY = "https://ipfs.fileship.xyz";
 
 /**
@@ -84,6 +85,8 @@ const TOKENS_QUERY = gql`
                     artifact_uri
                     display_uri
                     thumbnail_uri
+                    mime
+                    formats
                     fa_contract
                     creators {
                         creator_address
@@ -94,6 +97,58 @@ const TOKENS_QUERY = gql`
     }
 `;
 
+/**
+ * GraphQL query to fetch tokens matching a filter (creator, contract or collection sources)
+ * Only fetches tokens that still exist (supply > 0)
+ */
+const FILTERED_TOKENS_QUERY = gql`
+    query GetFilteredTokens($where: token_bool_exp!, $limit: Int!, $offset: Int!) {
+        token(where: $where, offset: $offset, limit: $limit, order_by: { pk: asc }) {
+            token_id
+            name
+            description
+            artifact_uri
+            display_uri
+            thumbnail_uri
+            mime
+            formats
+            fa_contract
+            creators {
+                creator_address
+            }
+        }
+    }
+`;
+
+/**
+ * Token source types and the token filter each one fetches with
+ * "holder" sources are fetched from the wallet's holdings instead (see TOKENS_QUERY)
+ */
+const SOURCE_FILTERS = {
+    creator: (source) => ({ creators: { creator_address: { _eq: source.address } } }),
+    contract: (source) => ({ fa_contract: { _eq: source.contract } }),
+    collection: (source) => ({ fa: { collection_id: { _eq: String(source.collectionId) } } }),
+};
+
+/**
+ * Check whether a token source definition can be fetched
+ * @param {Object} source - Token source ({ type, address | contract | collectionId })
+ * @returns {boolean} True if the source has a known type and the field that type needs
+ */
+export function isValidTokenSource(source) {
+    switch (source?.type) {
+        case "holder":
+        case "creator":
+            return typeof source.address === "string" && source.address.length > 0;
+        case "contract":
+            return typeof source.contract === "string" && source.contract.length > 0;
+        case "collection":
+            return source.collectionId !== undefined && source.collectionId !== null && source.collectionId !== "";
+        default:
+            return false;
+    }
+}
+
 /**
  * GraphQL query to fetch artist info (alias, tzdomain, etc.)
  */
@@ -109,15 +164,16 @@ const ARTIST_INFO_QUERY = gql`
 `;
 
 /**
- * Fetch tokens from the TTC wallet with pagination
+ * Fetch tokens held by a wallet with pagination
+ * @param {string} address - Wallet address
  * @param {number} limit - Number of tokens per page
  * @param {number} offset - Offset for pagination
  * @returns {Promise<Array>} Array of tokens
  */
-export async function fetchTokensFromWallet(limit = 100, offset = 0) {
+export async function fetchTokensFromWallet(address, limit = 100, offset = 0) {
     try {
         const data = await rateLimitedRequest(TOKENS_QUERY, {
-            address: TTC_WALLET_ADDRESS,
+            address,
             limit,
             offset,
         });
@@ -134,20 +190,51 @@ export async function fetchTokensFromWallet(limit = 100, offset = 0) {
 }
 
 /**
- * Fetch all tokens from the TTC wallet (handles pagination)
+ * Fetch tokens from a token source with pagination
+ * @param {Object} source - Token source (see config.tokenSources)
+ * @param {number} limit - Number of tokens per page
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Array>} Array of tokens
+ */
+export async function fetchTokensFromSource(source, limit = 100, offset = 0) {
+    if (source.type === "holder") {
+        return fetchTokensFromWallet(source.address, limit, offset);
+    }
+
+    try {
+        const data = await rateLimitedRequest(FILTERED_TOKENS_QUERY, {
+            where: { ...SOURCE_FILTERS[source.type](source), supply: { _gt: 0 } },
+            limit,
+            offset,
+        });
+
+        return data.token || [];
+    } catch (error) {
+        console.error("Error fetching tokens from objkt.com:", error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch all tokens from a token source (handles pagination)
+ * @param {Object} source - Token source (see config.tokenSources)
  * @param {number} batchSize - Number of tokens to fetch per request
- * @returns {Promise<Array>} All tokens from the wallet
+ * @returns {Promise<Array>} All tokens from the source
  */
-export async function fetchAllTokens(batchSize = 100) {
+export async function fetchAllTokens(source, batchSize = 100) {
+    if (!isValidTokenSource(source)) {
+        throw new Error(`Invalid token source: ${JSON.stringify(source)}`);
+    }
+
     const allTokens = [];
     let offset = 0;
     let hasMore = true;
 
-    console.log("📦 Fetching tokens from TTC wallet...");
+    console.log(`📦 Fetching tokens from ${source.name}...`);
 
     while (hasMore) {
         try {
-            const tokens = await fetchTokensFromWallet(batchSize, offset);
+            const tokens = await fetchTokensFromSource(source, batchSize, offset);
 
             if (tokens.length === 0) {
                 hasMore = false;
@@ -177,10 +264,9 @@ export async function fetchAllTokens(batchSize = 100) {
  * @returns {Object} Normalized token data
  */
 export function normalizeToken(token) {
-    // Prioritize thumbnail for faster loading, fallback to display_uri or artifact_uri
-    const thumbnailUrl = token.thumbnail_uri || token.display_uri || token.artifact_uri;
-    // Full image URL for precaching or higher quality display
-    const fullImageUrl = token.display_uri || token.artifact_uri || token.thumbnail_uri;
+    // Videos, 3D models and interactive artifacts are shown through their still preview
+    const { thumbnailUri, fullUri } = getStillImageUris(token);
+    const video = getPlayableVideo(token);
 
     // Extract artist addresses
     const artists = token.creators?.map((c) => c.creator_address) || [];
@@ -190,8 +276,10 @@ export function normalizeToken(token) {
         tokenId: token.token_id,
         name: token.name || "Untitled",
         description: token.description || "",
-        imageUrl: convertIpfsToGateway(thumbnailUrl) || null,
-        fullImageUrl: convertIpfsToGateway(fullImageUrl) || null,
+        imageUrl: convertIpfsToGateway(thumbnailUri),
+        fullImageUrl: convertIpfsToGateway(fullUri),
+        mediaKind: getMediaKind(token.mime),
+        video: video ? { url: convertIpfsToGateway(video.uri), size: video.size, extension: video.extension } : null,
         artists: artists,
         primaryArtist: primaryArtist,
         contract: token.fa_contract,
@@ -312,18 +400,109 @@ export async function batchResolveArtistNames(addresses) {
     return artistInfoMap;
 }
 
+/**
+ * Check whether an artist is one of a token's creators
+ * Collaborative tokens list every creator, and any of them counts as the token's artist
+ * @param {Object} token - Normalized token
+ * @param {string} artist - Artist address
+ * @returns {boolean} True if the artist created (or co-created) the token
+ */
+export function isTokenCreator(token, artist) {
+    return artist === token.primaryArtist || !!token.artists?.includes(artist);
+}
+
 /**
  * Get random distractors (wrong answers) for a token
+ * Co-creators of a collaborative token would also be right, so they're never picked
  * @param {Object} correctToken - The correct token
  * @param {Array} allArtists - All available artists
  * @param {number} count - Number of distractors needed
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @param {Array<Array>} preferredPools - Artist pools to draw from first, in order (e.g. same-contract artists)
  * @returns {Array} Array of distractor artist addresses
  */
-export function getDistractors(correctToken, allArtists, count = 3) {
-    const correctArtist = correctToken.primaryArtist;
-    const availableArtists = allArtists.filter((artist) => artist !== correctArtist);
+export function getDistractors(correctToken, allArtists, count = 3, random = Math.random, preferredPools = []) {
+    const used = new Set([correctToken.primaryArtist, ...(correctToken.artists ?? [])]);
+    const accept = (artist) => {
+        if (used.has(artist)) return false;
+        used.add(artist);
+        return true;
+    };
+
+    // Fill from the preferred pools first, then from the whole artist list
+    // Sampling avoids copying or sorting the whole list
+    const distractors = [];
+    for (const pool of [...preferredPools, allArtists]) {
+        if (distractors.length >= count) break;
+        distractors.push(...sample(pool, count - distractors.length, random, accept));
+    }
+
+    return distractors;
+}
+
+/**
+ * Get random artwork distractors for reverse mode
+ * Each distractor is by a different artist than the correct token and than each other, and never a collaboration
+ * with the artist being asked about
+ * @param {Object} correctToken - The correct token
+ * @param {Array} allTokens - All available tokens
+ * @param {number} count - Number of distractors needed
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {Array} Array of distractor tokens
+ */
+export function getArtworkDistractors(correctToken, allTokens, count = 3, random = Math.random) {
+    const usedArtists = new Set([correctToken.primaryArtist]);
+
+    // Pick random tokens from artists not used yet
+    return sample(allTokens, count, random, (token) => {
+        if (usedArtists.has(token.primaryArtist) || isTokenCreator(token, correctToken.primaryArtist)) return false;
+        usedArtists.add(token.primaryArtist);
+        return true;
+    });
+}
+
+/**
+ * Check whether a token has a real title worth asking about
+ * @param {Object} token - Normalized token
+ * @returns {boolean} False for empty or "Untitled" names
+ */
+export function hasMeaningfulTitle(token) {
+    const name = token.name?.trim();
+    return !!name && name.toLowerCase() !== "untitled";
+}
+
+/**
+ * Get distractor tokens for title mode
+ * Prefers the same artist's other works so the artist's style doesn't give the answer away,
+ * then fills with works by other artists. Titles are unique (case-insensitive) across all choices.
+ * @param {Object} correctToken - The correct token
+ * @param {Array} allTokens - All available tokens
+ * @param {number} count - Number of distractors needed
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {Array} Array of distractor tokens
+ */
+export function getTitleDistractors(correctToken, allTokens, count = 3, random = Math.random) {
+    const usedTitles = new Set([correctToken.name.trim().toLowerCase()]);
+    const acceptTitle = (token) => {
+        if (!hasMeaningfulTitle(token)) return false;
+
+        const title = token.name.trim().toLowerCase();
+        if (usedTitles.has(title)) return false;
+
+        usedTitles.add(title);
+        return true;
+    };
+
+    // Try the same artist's works before everyone else's
+    const sameArtist = allTokens.filter((token) => token.primaryArtist === correctToken.primaryArtist);
+    const distractors = sample(sameArtist, count, random, acceptTitle);
+
+    for (const token of randomOrder(allTokens, random)) {
+        if (distractors.length >= count) break;
+        if (token.primaryArtist !== correctToken.primaryArtist && acceptTitle(token)) {
+            distractors.push(token);
+        }
+    }
 
-    // Shuffle and pick random distractors
-    const shuffled = availableArtists.sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, count);
+    return distractors;
 }
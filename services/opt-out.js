@@ -0,0 +1,56 @@
+/**
+ * Artist Opt-Out Registry
+ * Pure helpers for the opt-out challenge message and for keeping opted-out artists out of game pools
+ * Artists prove they own a wallet by signing the challenge (see services/wallet-signature.js)
+ */
+
+// Wallets show messages starting with this prefix as readable text when asked to sign them
+const SIGNED_MESSAGE_PREFIX = "Tezos Signed Message:";
+
+/**
+ * Create the message an artist signs to opt out
+ * The Discord user and time are part of it, so a signature can't be replayed by someone else or later
+ * @param {string} address - Artist's Tezos address
+ * @param {string} userId - Discord user ID asking for the opt-out
+ * @param {string} issuedAt - ISO timestamp of the request
+ * @returns {string} Message to sign
+ */
+export function createOptOutMessage(address, userId, issuedAt) {
+    return `${SIGNED_MESSAGE_PREFIX} Name That Artist opt-out of ${address} for Discord user ${userId} at ${issuedAt}`;
+}
+
+/**
+ * Encode a message the way Tezos wallets sign text (a Micheline-packed string)
+ * @param {string} message - Message text
+ * @returns {string} Hex payload: 0x05 (packed data), 0x01 (string), 4-byte length, UTF-8 bytes
+ */
+export function encodeSignedMessage(message) {
+    const bytes = Buffer.from(message, "utf8");
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(bytes.length);
+    return `0501${length.toString("hex")}${bytes.toString("hex")}`;
+}
+
+/**
+ * Check whether a token is by an opted-out artist (any creator of a collaborative token counts)
+ * @param {Object} optOuts - Opt-outs keyed by artist address
+ * @param {Object} token - Normalized token
+ * @returns {boolean} True if the token must not be played
+ */
+export function isOptedOutToken(optOuts, token) {
+    const creators = token.artists?.length > 0 ? token.artists : [token.primaryArtist];
+    return creators.some((address) => Object.hasOwn(optOuts, address));
+}
+
+/**
+ * Remove opted-out artists and their tokens from a game pool
+ * @param {Object} pool - Pool ({ tokens, artists })
+ * @param {Object} optOuts - Opt-outs keyed by artist address
+ * @returns {Object} New pool ({ tokens, artists }) without opted-out artists
+ */
+export function applyOptOuts(pool, optOuts) {
+    return {
+        tokens: pool.tokens.filter((token) => !isOptedOutToken(optOuts, token)),
+        artists: pool.artists.filter((address) => !Object.hasOwn(optOuts, address)),
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Pausable Timer
+ * Game timers that can be paused and resumed, so a paused game doesn't lose round time
+ */
+
+/**
+ * A setTimeout that can be paused, resumed and cancelled
+ */
+export class PausableTimer {
+    /**
+     * Create a timer (it doesn't run until start is called)
+     * @param {Function} callback - Called once the delay has run
+     * @param {number} delayMs - Delay in milliseconds
+     * @param {Object} clock - Time functions ({ now, setTimeout, clearTimeout }), replaceable for tests
+     */
+    constructor(callback, delayMs, clock = { now: () => Date.now(), setTimeout, clearTimeout }) {
+        this.callback = callback;
+        this.remainingMs = delayMs;
+        this.clock = clock;
+        this.handle = null;
+        this.startedAt = null;
+        this.state = "idle"; // "idle", "running", "paused", "fired" or "cancelled"
+    }
+
+    /**
+     * Start (or restart after a pause) counting down the remaining time
+     * @returns {boolean} True if the timer started
+     */
+    start() {
+        if (this.state !== "idle" && this.state !== "paused") return false;
+
+        this.state = "running";
+        this.startedAt = this.clock.now();
+        this.handle = this.clock.setTimeout(() => {
+            this.state = "fired";
+            this.handle = null;
+            this.remainingMs = 0;
+            this.callback();
+        }, this.remainingMs);
+        return true;
+    }
+
+    /**
+     * Stop counting down, keeping the time that was left
+     * @returns {boolean} True if the timer was running
+     */
+    pause() {
+        if (this.state !== "running") return false;
+
+        this.clock.clearTimeout(this.handle);
+        this.handle = null;
+        this.remainingMs = Math.max(0, this.remainingMs - (this.clock.now() - this.startedAt));
+        this.state = "paused";
+        return true;
+    }
+
+    /**
+     * Continue counting down after a pause
+     * @returns {boolean} True if the timer was paused
+     */
+    resume() {
+        return this.state === "paused" && this.start();
+    }
+
+    /**
+     * Stop the timer for good without calling the callback
+     */
+    cancel() {
+        if (this.handle !== null) {
+            this.clock.clearTimeout(this.handle);
+            this.handle = null;
+        }
+        if (this.state !== "fired") {
+            this.state = "cancelled";
+        }
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Seeded Random Numbers
+ * Deterministic random sources so a seed always produces the same game,
+ * plus unbiased shuffling and sampling helpers
+ */
+
+import crypto from "crypto";
+
+/**
+ * Hash a string seed into a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed string (e.g. 'daily:2024-01-31')
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * Drop-in replacement for Math.random: returns floats in [0, 1)
+ * @param {string|number} seed - Seed string or number
+ * @returns {Function} Random function
+ */
+export function createSeededRandom(seed) {
+    let state = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a fresh seed for a game session
+ * @returns {string} 8-character hex seed
+ */
+export function generateSeed() {
+    return crypto.randomBytes(4).toString("hex");
+}
+
+/**
+ * Lazily yield the items of an array in uniformly random order
+ * Sparse Fisher–Yates: the array is never copied, so taking a few items from a large pool is cheap
+ * @param {Array} array - Source array (not modified)
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @yields {*} Items in random order, each exactly once
+ */
+export function* randomOrder(array, random = Math.random) {
+    const swapped = new Map(); // index -> item moved there by an earlier swap
+
+    for (let i = 0; i < array.length; i++) {
+        const j = i + Math.floor(random() * (array.length - i));
+        const picked = swapped.has(j) ? swapped.get(j) : array[j];
+
+        // Move the item at i into the picked slot so it can still be drawn later
+        swapped.set(j, swapped.has(i) ? swapped.get(i) : array[i]);
+        swapped.delete(i);
+
+        yield picked;
+    }
+}
+
+/**
+ * Pick distinct random items from an array
+ * @param {Array} array - Source array (not modified)
+ * @param {number} count - Number of items to pick
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @param {Function} accept - Optional predicate; rejected items are skipped
+ * @returns {Array} Up to count items, uniformly chosen among accepted items
+ */
+export function sample(array, count, random = Math.random, accept = null) {
+    const picked = [];
+    if (count <= 0) return picked;
+
+    for (const item of randomOrder(array, random)) {
+        if (accept && !accept(item)) continue;
+
+        picked.push(item);
+        if (picked.length >= count) break;
+    }
+
+    return picked;
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher–Yates)
+ * @param {Array} array - Source array (not modified)
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(array, random = Math.random) {
+    const shuffled = [...array];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+}
@@ -0,0 +1,155 @@
+/**
+ * Round Scheduler
+ * Keeps the timers of each channel's game (lobby countdown, round end, reveal frames, delays between rounds)
+ * in one place, so they can be paused, cancelled or run early together
+ */
+
+import { PausableTimer } from "./pausable-timer.js";
+
+/**
+ * Named, pausable timers grouped by channel
+ */
+export class RoundScheduler {
+    /**
+     * @param {Object} clock - Time functions for PausableTimer ({ now, setTimeout, clearTimeout }),
+     *                         replaceable for tests
+     */
+    constructor(clock = undefined) {
+        this.clock = clock;
+        this.channels = new Map(); // channelId -> { paused, entries: Set<{ name, timer, callback }> }
+    }
+
+    /**
+     * Get a channel's timers, creating the record if needed
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} Channel record ({ paused, entries })
+     */
+    getChannel(channelId) {
+        if (!this.channels.has(channelId)) {
+            this.channels.set(channelId, { paused: false, entries: new Set() });
+        }
+        return this.channels.get(channelId);
+    }
+
+    /**
+     * Run a callback after a delay, as part of a channel's game
+     * Timers scheduled while the channel is paused wait for it to be resumed
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - What the timer is for ("lobby", "roundEnd", "reveal", "nextRound"), to run or cancel it
+     *                        by name
+     * @param {Function} callback - Called once the delay has run
+     * @param {number} delayMs - Delay in milliseconds
+     */
+    schedule(channelId, name, callback, delayMs) {
+        const channel = this.getChannel(channelId);
+        const entry = { name, callback: () => this.runCallback(channelId, name, callback) };
+
+        entry.timer = new PausableTimer(
+            () => {
+                channel.entries.delete(entry);
+                entry.callback();
+            },
+            delayMs,
+            this.clock
+        );
+        channel.entries.add(entry);
+
+        if (!channel.paused) {
+            entry.timer.start();
+        }
+    }
+
+    /**
+     * Run a timer's callback, logging its errors
+     * Timers have no caller to report to, so a failed Discord request mustn't become an unhandled rejection
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Timer name
+     * @param {Function} callback - Callback to run (sync or async)
+     * @returns {Promise<void>} Resolves once the callback has finished
+     */
+    async runCallback(channelId, name, callback) {
+        try {
+            await callback();
+        } catch (error) {
+            console.error(`Error running ${name} timer in ${channelId}:`, error);
+        }
+    }
+
+    /**
+     * Run a channel's timers with a name straight away instead of waiting for them (e.g. to end a round early)
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Timer name
+     * @returns {Promise<boolean>} True if a timer was waiting to run
+     */
+    async runNow(channelId, name) {
+        const entries = this.takeEntries(channelId, name);
+        for (const entry of entries) {
+            await entry.callback();
+        }
+        return entries.length > 0;
+    }
+
+    /**
+     * Pause a channel's timers, keeping the time each had left
+     * @param {string} channelId - Discord channel ID
+     */
+    pause(channelId) {
+        const channel = this.getChannel(channelId);
+        channel.paused = true;
+        channel.entries.forEach((entry) => entry.timer.pause());
+    }
+
+    /**
+     * Resume a channel's timers, including those scheduled while it was paused
+     * @param {string} channelId - Discord channel ID
+     */
+    resume(channelId) {
+        const channel = this.channels.get(channelId);
+        if (!channel) return;
+
+        channel.paused = false;
+        channel.entries.forEach((entry) => entry.timer.resume() || entry.timer.start());
+    }
+
+    /**
+     * Cancel a channel's timers without running them
+     * Cancelling them all (when the game ends or a round is skipped) also lifts a pause
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Only cancel timers with this name (all of them if omitted)
+     */
+    cancel(channelId, name = null) {
+        this.takeEntries(channelId, name);
+        if (name === null) {
+            this.channels.delete(channelId);
+        }
+    }
+
+    /**
+     * Stop and remove a channel's timers
+     * @param {string} channelId - Discord channel ID
+     * @param {string|null} name - Only take timers with this name (all of them if null)
+     * @returns {Array<Object>} Removed entries ({ name, timer, callback })
+     */
+    takeEntries(channelId, name) {
+        const channel = this.channels.get(channelId);
+        if (!channel) return [];
+
+        const entries = [...channel.entries].filter((entry) => name === null || entry.name === name);
+        for (const entry of entries) {
+            entry.timer.cancel();
+            channel.entries.delete(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Count a channel's timers that haven't run yet
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Only count timers with this name (all of them if omitted)
+     * @returns {number} Waiting timers
+     */
+    getPendingCount(channelId, name = null) {
+        const entries = this.channels.get(channelId)?.entries ?? [];
+        return [...entries].filter((entry) => name === null || entry.name === name).length;
+    }
+}
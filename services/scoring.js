@@ -0,0 +1,74 @@
+/**
+ * Scoring Strategies
+ * Turn a correct answer into points
+ * Strategies are pure functions of the answer and the game settings, always timed against the game's own round length
+ */
+
+/**
+ * Share of the round still left when an answer came in
+ * @param {Object} answer - Answer timing ({ elapsedSeconds, roundTimeSeconds })
+ * @returns {number} Between 0 (time's up) and 1 (answered instantly)
+ */
+function remainingShare({ elapsedSeconds, roundTimeSeconds }) {
+    if (!roundTimeSeconds || roundTimeSeconds <= 0) return 0;
+    return Math.min(1, Math.max(0, (roundTimeSeconds - elapsedSeconds) / roundTimeSeconds));
+}
+
+/**
+ * Available scoring strategies
+ * Each score function receives the answer ({ elapsedSeconds, roundTimeSeconds, rank }) and settings
+ * ({ baseScore, firstCorrectBonus, rankShares }); rank is 1 for the round's first correct answer
+ */
+export const scoringStrategies = {
+    linear: {
+        name: "Speed",
+        description: "Faster answers score more, falling to 0 when time runs out",
+        score: (answer, settings) => settings.baseScore * remainingShare(answer),
+    },
+    flat: {
+        name: "Flat",
+        description: "Every correct answer scores the same",
+        score: (answer, settings) => settings.baseScore,
+    },
+    "first-bonus": {
+        name: "First Bonus",
+        description: "Speed scoring plus a bonus for the first correct answer",
+        score: (answer, settings) =>
+            settings.baseScore * remainingShare(answer) + (answer.rank === 1 ? settings.firstCorrectBonus : 0),
+    },
+    rank: {
+        name: "Podium",
+        description: "Points depend on the order of correct answers, not the clock",
+        score: (answer, settings) => {
+            const shares = settings.rankShares;
+            return settings.baseScore * shares[Math.min(answer.rank, shares.length) - 1];
+        },
+    },
+};
+
+/**
+ * Check whether a scoring strategy exists
+ * @param {string} strategyName - Strategy key (e.g. 'linear')
+ * @returns {boolean} True if the strategy exists
+ */
+export function isScoringStrategy(strategyName) {
+    return Object.hasOwn(scoringStrategies, strategyName);
+}
+
+/**
+ * Score a correct answer
+ * @param {string} strategyName - Strategy key ('linear', 'flat', 'first-bonus' or 'rank')
+ * @param {Object} answer - Answer details
+ * @param {number} answer.elapsedSeconds - Seconds between the round starting and the answer
+ * @param {number} answer.roundTimeSeconds - The game's round length in seconds
+ * @param {number} answer.rank - Position among the round's correct answers (1 = first)
+ * @param {Object} settings - Scoring settings ({ baseScore, firstCorrectBonus, rankShares }, e.g. config.game)
+ * @returns {number} Points before rounding and bonuses (never negative)
+ */
+export function calculateScore(strategyName, answer, settings) {
+    if (!isScoringStrategy(strategyName)) {
+        throw new Error(`Unknown scoring strategy: ${strategyName}`);
+    }
+
+    return Math.max(0, scoringStrategies[strategyName].score(answer, settings));
+}
@@ -0,0 +1,62 @@
+/**
+ * Game Session State
+ * Pure helpers for saving running games as JSON and restoring them after a restart
+ * Sessions hold Maps and Sets, which JSON can't store, so they are saved as arrays of entries
+ */
+
+/**
+ * Convert a game session to plain JSON data
+ * @param {Object} session - Game session
+ * @returns {Object} Saved state
+ */
+export function serializeSession(session) {
+    return {
+        ...session,
+        rounds: session.rounds.map((round) => ({
+            ...round,
+            answered: [...round.answered],
+            hints: [...round.hints].map(([userId, hints]) => [userId, [...hints]]),
+        })),
+        players: [...session.players],
+        teams: session.teams
+            ? [...session.teams].map(([teamId, team]) => [teamId, { ...team, members: [...team.members] }])
+            : null,
+        roster: session.roster ? [...session.roster] : null,
+    };
+}
+
+/**
+ * Rebuild a game session from its saved state
+ * @param {Object} state - Saved state from serializeSession
+ * @returns {Object} Game session
+ */
+export function deserializeSession(state) {
+    // lastUpdated is added by saveGameState and isn't part of the session
+    const { lastUpdated, ...session } = state;
+
+    return {
+        ...session,
+        rounds: session.rounds.map((round) => ({
+            ...round,
+            answered: new Set(round.answered),
+            hints: new Map(round.hints.map(([userId, hints]) => [userId, new Map(hints)])),
+        })),
+        players: new Map(session.players),
+        teams: session.teams
+            ? new Map(session.teams.map(([teamId, team]) => [teamId, { ...team, members: new Set(team.members) }]))
+            : null,
+        roster: session.roster ? new Set(session.roster) : null,
+    };
+}
+
+/**
+ * Check whether a saved game is too old to pick up again
+ * @param {string} savedAt - ISO timestamp the state was saved at
+ * @param {number} maxAgeMinutes - Oldest state that can still be resumed
+ * @param {number} now - Current time in ms (for testing)
+ * @returns {boolean} True if the game should be closed instead of resumed
+ */
+export function isStaleSession(savedAt, maxAgeMinutes, now = Date.now()) {
+    const savedTime = Date.parse(savedAt);
+    return Number.isNaN(savedTime) || now - savedTime > maxAgeMinutes * 60000;
+}
@@ -14,9 +14,20 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, "..", "data");
 
 // File paths
-const TOKENS_FILE = path.join(DATA_DIR, "tokens.json");
+const TOKEN_CACHE_FILE = path.join(DATA_DIR, "token_cache.json");
+const LEGACY_TOKENS_FILE = path.join(DATA_DIR, "tokens.json"); // Single-source cache from before token sources
 const PLAYERS_FILE = path.join(DATA_DIR, "players.json");
 const GAME_STATE_FILE = path.join(DATA_DIR, "game_state.json");
+const TEAM_RESULTS_FILE = path.join(DATA_DIR, "team_results.json");
+const DAILY_FILE = path.join(DATA_DIR, "daily.json");
+const DAILY_STREAKS_FILE = path.join(DATA_DIR, "daily_streaks.json");
+const CONFUSIONS_FILE = path.join(DATA_DIR, "confusions.json");
+const TOURNAMENTS_FILE = path.join(DATA_DIR, "tournaments.json");
+const SEASONS_FILE = path.join(DATA_DIR, "seasons.json");
+const GUILD_SETTINGS_FILE = path.join(DATA_DIR, "guild_settings.json");
+const BLOCKLIST_FILE = path.join(DATA_DIR, "blocklist.json");
+const OPT_OUTS_FILE = path.join(DATA_DIR, "opt_outs.json");
+const TRANSCRIPTS_FILE = path.join(DATA_DIR, "transcripts.json");
 
 /**
  * Ensure data directory exists
@@ -60,11 +71,34 @@ async function writeJSON(filePath, data) {
 // ===== TOKENS =====
 
 /**
- * Save tokens to file with progressive append-only logging
+ * Load every token source's cache with fallback to append log
+ * @returns {Promise<Object>} Token caches keyed by source ID
+ */
+async function loadTokenCache() {
+    const data = await readJSON(TOKEN_CACHE_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("token_cache");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Save a token source's tokens with progressive append-only logging
+ * Each source is cached separately, so refreshing one leaves the others alone
+ * @param {string} sourceId - Token source ID (key in config.tokenSources.sources)
  * @param {Array} tokens - Array of token objects
  * @param {Object} artistInfo - Optional artist info map (address -> info)
  */
-export async function saveTokens(tokens, artistInfo = null) {
+export async function saveTokens(sourceId, tokens, artistInfo = null) {
+    const cache = await loadTokenCache();
     const data = {
         lastUpdated: new Date().toISOString(),
         count: tokens.length,
@@ -75,44 +109,77 @@ export async function saveTokens(tokens, artistInfo = null) {
         data.artistInfo = artistInfo;
     }
 
+    cache[sourceId] = data;
+
     // Write to both append log (for durability) and main file (for compatibility)
-    await appendLogEntry("tokens", {
+    await appendLogEntry("token_cache", {
         op: OpType.SET,
-        data: data,
+        key: sourceId,
+        value: data,
     });
 
-    await writeJSON(TOKENS_FILE, data);
+    await writeJSON(TOKEN_CACHE_FILE, cache);
 }
 
 /**
- * Load tokens from file with fallback to append log
- * @returns {Promise<Object|null>} Tokens data or null
+ * Load a token source's cached tokens
+ * @param {string} sourceId - Token source ID
+ * @returns {Promise<Object|null>} Tokens data ({ lastUpdated, count, tokens, artistInfo }) or null
  */
-export async function loadTokens() {
-    // Try loading from main file first
-    const data = await readJSON(TOKENS_FILE, null);
+export async function loadTokens(sourceId) {
+    const cache = await loadTokenCache();
+    return cache[sourceId] || null;
+}
 
-    // If main file doesn't exist, try rebuilding from append log
-    if (data === null) {
+/**
+ * Move the cache from before token sources (tokens.json and the tokens log) into the default source's entry
+ * Runs once: after that the default source has its own entry and the legacy files are left unused
+ * @param {string} sourceId - ID of the default token source, which the legacy cache was fetched from
+ * @returns {Promise<boolean>} True if a legacy cache was migrated
+ */
+export async function migrateLegacyTokens(sourceId) {
+    const cache = await loadTokenCache();
+    if (cache[sourceId]) return false;
+
+    let legacy = await readJSON(LEGACY_TOKENS_FILE, null);
+    if (legacy === null) {
         try {
-            const logState = await rebuildStateFromLog("tokens");
-            if (Object.keys(logState).length > 0) {
-                return logState;
-            }
+            legacy = await rebuildStateFromLog("tokens");
         } catch (error) {
-            console.error("Failed to rebuild from log:", error);
+            console.error("Failed to rebuild legacy tokens from log:", error);
         }
     }
 
-    return data;
+    if (!legacy?.tokens?.length) return false;
+
+    // Keep the original fetch time, so the cache is still refreshed on its usual schedule
+    const data = {
+        lastUpdated: legacy.lastUpdated,
+        count: legacy.tokens.length,
+        tokens: legacy.tokens,
+    };
+    if (legacy.artistInfo) {
+        data.artistInfo = legacy.artistInfo;
+    }
+    cache[sourceId] = data;
+
+    await appendLogEntry("token_cache", {
+        op: OpType.SET,
+        key: sourceId,
+        value: data,
+    });
+
+    await writeJSON(TOKEN_CACHE_FILE, cache);
+    return true;
 }
 
 /**
- * Check if tokens need refresh (older than 24 hours)
+ * Check if a token source's cache needs refresh (older than 24 hours)
+ * @param {string} sourceId - Token source ID
  * @returns {Promise<boolean>} True if refresh needed
  */
-export async function needsTokenRefresh() {
-    const data = await loadTokens();
+export async function needsTokenRefresh(sourceId) {
+    const data = await loadTokens(sourceId);
     if (!data || !data.lastUpdated) return true;
 
     const lastUpdate = new Date(data.lastUpdated);
@@ -179,6 +246,9 @@ export async function getPlayerStats(userId) {
         totalIncorrectAnswers: 0,
         totalAnswers: 0,
         accuracyRate: 0,
+        teamGames: 0,
+        teamWins: 0,
+        longestStreak: 0,
         gamesHistory: [],
     };
 
@@ -201,6 +271,16 @@ export async function getPlayerStats(userId) {
  * @param {boolean} isWinner - Whether player won
  * @param {number} correctAnswers - Number of correct answers in this game
  * @param {number} incorrectAnswers - Number of incorrect answers in this game
+ * @param {Object} details - Optional game details recorded in history
+ * @param {string} details.gameId - Game session ID
+ * @param {string} details.seed - Seed the game was played with (replay with /namethatartist seed)
+ * @param {string} details.difficulty - Distractor difficulty ("easy", "medium" or "hard")
+ * @param {string} details.scoring - Scoring strategy the game used
+ * @param {number} details.longestStreak - Most consecutive correct answers in the game
+ * @param {string} details.tournamentId - Tournament the game belonged to
+ * @param {string} details.team - Team name when the game was played in team mode
+ * @param {boolean} details.teamWon - Whether the player's team won
+ * Lifetime totals only ever grow; the same counters are also kept for the current season (stats.season)
  */
 export async function updatePlayerStats(
     userId,
@@ -208,10 +288,12 @@ export async function updatePlayerStats(
     score,
     isWinner = false,
     correctAnswers = 0,
-    incorrectAnswers = 0
+    incorrectAnswers = 0,
+    details = {}
 ) {
     const players = await loadPlayers();
     const existingStats = players[userId];
+    const currentSeason = await getCurrentSeason();
 
     // Default structure
     const defaultStats = {
@@ -226,6 +308,9 @@ export async function updatePlayerStats(
         totalIncorrectAnswers: 0,
         totalAnswers: 0,
         accuracyRate: 0,
+        teamGames: 0,
+        teamWins: 0,
+        longestStreak: 0,
         gamesHistory: [],
     };
 
@@ -249,12 +334,41 @@ export async function updatePlayerStats(
         stats.totalWins++;
     }
 
+    // Seasonal counters start over whenever the player's last game was in an earlier season
+    const season = getSeasonCounters(existingStats, currentSeason.number);
+    season.totalGames++;
+    season.totalScore += score;
+    season.averageScore = Math.round(season.totalScore / season.totalGames);
+    season.bestScore = Math.max(season.bestScore, score);
+    season.totalCorrectAnswers += correctAnswers;
+    season.totalIncorrectAnswers += incorrectAnswers;
+    season.totalAnswers = season.totalCorrectAnswers + season.totalIncorrectAnswers;
+    season.accuracyRate =
+        season.totalAnswers > 0 ? Math.round((season.totalCorrectAnswers / season.totalAnswers) * 100) : 0;
+    if (isWinner) {
+        season.totalWins++;
+    }
+    stats.season = season;
+
+    // Best run of consecutive correct answers in any single game
+    stats.longestStreak = Math.max(stats.longestStreak, details.longestStreak ?? 0);
+
+    // Team game statistics
+    if (details.team) {
+        stats.teamGames++;
+        if (details.teamWon) {
+            stats.teamWins++;
+        }
+    }
+
     stats.gamesHistory.push({
         date: new Date().toISOString(),
+        season: currentSeason.number,
         score,
         isWinner,
         correctAnswers,
         incorrectAnswers,
+        ...details,
     });
 
     // Keep only last 50 games
@@ -291,6 +405,731 @@ export async function getLeaderboard(sortBy = "totalScore", limit = 10) {
     return playerArray.slice(0, limit);
 }
 
+/**
+ * Get the leaderboard for a season
+ * The current season is ranked from live player stats, past seasons from their archived standings
+ * @param {number} seasonNumber - Season number
+ * @param {string} sortBy - Sort field (same fields as getLeaderboard)
+ * @param {number} limit - Number of players to return
+ * @returns {Promise<Array|null>} Sorted array of seasonal stats, or null if the season doesn't exist
+ */
+export async function getSeasonLeaderboard(seasonNumber, sortBy = "totalScore", limit = 10) {
+    const currentSeason = await getCurrentSeason();
+    let standings;
+
+    if (seasonNumber === currentSeason.number) {
+        standings = getSeasonStandings(await loadPlayers(), seasonNumber);
+    } else {
+        const seasons = await loadSeasons();
+        standings = seasons[seasonNumber]?.standings;
+        if (!standings) return null;
+    }
+
+    return [...standings].sort((a, b) => b[sortBy] - a[sortBy]).slice(0, limit);
+}
+
+// ===== SEASONS =====
+
+/**
+ * Create empty seasonal counters
+ * @param {number} seasonNumber - Season number
+ * @returns {Object} Seasonal counters (same names as the lifetime totals)
+ */
+function createSeasonStats(seasonNumber) {
+    return {
+        number: seasonNumber,
+        totalGames: 0,
+        totalWins: 0,
+        totalScore: 0,
+        averageScore: 0,
+        bestScore: 0,
+        totalCorrectAnswers: 0,
+        totalIncorrectAnswers: 0,
+        totalAnswers: 0,
+        accuracyRate: 0,
+    };
+}
+
+/**
+ * Get a player's counters for a season
+ * Players who haven't played since seasons were added have no seasonal counters: everything they played
+ * before counts towards season 1, so the first season's board isn't empty
+ * @param {Object} player - Player stats (undefined for new players)
+ * @param {number} seasonNumber - Season number
+ * @returns {Object} Copy of the seasonal counters
+ */
+function getSeasonCounters(player, seasonNumber) {
+    if (player?.season?.number === seasonNumber) {
+        return { ...player.season };
+    }
+
+    const counters = createSeasonStats(seasonNumber);
+    if (player && !player.season && seasonNumber === 1) {
+        for (const key of Object.keys(counters)) {
+            if (key !== "number") counters[key] = player[key] ?? 0;
+        }
+    }
+    return counters;
+}
+
+/**
+ * Collect every player's counters for a season
+ * @param {Object} players - Player data keyed by user ID
+ * @param {number} seasonNumber - Season number
+ * @returns {Array<Object>} Seasonal stats ({ userId, username, ...counters }) sorted by total score
+ */
+function getSeasonStandings(players, seasonNumber) {
+    return Object.values(players)
+        .map((player) => {
+            const { number, ...counters } = getSeasonCounters(player, seasonNumber);
+            return { userId: player.userId, username: player.username, ...counters };
+        })
+        .filter((standing) => standing.totalGames > 0)
+        .sort((a, b) => b.totalScore - a.totalScore);
+}
+
+/**
+ * Load season records with fallback to append log
+ * @returns {Promise<Object>} The current season under "current", archived seasons keyed by season number
+ */
+export async function loadSeasons() {
+    const data = await readJSON(SEASONS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("seasons");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Get the season currently being played
+ * @returns {Promise<Object>} Current season ({ number, startedAt }); season 1 until the first one is closed
+ */
+export async function getCurrentSeason() {
+    const seasons = await loadSeasons();
+    return seasons.current || { number: 1, startedAt: null };
+}
+
+/**
+ * Close the current season: archive its final standings and start the next one
+ * Players' seasonal counters reset on their next game; lifetime totals are untouched
+ * @returns {Promise<Object>} The archived season ({ number, startedAt, endedAt, standings })
+ */
+export async function closeSeason() {
+    const [seasons, players] = await Promise.all([loadSeasons(), loadPlayers()]);
+    const currentSeason = seasons.current || { number: 1, startedAt: null };
+    const endedAt = new Date().toISOString();
+
+    const archived = {
+        ...currentSeason,
+        endedAt,
+        standings: getSeasonStandings(players, currentSeason.number),
+    };
+    const nextSeason = { number: currentSeason.number + 1, startedAt: endedAt };
+
+    seasons[currentSeason.number] = archived;
+    seasons.current = nextSeason;
+
+    // Progressive write: archive first, so a crash in between can't lose the standings
+    await appendLogEntry("seasons", {
+        op: OpType.SET,
+        key: String(currentSeason.number),
+        value: archived,
+    });
+    await appendLogEntry("seasons", {
+        op: OpType.SET,
+        key: "current",
+        value: nextSeason,
+    });
+
+    await writeJSON(SEASONS_FILE, seasons);
+
+    return archived;
+}
+
+// ===== TEAM RESULTS =====
+
+/**
+ * Save the final team standings of a team game with progressive writes
+ * @param {string} gameId - Unique game ID
+ * @param {Object} result - Team result ({ channelId, date, teams })
+ */
+export async function saveTeamResult(gameId, result) {
+    const allResults = await loadTeamResults();
+    allResults[gameId] = result;
+
+    // Progressive write: append the result to the log immediately
+    await appendLogEntry("team_results", {
+        op: OpType.SET,
+        key: gameId,
+        value: result,
+    });
+
+    await writeJSON(TEAM_RESULTS_FILE, allResults);
+}
+
+/**
+ * Load all team game results with fallback to append log
+ * @returns {Promise<Object>} Team results keyed by game ID
+ */
+export async function loadTeamResults() {
+    const data = await readJSON(TEAM_RESULTS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("team_results");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+// ===== DAILY CHALLENGE =====
+
+/**
+ * Load all daily challenges with fallback to append log
+ * @returns {Promise<Object>} Daily challenges keyed by date ({ rounds, results })
+ */
+export async function loadDailyChallenges() {
+    const data = await readJSON(DAILY_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("daily");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Save one day's challenge with progressive writes
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @param {Object} day - Day data ({ rounds, results })
+ */
+async function saveDailyChallenge(date, day) {
+    const allDays = await loadDailyChallenges();
+    allDays[date] = day;
+
+    await appendLogEntry("daily", {
+        op: OpType.SET,
+        key: date,
+        value: day,
+    });
+
+    await writeJSON(DAILY_FILE, allDays);
+}
+
+/**
+ * Get the rounds for a day's challenge
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @returns {Promise<Array|null>} Stored rounds or null if the day hasn't been generated yet
+ */
+export async function getDailyRounds(date) {
+    const allDays = await loadDailyChallenges();
+    return allDays[date]?.rounds || null;
+}
+
+/**
+ * Store the rounds for a day's challenge so every player gets the same set
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @param {Array} rounds - Serializable rounds ({ token, choices, correctAnswer })
+ */
+export async function saveDailyRounds(date, rounds) {
+    const allDays = await loadDailyChallenges();
+    await saveDailyChallenge(date, { results: {}, ...allDays[date], rounds });
+}
+
+/**
+ * Get a player's result for a day's challenge
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object|null>} Result or null if the player hasn't played that day
+ */
+export async function getDailyResult(date, userId) {
+    const allDays = await loadDailyChallenges();
+    return allDays[date]?.results?.[userId] || null;
+}
+
+/**
+ * Load all daily streaks with fallback to append log
+ * @returns {Promise<Object>} Streaks keyed by user ID
+ */
+export async function loadDailyStreaks() {
+    const data = await readJSON(DAILY_STREAKS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("daily_streaks");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Record that a player started a day's challenge and update their streak
+ * Starting counts as the day's only attempt, even if the player never finishes
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @param {string} userId - Discord user ID
+ * @param {string} username - Discord username
+ * @returns {Promise<Object>} Updated streak ({ currentStreak, longestStreak, lastPlayed })
+ */
+export async function recordDailyAttempt(date, userId, username) {
+    const allDays = await loadDailyChallenges();
+    const day = allDays[date] || { rounds: null, results: {} };
+
+    day.results = {
+        ...day.results,
+        [userId]: {
+            userId,
+            username,
+            startedAt: new Date().toISOString(),
+            completed: false,
+            score: 0,
+            correctAnswers: 0,
+        },
+    };
+    await saveDailyChallenge(date, day);
+
+    // Streaks continue when the previous attempt was exactly one day earlier
+    const streaks = await loadDailyStreaks();
+    const streak = streaks[userId] || { currentStreak: 0, longestStreak: 0, lastPlayed: null };
+    const previousDay = new Date(`${date}T00:00:00Z`);
+    previousDay.setUTCDate(previousDay.getUTCDate() - 1);
+
+    if (streak.lastPlayed !== date) {
+        streak.currentStreak =
+            streak.lastPlayed === previousDay.toISOString().slice(0, 10) ? streak.currentStreak + 1 : 1;
+        streak.longestStreak = Math.max(streak.longestStreak, streak.currentStreak);
+        streak.lastPlayed = date;
+    }
+    streaks[userId] = streak;
+
+    await appendLogEntry("daily_streaks", {
+        op: OpType.SET,
+        key: userId,
+        value: streak,
+    });
+
+    await writeJSON(DAILY_STREAKS_FILE, streaks);
+
+    return streak;
+}
+
+/**
+ * Save a player's finished daily challenge
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @param {string} userId - Discord user ID
+ * @param {Object} result - Result ({ score, correctAnswers, incorrectAnswers })
+ */
+export async function completeDailyAttempt(date, userId, result) {
+    const allDays = await loadDailyChallenges();
+    const day = allDays[date] || { rounds: null, results: {} };
+
+    day.results = {
+        ...day.results,
+        [userId]: {
+            ...day.results?.[userId],
+            ...result,
+            completed: true,
+            completedAt: new Date().toISOString(),
+        },
+    };
+
+    await saveDailyChallenge(date, day);
+}
+
+/**
+ * Get the leaderboard for a day's challenge
+ * @param {string} date - Challenge date (YYYY-MM-DD, UTC)
+ * @param {number} limit - Number of players to return
+ * @returns {Promise<Array>} Finished results sorted by score, earliest finisher first on ties
+ */
+export async function getDailyLeaderboard(date, limit = 10) {
+    const allDays = await loadDailyChallenges();
+    const results = Object.values(allDays[date]?.results || {}).filter((r) => r.completed);
+
+    results.sort((a, b) => b.score - a.score || a.completedAt.localeCompare(b.completedAt));
+
+    return results.slice(0, limit);
+}
+
+// ===== ARTIST CONFUSIONS =====
+
+/**
+ * Load how often players mistook one artist for another, with fallback to append log
+ * @returns {Promise<Object>} Counts keyed by correct artist address, then by chosen artist address
+ */
+export async function loadConfusions() {
+    const data = await readJSON(CONFUSIONS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("confusions");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Record wrong answers so hard games can use the artists players confuse most
+ * @param {Array<Object>} mistakes - Wrong answers ({ correct, chosen } artist addresses)
+ */
+export async function recordConfusions(mistakes) {
+    if (mistakes.length === 0) return;
+
+    const confusions = await loadConfusions();
+    const changed = new Set();
+
+    for (const { correct, chosen } of mistakes) {
+        if (!correct || !chosen || correct === chosen) continue;
+
+        confusions[correct] = confusions[correct] || {};
+        confusions[correct][chosen] = (confusions[correct][chosen] || 0) + 1;
+        changed.add(correct);
+    }
+
+    // Progressive write: one log entry per artist whose counts changed
+    for (const artist of changed) {
+        await appendLogEntry("confusions", {
+            op: OpType.SET,
+            key: artist,
+            value: confusions[artist],
+        });
+    }
+
+    await writeJSON(CONFUSIONS_FILE, confusions);
+}
+
+// ===== TOURNAMENTS =====
+
+/**
+ * Load all tournaments with fallback to append log
+ * @returns {Promise<Object>} Tournaments keyed by tournament ID
+ */
+export async function loadTournaments() {
+    const data = await readJSON(TOURNAMENTS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("tournaments");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Get a single tournament
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object|null>} Tournament, or null if it doesn't exist
+ */
+export async function getTournament(tournamentId) {
+    const tournaments = await loadTournaments();
+    return tournaments[tournamentId] || null;
+}
+
+/**
+ * Save a tournament with progressive writes
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} tournament - Tournament state
+ */
+export async function saveTournament(tournamentId, tournament) {
+    const tournaments = await loadTournaments();
+    tournaments[tournamentId] = tournament;
+
+    // Progressive write: append the tournament to the log immediately
+    await appendLogEntry("tournaments", {
+        op: OpType.SET,
+        key: tournamentId,
+        value: tournament,
+    });
+
+    await writeJSON(TOURNAMENTS_FILE, tournaments);
+}
+
+// ===== GUILD SETTINGS =====
+
+/**
+ * Load all server settings with fallback to append log
+ * @returns {Promise<Object>} Settings overrides keyed by guild ID
+ */
+export async function loadGuildSettings() {
+    const data = await readJSON(GUILD_SETTINGS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("guild_settings");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Get a server's settings overrides
+ * @param {string} guildId - Discord server ID
+ * @returns {Promise<Object>} Settings the server has changed (empty if it uses the defaults)
+ */
+export async function getGuildSettings(guildId) {
+    const allSettings = await loadGuildSettings();
+    return allSettings[guildId] || {};
+}
+
+/**
+ * Save a server's settings overrides with progressive writes
+ * @param {string} guildId - Discord server ID
+ * @param {Object} settings - Settings the server has changed
+ */
+export async function saveGuildSettings(guildId, settings) {
+    const allSettings = await loadGuildSettings();
+    allSettings[guildId] = settings;
+
+    // Progressive write: append the server's settings to the log immediately
+    await appendLogEntry("guild_settings", {
+        op: OpType.SET,
+        key: guildId,
+        value: settings,
+    });
+
+    await writeJSON(GUILD_SETTINGS_FILE, allSettings);
+}
+
+// ===== BLOCKLIST =====
+
+/**
+ * Load the token and artist blocklist with fallback to append log
+ * @returns {Promise<Object>} Entries keyed by blocklist key ("token:<contract>:<tokenId>" or "artist:<address>")
+ */
+export async function loadBlocklist() {
+    const data = await readJSON(BLOCKLIST_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("blocklist");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Add an item to the blocklist with progressive writes
+ * @param {string} key - Blocklist key
+ * @param {Object} entry - Entry ({ type, id, reason, blockedBy, blockedByUsername, blockedAt })
+ */
+export async function addToBlocklist(key, entry) {
+    const blocklist = await loadBlocklist();
+    blocklist[key] = entry;
+
+    // Progressive write: append the entry to the log immediately
+    await appendLogEntry("blocklist", {
+        op: OpType.SET,
+        key,
+        value: entry,
+    });
+
+    await writeJSON(BLOCKLIST_FILE, blocklist);
+}
+
+/**
+ * Remove an item from the blocklist
+ * @param {string} key - Blocklist key
+ * @returns {Promise<boolean>} True if the item was blocked
+ */
+export async function removeFromBlocklist(key) {
+    const blocklist = await loadBlocklist();
+    if (!Object.hasOwn(blocklist, key)) return false;
+
+    delete blocklist[key];
+
+    // Tombstone record: mark as deleted in append log
+    await appendLogEntry("blocklist", {
+        op: OpType.DELETE,
+        key,
+    });
+
+    await writeJSON(BLOCKLIST_FILE, blocklist);
+    return true;
+}
+
+// ===== ARTIST OPT-OUTS =====
+
+/**
+ * Load the artist opt-out registry with fallback to append log
+ * @returns {Promise<Object>} Opt-outs keyed by artist address
+ */
+export async function loadOptOuts() {
+    const data = await readJSON(OPT_OUTS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("opt_outs");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Record an artist's opt-out with progressive writes
+ * @param {string} address - Artist address
+ * @param {Object} entry - Opt-out ({ address, method, reason, requestedBy, requestedByUsername, optedOutAt })
+ */
+export async function addOptOut(address, entry) {
+    const optOuts = await loadOptOuts();
+    optOuts[address] = entry;
+
+    // Progressive write: append the opt-out to the log immediately
+    await appendLogEntry("opt_outs", {
+        op: OpType.SET,
+        key: address,
+        value: entry,
+    });
+
+    await writeJSON(OPT_OUTS_FILE, optOuts);
+}
+
+/**
+ * Remove an artist's opt-out
+ * @param {string} address - Artist address
+ * @returns {Promise<boolean>} True if the artist had opted out
+ */
+export async function removeOptOut(address) {
+    const optOuts = await loadOptOuts();
+    if (!Object.hasOwn(optOuts, address)) return false;
+
+    delete optOuts[address];
+
+    // Tombstone record: mark as deleted in append log
+    await appendLogEntry("opt_outs", {
+        op: OpType.DELETE,
+        key: address,
+    });
+
+    await writeJSON(OPT_OUTS_FILE, optOuts);
+    return true;
+}
+
+// ===== GAME TRANSCRIPTS =====
+
+/**
+ * Load all game transcripts with fallback to append log
+ * @returns {Promise<Object>} Transcripts keyed by game ID
+ */
+export async function loadTranscripts() {
+    const data = await readJSON(TRANSCRIPTS_FILE, null);
+
+    // If main file doesn't exist, try rebuilding from append log
+    if (data === null) {
+        try {
+            return await rebuildStateFromLog("transcripts");
+        } catch (error) {
+            console.error("Failed to rebuild from log:", error);
+        }
+        return {};
+    }
+
+    return data;
+}
+
+/**
+ * Get the transcript of a game
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object|null>} Transcript or null if there's none (or it has expired)
+ */
+export async function getTranscript(gameId) {
+    const transcripts = await loadTranscripts();
+    return transcripts[gameId] || null;
+}
+
+/**
+ * Save a finished game's transcript with progressive writes
+ * @param {string} gameId - Game ID
+ * @param {Object} transcript - Transcript (see services/transcript.js)
+ */
+export async function saveTranscript(gameId, transcript) {
+    const transcripts = await loadTranscripts();
+    transcripts[gameId] = transcript;
+
+    // Progressive write: append the transcript to the log immediately
+    await appendLogEntry("transcripts", {
+        op: OpType.SET,
+        key: gameId,
+        value: transcript,
+    });
+
+    await writeJSON(TRANSCRIPTS_FILE, transcripts);
+}
+
+/**
+ * Delete transcripts of games that ended longer ago than the retention period
+ * @param {number} retentionDays - Days a transcript is kept
+ * @param {number} now - Current time in ms (for testing)
+ * @returns {Promise<number>} Number of transcripts deleted
+ */
+export async function pruneTranscripts(retentionDays, now = Date.now()) {
+    const transcripts = await loadTranscripts();
+    const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+    const expired = Object.keys(transcripts).filter((gameId) => Date.parse(transcripts[gameId].endedAt) < cutoff);
+
+    if (expired.length === 0) return 0;
+
+    for (const gameId of expired) {
+        delete transcripts[gameId];
+
+        // Tombstone record: mark as deleted in append log
+        await appendLogEntry("transcripts", {
+            op: OpType.DELETE,
+            key: gameId,
+        });
+    }
+
+    await writeJSON(TRANSCRIPTS_FILE, transcripts);
+    return expired.length;
+}
+
 // ===== GAME STATE =====
 
 /**
@@ -374,7 +1213,21 @@ export async function getAllGameStates() {
 export async function compactAllLogs() {
     console.log("🗜️ Starting manual compaction of all logs...");
 
-    const logs = ["players", "tokens", "game_state"];
+    const logs = [
+        "players",
+        "token_cache",
+        "game_state",
+        "team_results",
+        "daily",
+        "daily_streaks",
+        "confusions",
+        "tournaments",
+        "seasons",
+        "guild_settings",
+        "blocklist",
+        "opt_outs",
+        "transcripts",
+    ];
     for (const logName of logs) {
         try {
             await compactLog(logName);
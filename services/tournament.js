@@ -0,0 +1,163 @@
+/**
+ * Tournament Standings and Brackets
+ * Pure helpers for aggregating tournament games and running single-elimination brackets
+ */
+
+import { shuffle } from "./random.js";
+
+/**
+ * Aggregate finished tournament games into cumulative standings
+ * @param {Array<Object>} games - Recorded games ({ scores: [{ userId, username, score, correctAnswers, isWinner }] })
+ * @returns {Array<Object>} Standings sorted by total score, then wins, then correct answers
+ */
+export function computeStandings(games) {
+    const standings = new Map();
+
+    for (const game of games) {
+        for (const entry of game.scores) {
+            const standing = standings.get(entry.userId) || {
+                userId: entry.userId,
+                username: entry.username,
+                totalScore: 0,
+                gamesPlayed: 0,
+                wins: 0,
+                correctAnswers: 0,
+            };
+
+            standing.username = entry.username; // Keep the latest username
+            standing.totalScore += entry.score;
+            standing.gamesPlayed++;
+            standing.correctAnswers += entry.correctAnswers;
+            if (entry.isWinner) standing.wins++;
+
+            standings.set(entry.userId, standing);
+        }
+    }
+
+    return Array.from(standings.values()).sort(
+        (a, b) => b.totalScore - a.totalScore || b.wins - a.wins || b.correctAnswers - a.correctAnswers
+    );
+}
+
+/**
+ * Create a single-elimination bracket
+ * The field is padded to a power of two with byes; each first-round match gets at most one bye,
+ * and bye matches are decided immediately
+ * @param {Array<string>} playerIds - Player user IDs (at least 2)
+ * @param {Function} random - Random source for seeding (defaults to Math.random)
+ * @returns {Object} Bracket ({ rounds: [[{ id, players: [a, b], winner }]] })
+ */
+export function createBracket(playerIds, random = Math.random) {
+    if (playerIds.length < 2) {
+        throw new Error("A bracket needs at least 2 players");
+    }
+
+    const size = 2 ** Math.ceil(Math.log2(playerIds.length));
+    const roundCount = Math.log2(size);
+    const seeded = shuffle(playerIds, random);
+    const byes = size - seeded.length;
+
+    const rounds = [];
+    for (let round = 0; round < roundCount; round++) {
+        const matchCount = size / 2 ** (round + 1);
+        rounds.push(
+            Array.from({ length: matchCount }, (_, index) => ({
+                id: `r${round + 1}m${index + 1}`,
+                players: [null, null],
+                winner: null,
+            }))
+        );
+    }
+
+    // The first matches take one player and a bye each, the rest take two players
+    let next = 0;
+    rounds[0].forEach((match, index) => {
+        match.players = index < byes ? [seeded[next++], null] : [seeded[next++], seeded[next++]];
+    });
+
+    const bracket = { rounds };
+    rounds[0].forEach((match) => {
+        if (match.players[1] === null) {
+            recordMatchWinner(bracket, match.id, match.players[0]);
+        }
+    });
+
+    return bracket;
+}
+
+/**
+ * Find a match in a bracket
+ * @param {Object} bracket - Bracket
+ * @param {string} matchId - Match ID (e.g. 'r1m2')
+ * @returns {Object|null} Match with its position ({ match, round, index }), or null
+ */
+export function findMatch(bracket, matchId) {
+    for (let round = 0; round < bracket.rounds.length; round++) {
+        const index = bracket.rounds[round].findIndex((m) => m.id === matchId);
+        if (index !== -1) {
+            return { match: bracket.rounds[round][index], round, index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get matches that are ready to be played
+ * @param {Object} bracket - Bracket
+ * @param {Set<string>} busyMatchIds - Matches already being played
+ * @returns {Array<Object>} Matches with both players known and no winner yet
+ */
+export function getPlayableMatches(bracket, busyMatchIds = new Set()) {
+    return bracket.rounds
+        .flat()
+        .filter((m) => m.players[0] && m.players[1] && !m.winner && !busyMatchIds.has(m.id));
+}
+
+/**
+ * Record a match winner and move them into their next match
+ * @param {Object} bracket - Bracket (modified in place)
+ * @param {string} matchId - Match ID
+ * @param {string} winnerId - Winning player's user ID
+ * @returns {boolean} True if the result was recorded
+ */
+export function recordMatchWinner(bracket, matchId, winnerId) {
+    const found = findMatch(bracket, matchId);
+    if (!found || found.match.winner || !found.match.players.includes(winnerId)) {
+        return false;
+    }
+
+    found.match.winner = winnerId;
+
+    const nextRound = bracket.rounds[found.round + 1];
+    if (nextRound) {
+        nextRound[Math.floor(found.index / 2)].players[found.index % 2] = winnerId;
+    }
+
+    return true;
+}
+
+/**
+ * Get the bracket champion
+ * @param {Object} bracket - Bracket
+ * @returns {string|null} Champion's user ID, or null while the final is undecided
+ */
+export function getChampion(bracket) {
+    return bracket.rounds[bracket.rounds.length - 1][0].winner;
+}
+
+/**
+ * Decide a bracket match from a game's final scores
+ * Higher score wins, then more correct answers; a full tie goes to the higher seed (first slot)
+ * @param {Object} match - Bracket match
+ * @param {Array<Object>} scores - Final scores ({ userId, score, correctAnswers })
+ * @returns {string} Winning player's user ID
+ */
+export function pickMatchWinner(match, scores) {
+    const [first, second] = match.players.map(
+        (userId) => scores.find((s) => s.userId === userId) || { userId, score: 0, correctAnswers: 0 }
+    );
+
+    if (second.score > first.score) return second.userId;
+    if (second.score === first.score && second.correctAnswers > first.correctAnswers) return second.userId;
+    return first.userId;
+}
@@ -0,0 +1,151 @@
+/**
+ * Game Transcripts
+ * Pure helpers for recording who answered what in a game, and for exporting the record as JSON or Markdown
+ */
+
+/**
+ * Build the transcript of a finished game
+ * @param {Object} session - Game session
+ * @param {Object} finalScores - Results from getFinalScores
+ * @param {Function} getArtistName - Maps an artist address to the name players saw
+ * @param {string} endedAt - ISO timestamp the game ended at
+ * @returns {Object} Transcript
+ */
+export function buildTranscript(session, finalScores, getArtistName, endedAt = new Date().toISOString()) {
+    // Survival games can end before every round is shown
+    const playedRounds = session.rounds.filter((round) => round.startTime !== null);
+
+    return {
+        gameId: session.gameId,
+        channelId: session.channelId,
+        startedBy: { userId: session.startedBy, username: session.startedByUsername },
+        startedAt: new Date(session.startTime).toISOString(),
+        endedAt,
+        seed: session.seed,
+        source: session.source,
+        questionType: session.questionType,
+        difficulty: session.difficulty,
+        scoring: session.scoring,
+        typed: session.typed,
+        reveal: session.reveal,
+        survival: session.survival,
+        totalRounds: session.totalRounds,
+        rounds: playedRounds.map((round, index) => ({
+            round: index + 1,
+            type: round.type,
+            voided: !!round.voided, // Skipped rounds are listed without answers, since theirs were undone
+            startedAt: new Date(round.startTime).toISOString(),
+            token: {
+                contract: round.token.contract,
+                tokenId: round.token.tokenId,
+                name: round.token.name,
+                artists: (round.token.artists ?? []).map((address) => ({ address, name: getArtistName(address) })),
+            },
+            choices: round.choices.map((choice) => ({
+                label: choice.label,
+                answer: choice.title ?? getArtistName(choice.artist),
+                ...(choice.token && { tokenId: choice.token.tokenId }),
+                isCorrect: choice.isCorrect,
+            })),
+            correctAnswer: round.type === "title" ? round.correctAnswer : getArtistName(round.correctAnswer),
+            responses: round.responses ?? [],
+        })),
+        players: finalScores.scores.map((player) => ({
+            userId: player.userId,
+            username: player.username,
+            score: player.score,
+            correctAnswers: player.correctAnswers,
+            incorrectAnswers: player.incorrectAnswers,
+            teamId: player.teamId,
+            eliminatedRound: player.eliminatedRound,
+            isWinner: finalScores.winners.some((winner) => winner.userId === player.userId),
+        })),
+        teams: finalScores.teams?.map((team) => ({ name: team.name, score: team.score })) ?? null,
+    };
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text with pipes and line breaks that won't break the table
+ */
+function escapeCell(text) {
+    return String(text)
+        .replace(/\|/g, "\\|")
+        .replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Format a transcript as a readable Markdown summary
+ * @param {Object} transcript - Transcript from buildTranscript
+ * @returns {string} Markdown text
+ */
+export function formatTranscriptMarkdown(transcript) {
+    const modes = [
+        transcript.questionType,
+        transcript.difficulty,
+        `${transcript.scoring} scoring`,
+        transcript.typed && "typed",
+        transcript.reveal && "reveal",
+        transcript.survival &&
+            `survival (${transcript.survival.lives} ${transcript.survival.lives === 1 ? "life" : "lives"})`,
+    ].filter(Boolean);
+
+    const lines = [
+        `# Game ${transcript.gameId}`,
+        "",
+        `- **Started:** ${transcript.startedAt} by ${transcript.startedBy.username}`,
+        `- **Ended:** ${transcript.endedAt}`,
+        `- **Rounds:** ${transcript.rounds.length}/${transcript.totalRounds}`,
+        `- **Mode:** ${modes.join(", ")}`,
+        `- **Source:** ${transcript.source} • **Seed:** ${transcript.seed}`,
+        "",
+        "## Final Scores",
+        "",
+        "| # | Player | Score | Correct | Wrong |",
+        "|---|--------|-------|---------|-------|",
+        ...transcript.players.map(
+            (player, index) =>
+                `| ${index + 1} | ${escapeCell(player.username)}${player.isWinner ? " 🏆" : ""} | ${player.score} | ${
+                    player.correctAnswers
+                } | ${player.incorrectAnswers} |`
+        ),
+    ];
+
+    if (transcript.teams) {
+        lines.push("", `**Teams:** ${transcript.teams.map((team) => `${team.name} ${team.score}`).join(" • ")}`);
+    }
+
+    for (const round of transcript.rounds) {
+        const { token } = round;
+        lines.push(
+            "",
+            `## Round ${round.round}: ${token.name} by ${token.artists.map((artist) => artist.name).join(", ")}${
+                round.voided ? " (skipped, not scored)" : ""
+            }`,
+            "",
+            `https://objkt.com/tokens/${token.contract}/${token.tokenId} • Started ${round.startedAt}`,
+            "",
+            `**Choices:** ${round.choices
+                .map((choice) => `${choice.label} ${choice.answer}${choice.isCorrect ? " ✅" : ""}`)
+                .join(" • ")}`,
+            ""
+        );
+
+        if (round.responses.length === 0) {
+            lines.push("_No answers._");
+            continue;
+        }
+
+        lines.push("| Player | Answer | Result | Time | Points |", "|--------|--------|--------|------|--------|");
+        for (const response of round.responses) {
+            lines.push(
+                `| ${escapeCell(response.username)} | ${escapeCell(response.answer)} | ${
+                    response.correct ? "✅" : "❌"
+                } | ${(response.responseMs / 1000).toFixed(2)}s | ${response.score} |`
+            );
+        }
+    }
+
+    return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,46 @@
+/**
+ * Wallet Signature Verification
+ * Checks locally that a message was signed by the owner of a Tezos wallet (no network calls)
+ */
+
+import {
+    verifySignature,
+    getPkhfromPk,
+    validatePublicKey,
+    validateSignature,
+    ValidationResult,
+} from "@taquito/utils";
+
+/**
+ * Verify that a payload was signed by a wallet
+ * @param {string} address - Wallet address (tz1, tz2 or tz3) that should have signed
+ * @param {string} publicKey - Wallet's public key (edpk, sppk or p2pk)
+ * @param {string} signature - Signature (edsig, spsig1, p2sig or sig)
+ * @param {string} payload - Signed bytes as hex (see encodeSignedMessage)
+ * @returns {Object} Result ({ valid, message })
+ */
+export function verifyWalletSignature(address, publicKey, signature, payload) {
+    if (validatePublicKey(publicKey) !== ValidationResult.VALID) {
+        return { valid: false, message: "That isn't a valid public key." };
+    }
+
+    if (validateSignature(signature) !== ValidationResult.VALID) {
+        return { valid: false, message: "That isn't a valid signature." };
+    }
+
+    // The public key has to belong to the wallet, or anyone could sign with their own key
+    const keyAddress = getPkhfromPk(publicKey);
+    if (keyAddress !== address) {
+        return { valid: false, message: `That public key belongs to ${keyAddress}, not ${address}.` };
+    }
+
+    try {
+        if (!verifySignature(payload, publicKey, signature)) {
+            return { valid: false, message: "The signature doesn't match the message." };
+        }
+    } catch (error) {
+        return { valid: false, message: `The signature couldn't be checked: ${error.message}` };
+    }
+
+    return { valid: true };
+}
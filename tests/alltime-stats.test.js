@@ -11,7 +11,11 @@ import {
     updatePlayerStats,
     getPlayerStats,
     getLeaderboard,
-    loadPlayers
+    loadPlayers,
+    getSeasonLeaderboard,
+    getCurrentSeason,
+    loadSeasons,
+    closeSeason
 } from '../services/storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -26,12 +30,13 @@ async function cleanup() {
         // Clear players file for clean test
         const playersFile = path.join(TEST_DATA_DIR, 'players.json');
         await fs.writeFile(playersFile, '{}', 'utf8');
+        await fs.rm(path.join(TEST_DATA_DIR, 'seasons.json'), { force: true });
         
         // Clear logs
         const logsDir = path.join(TEST_DATA_DIR, 'logs');
         const files = await fs.readdir(logsDir);
         for (const file of files) {
-            if (file.includes('players')) {
+            if (file.includes('players') || file.includes('seasons')) {
                 await fs.unlink(path.join(logsDir, file));
             }
         }
@@ -54,7 +59,9 @@ async function runTests() {
         testAccuracyRateCalculation,
         testLeaderboardSorting,
         testNewMetricsInHistory,
-        testMigrationFromOldFormat
+        testMigrationFromOldFormat,
+        testSeasons,
+        testSeasonOneIncludesEarlierGames
     ];
     
     for (const test of tests) {
@@ -223,5 +230,94 @@ async function testMigrationFromOldFormat() {
     assert(updatedStats.accuracyRate === 80, 'Should have 80% accuracy');
 }
 
+/**
+ * Test: Closing a season archives its standings and resets seasonal counters, not lifetime totals
+ */
+async function testSeasons() {
+    assert((await getCurrentSeason()).number === 1, 'Should start in season 1');
+    
+    await updatePlayerStats('season1', 'SeasonOne', 400, true, 8, 2);
+    await updatePlayerStats('season2', 'SeasonTwo', 100, false, 2, 8);
+    
+    const liveBoard = await getSeasonLeaderboard(1, 'totalScore', 10);
+    assert(liveBoard[0].username === 'SeasonOne', 'SeasonOne should lead season 1');
+    assert(liveBoard[0].totalScore === 400, 'Season score should match the game');
+    
+    const archived = await closeSeason();
+    assert(archived.number === 1, 'Season 1 should be archived');
+    assert(archived.standings.length === 2, 'Both players should be in the final standings');
+    assert((await getCurrentSeason()).number === 2, 'Season 2 should start');
+    
+    // Only games from the new season count towards it
+    await updatePlayerStats('season2', 'SeasonTwo', 300, true, 6, 0);
+    const seasonTwo = await getSeasonLeaderboard(2, 'totalScore', 10);
+    assert(seasonTwo.length === 1, 'Only SeasonTwo has played in season 2');
+    assert(seasonTwo[0].totalScore === 300, 'Season counters should start from 0');
+    assert(seasonTwo[0].totalGames === 1, 'Season games should start from 0');
+    assert(seasonTwo[0].accuracyRate === 100, 'Season accuracy should only count this season');
+    
+    // Lifetime totals keep growing
+    const lifetime = await getPlayerStats('season2');
+    assert(lifetime.totalScore === 400, 'Lifetime score should include both seasons');
+    assert(lifetime.totalGames === 2, 'Lifetime games should include both seasons');
+    assert(lifetime.gamesHistory[1].season === 2, 'History should record the season');
+    
+    // Past seasons come from the archive and can be sorted like the live board
+    const pastBoard = await getSeasonLeaderboard(1, 'accuracyRate', 10);
+    assert(pastBoard[0].username === 'SeasonOne', 'Archived standings should be sortable');
+    assert(pastBoard[1].totalScore === 100, 'Archived standings should not change with new games');
+    assert(await getSeasonLeaderboard(3, 'totalScore', 10) === null, 'Future seasons should not exist');
+    
+    // Losing the main file should fall back to the log
+    await fs.unlink(path.join(TEST_DATA_DIR, 'seasons.json'));
+    const rebuilt = await loadSeasons();
+    assert(rebuilt.current.number === 2, 'Current season should be rebuilt from the log');
+    assert(rebuilt['1'].standings.length === 2, 'Archived season should be rebuilt from the log');
+    
+    // Don't leave a closed season behind in the data directory
+    await cleanup();
+}
+
+/**
+ * Test: Players from before seasons were added count everything they played towards season 1
+ */
+async function testSeasonOneIncludesEarlierGames() {
+    const players = {
+        veteran: {
+            userId: 'veteran',
+            username: 'Veteran',
+            totalGames: 10,
+            totalWins: 4,
+            totalScore: 900,
+            averageScore: 90,
+            bestScore: 150,
+            totalCorrectAnswers: 30,
+            totalIncorrectAnswers: 10,
+            totalAnswers: 40,
+            accuracyRate: 75,
+            gamesHistory: []
+        }
+    };
+    await fs.writeFile(path.join(TEST_DATA_DIR, 'players.json'), JSON.stringify(players, null, 2), 'utf8');
+    
+    const board = await getSeasonLeaderboard(1, 'totalScore', 10);
+    assert(board.length === 1 && board[0].totalScore === 900, 'Earlier games should count towards season 1');
+    
+    // Their next game carries on from those totals
+    await updatePlayerStats('veteran', 'Veteran', 100, true, 5, 0);
+    const [standing] = await getSeasonLeaderboard(1, 'totalScore', 10);
+    assert(standing.totalScore === 1000 && standing.totalGames === 11, 'Season 1 should build on earlier games');
+    assert(standing.totalWins === 5, 'Season 1 wins should build on earlier wins');
+    
+    // Closing season 1 archives them, and season 2 starts from 0
+    const archived = await closeSeason();
+    assert(archived.standings[0].totalScore === 1000, 'Archived season 1 should include earlier games');
+    await updatePlayerStats('veteran', 'Veteran', 50, false, 1, 1);
+    const [seasonTwo] = await getSeasonLeaderboard(2, 'totalScore', 10);
+    assert(seasonTwo.totalScore === 50 && seasonTwo.totalGames === 1, 'Season 2 should start from 0');
+    
+    await cleanup();
+}
+
 // Run tests
 runTests();
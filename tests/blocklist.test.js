@@ -0,0 +1,135 @@
+/**
+ * Tests for the Token and Artist Blocklist
+ * Run with: node tests/blocklist.test.js
+ */
+
+import assert from 'assert';
+import {
+    isTezosAddress,
+    parseTokenReference,
+    getTokenBlockKey,
+    getArtistBlockKey,
+    isTokenBlocked,
+    applyBlocklist
+} from '../services/blocklist.js';
+
+const CONTRACT = 'KT1RJ6PbjHpwc3M5rw5s2Nbmefwbuwbdxton';
+const ARTIST = 'tz1RZN17j7FuPtDpGpXKgMXbx57WEhpZGF6B';
+const COLLABORATOR = 'tz1burnburnburnburnburnburnburjAYjjX';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Blocklist Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testTezosAddresses,
+        testTokenReferences,
+        testBlockedTokens,
+        testBlockedCollaborators,
+        testApplyBlocklist
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: Wallet and contract addresses are recognised, anything else is not
+ */
+async function testTezosAddresses() {
+    assert(isTezosAddress(ARTIST));
+    assert(isTezosAddress(CONTRACT));
+    assert(!isTezosAddress('tz1short'), 'Short addresses are not valid');
+    assert(!isTezosAddress(`${ARTIST}0`), 'Addresses with a 0 are not base58');
+    assert(!isTezosAddress('alice.tez'), 'Domains are not addresses');
+}
+
+/**
+ * Test: Tokens can be given as objkt.com links or contract and token ID
+ */
+async function testTokenReferences() {
+    const expected = { contract: CONTRACT, tokenId: '42' };
+
+    assert.deepStrictEqual(parseTokenReference(`https://objkt.com/tokens/${CONTRACT}/42`), expected);
+    assert.deepStrictEqual(parseTokenReference(`https://objkt.com/asset/${CONTRACT}/42?tab=history`), expected);
+    assert.deepStrictEqual(parseTokenReference(`${CONTRACT}:42`), expected);
+    assert.deepStrictEqual(parseTokenReference(` ${CONTRACT}/42/ `), expected);
+    assert.strictEqual(parseTokenReference(CONTRACT), null, 'A contract alone is not a token');
+    assert.strictEqual(parseTokenReference(`${CONTRACT}:abc`), null, 'Token IDs are numbers');
+}
+
+/**
+ * Test: Tokens are blocked by their own key or by their artist
+ */
+async function testBlockedTokens() {
+    const token = { contract: CONTRACT, tokenId: '42', primaryArtist: ARTIST, artists: [ARTIST] };
+    const other = { contract: CONTRACT, tokenId: '43', primaryArtist: COLLABORATOR, artists: [COLLABORATOR] };
+
+    const byToken = { [getTokenBlockKey(CONTRACT, '42')]: { type: 'token' } };
+    assert(isTokenBlocked(byToken, token));
+    assert(!isTokenBlocked(byToken, other), 'Other tokens on the contract should not be blocked');
+
+    const byArtist = { [getArtistBlockKey(ARTIST)]: { type: 'artist' } };
+    assert(isTokenBlocked(byArtist, token));
+    assert(!isTokenBlocked(byArtist, other));
+    assert(!isTokenBlocked({}, token), 'An empty blocklist blocks nothing');
+}
+
+/**
+ * Test: Blocking one creator of a collaborative token blocks the token
+ */
+async function testBlockedCollaborators() {
+    const collab = { contract: CONTRACT, tokenId: '7', primaryArtist: ARTIST, artists: [ARTIST, COLLABORATOR] };
+
+    assert(isTokenBlocked({ [getArtistBlockKey(COLLABORATOR)]: { type: 'artist' } }, collab));
+
+    const uncredited = { ...collab, artists: undefined };
+    assert(
+        isTokenBlocked({ [getArtistBlockKey(ARTIST)]: { type: 'artist' } }, uncredited),
+        'Tokens without a creator list should fall back to the primary artist'
+    );
+}
+
+/**
+ * Test: Blocked tokens leave the pool and blocked artists stop being choices
+ */
+async function testApplyBlocklist() {
+    const tokens = [
+        { contract: CONTRACT, tokenId: '1', primaryArtist: ARTIST, artists: [ARTIST] },
+        { contract: CONTRACT, tokenId: '2', primaryArtist: COLLABORATOR, artists: [COLLABORATOR] },
+        { contract: CONTRACT, tokenId: '3', primaryArtist: COLLABORATOR, artists: [COLLABORATOR] }
+    ];
+    const pool = { tokens, artists: [ARTIST, COLLABORATOR] };
+
+    const filtered = applyBlocklist(pool, {
+        [getArtistBlockKey(ARTIST)]: { type: 'artist' },
+        [getTokenBlockKey(CONTRACT, '3')]: { type: 'token' }
+    });
+
+    assert.deepStrictEqual(filtered.tokens.map(t => t.tokenId), ['2']);
+    assert.deepStrictEqual(filtered.artists, [COLLABORATOR]);
+    assert.strictEqual(pool.tokens.length, 3, 'The original pool should be left alone');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for Fuzzy Answer Matching
+ * Run with: node tests/fuzzy-match.test.js
+ */
+
+import assert from 'assert';
+import {
+    normalizeAnswer,
+    levenshteinDistance,
+    getTypoTolerance,
+    isFuzzyMatch
+} from '../services/fuzzy-match.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Fuzzy Match Tests\n');
+    
+    let passed = 0;
+    let failed = 0;
+    
+    const tests = [
+        testNormalizeAnswer,
+        testLevenshteinDistance,
+        testTypoTolerance,
+        testExactMatches,
+        testTypoMatches,
+        testAliasOrDomain,
+        testRejectsWrongNames
+    ];
+    
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+    
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: Case, diacritics, punctuation and .tez suffix are ignored
+ */
+async function testNormalizeAnswer() {
+    assert(normalizeAnswer('Zancan') === 'zancan', 'Should lowercase');
+    assert(normalizeAnswer('  Élodie Müller ') === 'elodiemuller', 'Should strip diacritics and spaces');
+    assert(normalizeAnswer('@pixel_art') === 'pixelart', 'Should strip leading @ and punctuation');
+    assert(normalizeAnswer('artist.tez') === 'artist', 'Should strip .tez suffix');
+    assert(normalizeAnswer('') === '', 'Empty string should stay empty');
+    assert(normalizeAnswer(null) === '', 'Null should normalize to empty string');
+}
+
+/**
+ * Test: Edit distance calculation
+ */
+async function testLevenshteinDistance() {
+    assert(levenshteinDistance('kitten', 'kitten') === 0, 'Identical strings have distance 0');
+    assert(levenshteinDistance('kitten', 'sitting') === 3, 'kitten -> sitting is 3 edits');
+    assert(levenshteinDistance('', 'abc') === 3, 'Empty to abc is 3 edits');
+    assert(levenshteinDistance('abc', 'acb') === 2, 'Swapped letters are 2 edits');
+}
+
+/**
+ * Test: Short names must be exact, longer names allow more typos
+ */
+async function testTypoTolerance() {
+    assert(getTypoTolerance(3) === 0, 'Short names allow no typos');
+    assert(getTypoTolerance(6) === 1, 'Medium names allow one typo');
+    assert(getTypoTolerance(12) === 2, 'Long names allow two typos');
+}
+
+/**
+ * Test: Exact guesses match regardless of formatting
+ */
+async function testExactMatches() {
+    assert(isFuzzyMatch('zancan', ['Zancan']), 'Lowercase guess should match');
+    assert(isFuzzyMatch('ZANCAN!', ['Zancan']), 'Shouted guess should match');
+    assert(isFuzzyMatch('elodie muller', ['Élodie Müller']), 'Guess without accents should match');
+}
+
+/**
+ * Test: Small typos are tolerated on longer names
+ */
+async function testTypoMatches() {
+    assert(isFuzzyMatch('zancn', ['Zancan']), 'One missing letter should match');
+    assert(isFuzzyMatch('generativ artst', ['Generative Artist']), 'Two typos on a long name should match');
+    assert(!isFuzzyMatch('gnrtv artst', ['Generative Artist']), 'Too many typos should not match');
+    assert(!isFuzzyMatch('bob', ['rob']), 'Short names must be exact');
+}
+
+/**
+ * Test: Either the alias or the tezos domain is accepted
+ */
+async function testAliasOrDomain() {
+    const names = ['Pixel Painter', 'pixelpainter.tez'];
+    assert(isFuzzyMatch('pixel painter', names), 'Alias should match');
+    assert(isFuzzyMatch('pixelpainter.tez', names), 'Domain should match');
+    assert(isFuzzyMatch('pixelpainter', names), 'Domain without .tez should match');
+}
+
+/**
+ * Test: Unrelated guesses and empty input are rejected
+ */
+async function testRejectsWrongNames() {
+    assert(!isFuzzyMatch('someone else', ['Zancan']), 'Different name should not match');
+    assert(!isFuzzyMatch('', ['Zancan']), 'Empty guess should not match');
+    assert(!isFuzzyMatch('!!!', ['Zancan']), 'Punctuation-only guess should not match');
+    assert(!isFuzzyMatch('zancan', []), 'No accepted names should not match');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
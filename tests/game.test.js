@@ -0,0 +1,501 @@
+/**
+ * Tests for Game Logic (rounds, answers and game modes)
+ * Run with: node tests/game.test.js
+ */
+
+import assert from 'assert';
+import { NameThatArtistGame } from '../game.js';
+import { config } from '../config.js';
+import { createSeededRandom } from '../services/random.js';
+import { getDistractors, hasMeaningfulTitle, isTokenCreator } from '../services/objkt-api.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Game Logic Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testTeamScoresAndMvps,
+        testSurvivalLivesAndRanking,
+        testReverseChoices,
+        testTitleChoices,
+        testStreakMultipliers,
+        testLobbyPlayerLimits,
+        testCoCreatorsAreNotDistractors,
+        testLateTypedAnswersKeepLives,
+        testOnlyArtistRoundsRecordMistakes,
+        testDailyRoundsDropExcludedItems,
+        testDailyAnswersMatchTheirRound,
+        testSkippedRoundsAreUndone,
+        testEndRoundsEarlyOption
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Build a game with 60 cached tokens by 10 artists (aliases "Artist 0" to "Artist 9")
+ */
+function createMockGame() {
+    const game = new NameThatArtistGame();
+
+    game.tokens = Array.from({ length: 60 }, (_, i) => ({
+        contract: 'KT1test',
+        tokenId: String(i),
+        name: `Token ${i}`,
+        imageUrl: `https://example.com/image${i}.jpg`,
+        primaryArtist: `tz1artist${i % 10}`,
+        artists: [`tz1artist${i % 10}`]
+    }));
+    game.artists = Array.from({ length: 10 }, (_, i) => `tz1artist${i}`);
+    game.artistInfo = Object.fromEntries(
+        game.artists.map((address, i) => [address, { info: { alias: `Artist ${i}` }, hasResolution: true }])
+    );
+    game.isInitialized = true;
+
+    return game;
+}
+
+/**
+ * Start a game, join players to its lobby and put its first round on screen
+ * Sessions are never ended through endGame, so tests don't save stats
+ * @returns {Object} Game session
+ */
+async function startPlaying(game, channelId, playerCount, options = {}) {
+    const result = await game.startGame(channelId, 'user-0', 'player0', 5, 30, 1, options);
+    assert(result.success, result.message);
+
+    for (let i = 1; i < playerCount; i++) {
+        assert(game.joinLobby(channelId, `user-${i}`, `player${i}`).success);
+    }
+    assert(game.startRounds(channelId).success);
+    game.getCurrentRound(channelId);
+
+    return game.getSession(channelId);
+}
+
+/**
+ * Pick the right or a wrong choice of the round on screen
+ * @returns {Promise<Object>} Result of the answer
+ */
+function answer(game, channelId, userId, correct) {
+    const session = game.getSession(channelId);
+    const choice = session.rounds[session.currentRound].choices.find((c) => c.isCorrect === correct);
+    return game.processAnswer(channelId, userId, userId.replace('user-', 'player'), choice.label);
+}
+
+/**
+ * Move on to the next round and put it on screen
+ * @returns {Object} Result of nextRound
+ */
+function playNextRound(game, channelId) {
+    const result = game.nextRound(channelId);
+    if (!result.gameOver) game.getCurrentRound(channelId);
+    return result;
+}
+
+/**
+ * Get the alias that answers the round on screen
+ */
+function getTypedAnswer(game, session) {
+    return game.getArtistAnswerNames(session.rounds[session.currentRound].token.primaryArtist)[0];
+}
+
+/**
+ * Test: Correct answers score for the player's team, each team's top scorer is its MVP and the top team wins
+ */
+async function testTeamScoresAndMvps() {
+    const game = createMockGame();
+    const session = await startPlaying(game, 'teams', 4, { teams: 3 });
+
+    // Lobby players fill the smallest team first
+    const teamOf = (userId) => session.players.get(userId).teamId;
+    assert.deepStrictEqual(['user-0', 'user-1', 'user-2', 'user-3'].map(teamOf), ['0', '1', '2', '0']);
+
+    await answer(game, 'teams', 'user-0', true);
+    await answer(game, 'teams', 'user-1', true);
+    await answer(game, 'teams', 'user-2', false);
+    const result = await answer(game, 'teams', 'user-3', true);
+    assert(result.message.includes(config.game.teams[0].name), 'Players should be told which team scored');
+
+
+    const score = (userId) => session.players.get(userId).score;
+    const { teams, winningTeams } = game.getFinalScores(session);
+    const team = (teamId) => teams.find((t) => t.teamId === teamId);
+    assert.deepStrictEqual(teams.map((t) => t.teamId), ['0', '1', '2'], 'Teams should be sorted by their total');
+    assert.strictEqual(team('0').score, score('user-0') + score('user-3'));
+    assert.strictEqual(team('0').correctAnswers, 2);
+    assert.strictEqual(team('2').score, 0);
+    assert.deepStrictEqual(winningTeams.map((t) => t.teamId), ['0']);
+    assert.strictEqual(team('0').mvp.score, Math.max(score('user-0'), score('user-3')));
+    assert.strictEqual(team('1').mvp.userId, 'user-1');
+    assert.strictEqual(team('2').mvp, null, 'Teams without points have no MVP');
+}
+
+/**
+ * Test: Wrong and missed answers cost lives, players out of lives can't answer, and the game ends with one left
+ * Players who lasted longer rank higher whatever their score
+ */
+async function testSurvivalLivesAndRanking() {
+    const game = createMockGame();
+    const session = await startPlaying(game, 'survival', 3, { lives: 2 });
+    const player = (userId) => session.players.get(userId);
+
+    await answer(game, 'survival', 'user-0', true);
+    await answer(game, 'survival', 'user-2', true);
+    const wrong = await answer(game, 'survival', 'user-1', false);
+    assert(!wrong.eliminated && wrong.message.includes('1 life left'), wrong.message);
+    assert.deepStrictEqual(game.resolveRound('survival').eliminated, [], 'No one should be out after one miss');
+
+    playNextRound(game, 'survival');
+    await answer(game, 'survival', 'user-0', true);
+    assert((await answer(game, 'survival', 'user-1', false)).eliminated);
+    assert.deepStrictEqual(game.resolveRound('survival').eliminated, [{ userId: 'user-1', username: 'player1' }]);
+    assert.strictEqual(player('user-1').eliminatedRound, 2);
+    assert.strictEqual(player('user-2').lives, 1, 'Missing a round should cost a life');
+
+    assert(!playNextRound(game, 'survival').gameOver, 'Two players are still standing');
+    assert(!(await answer(game, 'survival', 'user-1', true)).success, 'Eliminated players should not answer');
+    await answer(game, 'survival', 'user-0', true);
+    assert.deepStrictEqual(game.resolveRound('survival').eliminated, [{ userId: 'user-2', username: 'player2' }]);
+    assert(playNextRound(game, 'survival').gameOver, 'The game should end once one player is left');
+
+    player('user-2').score = 1000;
+    const { scores, winners } = game.getFinalScores(session);
+    assert.deepStrictEqual(scores.map((s) => s.userId), ['user-0', 'user-2', 'user-1']);
+    assert.deepStrictEqual(winners.map((s) => s.userId), ['user-0'], 'The last player standing should win');
+}
+
+/**
+ * Test: Reverse rounds offer the artist's artwork and works by different artists (none co-made by the artist),
+ * and can't be revealed
+ */
+async function testReverseChoices() {
+    const game = createMockGame();
+    game.tokens.push({ ...game.tokens[1], tokenId: 'collab', artists: ['tz1artist1', 'tz1artist0'] });
+
+    for (let i = 0; i < 50; i++) {
+        const token = game.tokens[(i * 10) % 60]; // Works by tz1artist0
+        const choices = game.generateChoices(token, 'reverse');
+        const artists = choices.map((choice) => choice.artist);
+
+        assert.strictEqual(choices.length, config.game.multipleChoiceCount);
+        assert.deepStrictEqual(choices.filter((choice) => choice.isCorrect).map((choice) => choice.token), [token]);
+        assert.strictEqual(new Set(artists).size, artists.length, 'Every artwork should be by a different artist');
+        assert(!choices.some((choice) => choice.token.tokenId === 'collab'), 'Co-made works would also be right');
+    }
+
+    await startPlaying(game, 'reverse', 1, { question: 'reverse' });
+    assert((await answer(game, 'reverse', 'user-0', true)).correct, 'Picking the artwork should be right');
+
+    const result = await game.startGame('reverse-reveal', 'user-0', 'player0', 5, 30, 1, {
+        question: 'reverse',
+        reveal: true
+    });
+    assert(!result.success, 'Reverse rounds have no single artwork to reveal');
+}
+
+/**
+ * Test: Title rounds only use titled artworks, with distinct wrong titles from the same artist's works first
+ */
+async function testTitleChoices() {
+    assert(hasMeaningfulTitle({ name: 'Dawn' }));
+    assert(!hasMeaningfulTitle({ name: ' untitled ' }));
+    assert(!hasMeaningfulTitle({ name: '  ' }));
+    assert(!hasMeaningfulTitle({}));
+
+    // Tokens 30-59 have no real title, and token 10 repeats token 0's title
+    const game = createMockGame();
+    game.tokens.slice(30).forEach((token, i) => (token.name = i % 2 ? 'Untitled' : ''));
+    game.tokens[10].name = 'TOKEN 0';
+
+    for (let i = 0; i < 20; i++) {
+        const choices = game.generateChoices(game.tokens[0], 'title');
+        const titles = choices.map((choice) => choice.title.toLowerCase());
+
+        assert.deepStrictEqual(choices.filter((c) => c.isCorrect).map((c) => c.title), ['Token 0']);
+        assert.strictEqual(new Set(titles).size, config.game.multipleChoiceCount, 'Titles should all differ');
+        assert(choices.every((choice) => hasMeaningfulTitle({ name: choice.title })), 'Untitled works are no choice');
+        assert(titles.includes('token 20'), "The artist's other titled work should be offered first");
+    }
+
+    const tooMany = await game.startGame('title-31', 'user-0', 'player0', 31, 30, 1, { question: 'title' });
+    assert(!tooMany.success && tooMany.message.includes('found 30'), 'Games need a titled artwork per round');
+
+    const session = await startPlaying(game, 'title', 1, { question: 'title' });
+    assert(session.rounds.every((r) => hasMeaningfulTitle(r.token) && r.correctAnswer === r.token.name));
+}
+
+/**
+ * Test: Streaks multiply scores from config.game.streakBonuses, end on a wrong or missed answer and are kept as
+ * longestStreak
+ */
+async function testStreakMultipliers() {
+    const game = createMockGame();
+    assert.deepStrictEqual([0, 2, 3, 4, 5, 10, 15].map((streak) => game.getStreakMultiplier(streak)),
+        [1, 1, 1.2, 1.2, 1.5, 2, 2]);
+
+    const session = await startPlaying(game, 'streaks', 2);
+    const scores = [];
+    for (let round = 0; round < 3; round++) {
+        if (round > 0) playNextRound(game, 'streaks');
+        scores.push((await answer(game, 'streaks', 'user-0', true)).score);
+        await answer(game, 'streaks', 'user-1', true);
+        game.resolveRound('streaks');
+    }
+    assert(Math.abs(scores[2] - scores[0] * 1.2) <= 1, `The third answer in a row should earn ×1.2 (${scores})`);
+
+    // Round 4: one player answers wrong and the other misses it
+    playNextRound(game, 'streaks');
+    await answer(game, 'streaks', 'user-0', false);
+    game.resolveRound('streaks');
+    assert.deepStrictEqual(session.rounds[3].brokenStreaks.map((s) => [s.userId, s.streak]),
+        [['user-0', 3], ['user-1', 3]]);
+
+    playNextRound(game, 'streaks');
+    const fresh = await answer(game, 'streaks', 'user-0', true);
+    assert(Math.abs(fresh.score - scores[0]) <= 1, 'A new streak starts without a bonus');
+
+    const { scores: finalScores } = game.getFinalScores(session);
+    assert.deepStrictEqual(finalScores.map((s) => s.longestStreak), [3, 3]);
+    assert.strictEqual(session.players.get('user-0').streak, 1);
+}
+
+/**
+ * Test: Lobbies refuse players past maxPlayers and can't start below minPlayers
+ */
+async function testLobbyPlayerLimits() {
+    const { minPlayers, maxPlayers } = config.game;
+    config.game.minPlayers = 2;
+    config.game.maxPlayers = 3;
+
+    try {
+        const game = createMockGame();
+        await game.startGame('lobby', 'user-0', 'player0', 5, 30, 1);
+
+        const tooFew = game.startRounds('lobby');
+        assert(!tooFew.success && tooFew.notEnoughPlayers, 'One player is below the minimum');
+        assert.strictEqual(tooFew.message, 'Not enough players joined (1/2 needed).');
+
+        assert.strictEqual(game.joinLobby('lobby', 'user-1', 'player1').playerCount, 2);
+        assert(!game.joinLobby('lobby', 'user-1', 'player1').success, 'Players can only join once');
+        assert(game.joinLobby('lobby', 'user-2', 'player2').success);
+        assert.strictEqual(game.joinLobby('lobby', 'user-3', 'player3').message, 'The game is full (3 players).');
+
+        assert.strictEqual(game.leaveLobby('lobby', 'user-2').playerCount, 2);
+        assert(game.joinLobby('lobby', 'user-3', 'player3').success, 'Leaving should free a seat');
+
+        assert(game.startRounds('lobby').success);
+        assert(!game.joinLobby('lobby', 'user-4', 'player4').success, 'The lobby closes once rounds begin');
+        assert(!game.leaveLobby('lobby', 'user-3').success);
+        assert(!(await answer(game, 'lobby', 'user-2', true)).success, 'Players who left the lobby are not playing');
+
+        // Picking a team is another way into a team game's lobby
+        await game.startGame('lobby-teams', 'user-0', 'player0', 5, 30, 1, { teams: 2 });
+        game.joinLobby('lobby-teams', 'user-1', 'player1');
+        assert(game.joinTeam('lobby-teams', 'user-2', 'player2', '1').success);
+        assert(!game.joinTeam('lobby-teams', 'user-3', 'player3', '0').success, 'Full team games refuse new players');
+        assert(game.joinTeam('lobby-teams', 'user-2', 'player2', '0').success, 'Players in the game can switch');
+    } finally {
+        config.game.minPlayers = minPlayers;
+        config.game.maxPlayers = maxPlayers;
+    }
+}
+
+/**
+ * Test: Co-creators of a collaborative token are never offered as wrong answers, and typing any of them is right
+ */
+async function testCoCreatorsAreNotDistractors() {
+    const game = createMockGame();
+    const collab = { ...game.tokens[0], artists: ['tz1artist0', 'tz1artist1'] };
+    assert(isTokenCreator(collab, 'tz1artist1') && !isTokenCreator(collab, 'tz1artist2'));
+
+    const random = createSeededRandom('collab');
+    for (let i = 0; i < 50; i++) {
+        // Preferred pools (medium and hard difficulty) can hold co-creators too
+        const distractors = getDistractors(collab, game.artists, 3, random, [['tz1artist1', 'tz1artist2']]);
+        assert.strictEqual(new Set(distractors).size, 3);
+        assert(!distractors.some((artist) => collab.artists.includes(artist)), `Offered ${distractors}`);
+    }
+
+    // Every artwork is made with Artist 9
+    game.tokens = game.tokens.map((token) => ({
+        ...token,
+        artists: [...new Set([token.primaryArtist, 'tz1artist9'])]
+    }));
+    await startPlaying(game, 'collab', 1, { typed: true });
+    const coCreator = game.getArtistAnswerNames('tz1artist9')[0];
+    assert(game.processTypedAnswer('collab', 'user-0', 'player0', coCreator).correct, 'Co-creators are the artist too');
+}
+
+/**
+ * Test: Correct typers after the scoring spots are taken score nothing, but don't lose a life or their streak
+ */
+async function testLateTypedAnswersKeepLives() {
+    const game = createMockGame();
+    const playerCount = config.game.typedAnswerWinners + 2;
+    const session = await startPlaying(game, 'typed-survival', playerCount, { typed: true, lives: 1 });
+    const alias = getTypedAnswer(game, session);
+    const late = `user-${playerCount - 2}`;
+
+    for (let i = 0; i < playerCount - 1; i++) {
+        const result = game.processTypedAnswer('typed-survival', `user-${i}`, `player${i}`, alias);
+        assert(result.success, `player${i} should be able to answer`);
+    }
+
+    const round = session.rounds[0];
+    assert(round.answered.has(late), 'Late correct typers should count as answered');
+    assert.strictEqual(round.responses.find((r) => r.userId === late).score, 0);
+    assert.strictEqual(session.players.get(late).score, 0);
+    assert(!game.haveAllPlayersAnswered('typed-survival'), 'The round should wait for the last player');
+
+    game.resolveRound('typed-survival');
+    assert(!session.players.get(late).eliminated, 'A correct but late typer should keep their life');
+    assert(session.players.get(`user-${playerCount - 1}`).eliminated, 'Players who never answered lose a life');
+}
+
+/**
+ * Test: Wrong picks are only remembered as artist confusions in rounds that ask for the artist
+ */
+async function testOnlyArtistRoundsRecordMistakes() {
+    for (const question of ['artist', 'reverse', 'title']) {
+        const game = createMockGame();
+        const session = await startPlaying(game, `mistakes-${question}`, 1, { question });
+        const wrong = session.rounds[0].choices.find((choice) => !choice.isCorrect);
+
+        const result = await game.processAnswer(`mistakes-${question}`, 'user-0', 'player0', wrong.label);
+        assert(result.success && !result.correct, `The ${question} answer should be wrong`);
+        assert.strictEqual(session.mistakes.length, question === 'artist' ? 1 : 0, `${question} rounds`);
+    }
+}
+
+/**
+ * Test: Stored daily rounds stop showing tokens and artists blocked or opted out after they were dealt
+ */
+async function testDailyRoundsDropExcludedItems() {
+    const game = createMockGame();
+    const round = (tokenId, artists) => {
+        const token = game.tokens[tokenId];
+        return {
+            token,
+            choices: artists.map((artist, i) => ({
+                label: 'ABCD'[i],
+                artist,
+                isCorrect: artist === token.primaryArtist
+            })),
+            correctAnswer: token.primaryArtist
+        };
+    };
+    const stored = [
+        round(1, ['tz1artist1', 'tz1artist2', 'tz1artist3', 'tz1artist4']),
+        round(2, ['tz1artist2', 'tz1artist5', 'tz1artist6', 'tz1artist7']),
+        round(8, ['tz1artist8', 'tz1artist1', 'tz1artist3', 'tz1artist4'])
+    ];
+
+    game.blocklist = { 'token:KT1test:2': { reason: 'broken' }, 'artist:tz1artist5': { reason: 'misattributed' } };
+    game.optOuts = { tz1artist3: { reason: 'asked' } };
+    game.setSourceTokens(config.tokenSources.default, game.tokens, game.artistInfo);
+
+    const rounds = await game.replaceExcludedDailyRounds('2000-01-01', stored);
+    const shownArtists = rounds.flatMap((r) => r.choices.map((choice) => choice.artist));
+
+    assert.strictEqual(rounds.length, 3);
+    assert(!rounds.some((r) => r.token.tokenId === '2'), 'Blocked tokens should be swapped out');
+    assert(!shownArtists.some((a) => ['tz1artist3', 'tz1artist5'].includes(a)), 'Excluded artists should not show');
+    assert.strictEqual(rounds[0].token.tokenId, '1', 'Rounds with a blocked wrong answer keep their artwork');
+    assert.deepStrictEqual(await game.replaceExcludedDailyRounds('2000-01-01', stored), rounds,
+        'Every player should get the same replacements');
+}
+
+/**
+ * Test: Daily answers only count for the round they were given on, and yesterday's unfinished attempt is dropped
+ */
+async function testDailyAnswersMatchTheirRound() {
+    const game = createMockGame();
+    const userId = `test-daily-${Date.now()}`;
+    game.getDailyDate = () => '2000-01-02';
+    game.dailySessions.set(userId, { userId, date: '2000-01-01', currentRound: 3, rounds: [] });
+
+    const started = await game.startDaily(userId, 'player');
+    assert(started.success && !started.resumed, 'A new day should start a new attempt');
+    const session = started.session;
+    assert.strictEqual(session.date, '2000-01-02');
+    assert.strictEqual(session.currentRound, 0);
+
+    const correctLabel = session.rounds[0].choices.find((c) => c.isCorrect).label;
+    assert((await game.processDailyAnswer(userId, 0, correctLabel)).success);
+    const score = session.score;
+
+    const repeated = await game.processDailyAnswer(userId, 0, correctLabel);
+    assert(!repeated.success, 'A second click on round 1 should not answer round 2');
+    assert.strictEqual(session.currentRound, 1);
+    assert.strictEqual(session.score, score);
+    assert((await game.processDailyAnswer(userId, 1, session.rounds[1].choices[0].label)).success);
+    assert.strictEqual(session.currentRound, 2);
+}
+
+/**
+ * Test: Skipping a round undoes its answers, lives, streaks and hints, and clears what it recorded
+ */
+async function testSkippedRoundsAreUndone() {
+    const game = createMockGame();
+    const session = await startPlaying(game, 'skip', 2, { lives: 2 });
+    for (let round = 0; round < 3; round++) {
+        if (round > 0) playNextRound(game, 'skip');
+        await answer(game, 'skip', 'user-0', true);
+        await answer(game, 'skip', 'user-1', true);
+        game.resolveRound('skip');
+    }
+    const before = [...session.players.values()].map((p) => ({ ...p }));
+
+    // Round 4: a streak and a life are lost, and a hint is bought before a correct answer
+    playNextRound(game, 'skip');
+    await answer(game, 'skip', 'user-0', false);
+    assert(game.useHint('skip', 'user-1', 'eliminate').success);
+    await answer(game, 'skip', 'user-1', true);
+    const round = session.rounds[3];
+    assert.strictEqual(round.brokenStreaks.length, 1);
+
+    assert(game.skipRound('skip').success);
+    assert.deepStrictEqual([...session.players.values()], before, 'Scores, streaks and lives should be restored');
+    assert.deepStrictEqual(round.brokenStreaks, []);
+    assert.deepStrictEqual(round.responses, []);
+    assert.strictEqual(round.hints.size, 0);
+    assert.strictEqual(round.answered.size, 0);
+    assert(round.voided);
+}
+
+/**
+ * Test: Games end rounds early by config.game.endRoundsEarly unless they were started with their own choice
+ */
+async function testEndRoundsEarlyOption() {
+    const game = createMockGame();
+    const byDefault = await startPlaying(game, 'early-default', 1);
+    const turnedOff = await startPlaying(game, 'early-off', 1, { endRoundsEarly: false });
+
+    assert.strictEqual(byDefault.endRoundsEarly, config.game.endRoundsEarly);
+    assert.strictEqual(turnedOff.endRoundsEarly, false);
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for Guild Settings Resolution
+ * Run with: node tests/guild-settings.test.js
+ */
+
+import assert from 'assert';
+import { resolveGuildSettings, isChannelAllowed, parseColor, formatColor } from '../services/guild-settings.js';
+
+// Stand-in for config.js (which needs the bot's environment to load)
+const config = {
+    game: { roundsPerGame: 20, roundTimeSeconds: 15, delayBetweenRounds: 5, difficulty: 'medium' },
+    branding: { color: 0x2c7df6 },
+    tokenSources: {
+        default: 'ttc',
+        sources: { ttc: { name: 'TTC' }, drop: { name: 'A Drop' } }
+    },
+    cooldowns: {
+        commands: {
+            namethatartist: { user: 30, channel: 5 },
+            stats: { user: 5, channel: 0 }
+        }
+    }
+};
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Guild Settings Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testDefaultsComeFromConfig,
+        testOverridesWin,
+        testRemovedSourceFallsBack,
+        testCooldownOverridesMerge,
+        testAllowedChannels,
+        testColors
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: A server without settings gets the config defaults
+ */
+async function testDefaultsComeFromConfig() {
+    const settings = resolveGuildSettings({}, config);
+
+    assert.strictEqual(settings.roundsPerGame, 20);
+    assert.strictEqual(settings.roundTimeSeconds, 15);
+    assert.strictEqual(settings.delayBetweenRounds, 5);
+    assert.strictEqual(settings.difficulty, 'medium');
+    assert.deepStrictEqual(settings.allowedChannels, []);
+    assert.strictEqual(settings.color, 0x2c7df6);
+    assert.strictEqual(settings.tokenSource, 'ttc');
+    assert.deepStrictEqual(settings.cooldowns, config.cooldowns.commands);
+}
+
+/**
+ * Test: Settings a server changed replace the defaults, the rest still follow config
+ */
+async function testOverridesWin() {
+    const settings = resolveGuildSettings(
+        { roundsPerGame: 10, difficulty: 'hard', color: 0xff0000, tokenSource: 'drop' },
+        config
+    );
+
+    assert.strictEqual(settings.roundsPerGame, 10);
+    assert.strictEqual(settings.difficulty, 'hard');
+    assert.strictEqual(settings.color, 0xff0000);
+    assert.strictEqual(settings.tokenSource, 'drop');
+    assert.strictEqual(settings.roundTimeSeconds, 15, 'Unchanged settings should keep the default');
+}
+
+/**
+ * Test: A source that was removed from the config falls back to the default source
+ */
+async function testRemovedSourceFallsBack() {
+    assert.strictEqual(resolveGuildSettings({ tokenSource: 'gone' }, config).tokenSource, 'ttc');
+    assert.strictEqual(resolveGuildSettings({ tokenSource: 'toString' }, config).tokenSource, 'ttc');
+}
+
+/**
+ * Test: Cooldown overrides can change one side of a command's cooldown and leave config untouched
+ */
+async function testCooldownOverridesMerge() {
+    const overrides = { cooldowns: { namethatartist: { user: 60 }, ping: { channel: 2 } } };
+    const settings = resolveGuildSettings(overrides, config);
+
+    assert.deepStrictEqual(settings.cooldowns.namethatartist, { user: 60, channel: 5 });
+    assert.deepStrictEqual(settings.cooldowns.ping, { channel: 2 }, 'Commands without a default cooldown can get one');
+    assert.deepStrictEqual(settings.cooldowns.stats, { user: 5, channel: 0 });
+    assert.strictEqual(config.cooldowns.commands.namethatartist.user, 30, 'Config should not be modified');
+}
+
+/**
+ * Test: Games are allowed everywhere until channels are listed
+ */
+async function testAllowedChannels() {
+    assert(isChannelAllowed(resolveGuildSettings({}, config), 'any-channel'));
+
+    const settings = resolveGuildSettings({ allowedChannels: ['games'] }, config);
+    assert(isChannelAllowed(settings, 'games'));
+    assert(!isChannelAllowed(settings, 'general'));
+}
+
+/**
+ * Test: Hex colors are parsed from the usual spellings and formatted back
+ */
+async function testColors() {
+    assert.strictEqual(parseColor('#2c7df6'), 0x2c7df6);
+    assert.strictEqual(parseColor('0x2C7DF6'), 0x2c7df6);
+    assert.strictEqual(parseColor(' 2c7df6 '), 0x2c7df6);
+    assert.strictEqual(parseColor('blue'), null);
+    assert.strictEqual(parseColor('#fff'), null, 'Short hex colors are not accepted');
+    assert.strictEqual(formatColor(0x2c7df6), '#2c7df6');
+    assert.strictEqual(formatColor(0x0000ff), '#0000ff', 'Leading zeros should be kept');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for Hints (costs, description snippets and struck-out choices)
+ * Run with: node tests/hints.test.js
+ */
+
+import assert from 'assert';
+import { NameThatArtistGame } from '../game.js';
+import { config } from '../config.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Hint Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testHintMultiplier,
+        testDescriptionMasksAnswers,
+        testDescriptionIsShortened,
+        testHintCostReducesScore,
+        testEliminateFollowsSeed
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Build a game with 60 cached tokens by 10 artists (alias "Artist N", domain "artistN.tez")
+ */
+function createMockGame() {
+    const game = new NameThatArtistGame();
+
+    game.tokens = Array.from({ length: 60 }, (_, i) => ({
+        contract: 'KT1test',
+        tokenId: String(i),
+        name: `Token ${i}`,
+        description: `Token ${i} was made by Artist ${i % 10} (artist${i % 10}.tez) in 2021.`,
+        imageUrl: `https://example.com/image${i}.jpg`,
+        primaryArtist: `tz1artist${i % 10}`,
+        artists: [`tz1artist${i % 10}`]
+    }));
+    game.artists = Array.from({ length: 10 }, (_, i) => `tz1artist${i}`);
+    game.artistInfo = Object.fromEntries(
+        game.artists.map((address, i) => [
+            address,
+            { info: { alias: `Artist ${i}`, tzdomain: `artist${i}.tez` }, hasResolution: true }
+        ])
+    );
+    game.isInitialized = true;
+
+    return game;
+}
+
+/**
+ * Start a two-player game and put its first round on screen
+ * @returns {Object} Game session
+ */
+async function startPlaying(game, channelId, options = {}) {
+    const result = await game.startGame(channelId, 'user-1', 'player1', 5, 30, 1, options);
+    assert(result.success, result.message);
+    assert(game.joinLobby(channelId, 'user-2', 'player2').success);
+    assert(game.startRounds(channelId).success);
+    game.getCurrentRound(channelId);
+
+    return game.getSession(channelId);
+}
+
+/**
+ * Test: Each hint type used takes its share of the round's points
+ */
+async function testHintMultiplier() {
+    const game = createMockGame();
+    const { description, eliminate } = config.game.hintCosts;
+    const round = { hints: new Map() };
+
+    assert.strictEqual(game.getHintMultiplier(round, 'user-1'), 1, 'No hints should cost nothing');
+
+    round.hints.set('user-1', new Map([['description', {}]]));
+    assert.strictEqual(game.getHintMultiplier(round, 'user-1'), 1 - description);
+
+    round.hints.get('user-1').set('eliminate', {});
+    assert(Math.abs(game.getHintMultiplier(round, 'user-1') - (1 - description - eliminate)) < 1e-9);
+    assert.strictEqual(game.getHintMultiplier(round, 'user-2'), 1, 'Other players should pay nothing');
+}
+
+/**
+ * Test: Description hints hide the artist's names, and the title in title rounds
+ */
+async function testDescriptionMasksAnswers() {
+    const game = createMockGame();
+    const token = game.tokens[3];
+
+    const artistHint = game.getHintDescription({ type: 'artist', token });
+    assert.strictEqual(artistHint, 'Token 3 was made by █████ (█████) in 2021.');
+
+    const titleHint = game.getHintDescription({ type: 'title', token });
+    assert(!titleHint.includes('Token 3'), 'Title rounds should hide the title');
+
+    assert.strictEqual(game.getHintDescription({ type: 'artist', token: { ...token, description: '  ' } }), null);
+}
+
+/**
+ * Test: Long descriptions are cut to hintDescriptionLength
+ */
+async function testDescriptionIsShortened() {
+    const game = createMockGame();
+    const token = { ...game.tokens[0], description: 'word '.repeat(200) };
+    const hint = game.getHintDescription({ type: 'artist', token });
+
+    assert.strictEqual(hint.length, config.game.hintDescriptionLength);
+    assert(hint.endsWith('…'));
+}
+
+/**
+ * Test: A correct answer after a hint scores the hint's cost less than the same answer without one
+ */
+async function testHintCostReducesScore() {
+    const game = createMockGame();
+    const session = await startPlaying(game, 'hint-score');
+    const correct = session.rounds[0].choices.find((choice) => choice.isCorrect);
+
+    const hint = game.useHint('hint-score', 'user-1', 'description');
+    assert(hint.success, hint.message);
+    assert.strictEqual(hint.multiplier, 1 - config.game.hintCosts.description);
+
+    const hinted = await game.processAnswer('hint-score', 'user-1', 'player1', correct.label);
+    const plain = await game.processAnswer('hint-score', 'user-2', 'player2', correct.label);
+    assert(Math.abs(hinted.score - plain.score * hint.multiplier) <= 1, `${hinted.score} vs ${plain.score}`);
+}
+
+/**
+ * Test: The struck-out choice is always wrong and comes from the game's seed, so replays strike out the same one
+ */
+async function testEliminateFollowsSeed() {
+    const eliminated = [];
+    for (const channelId of ['hint-seed-1', 'hint-seed-2']) {
+        const game = createMockGame();
+        const session = await startPlaying(game, channelId, { seed: 'hint-replay' });
+
+        const hint = game.useHint(channelId, 'user-1', 'eliminate');
+        assert(hint.success, hint.message);
+        assert(!session.rounds[0].choices.find((choice) => choice.label === hint.eliminatedLabel).isCorrect);
+
+        const again = game.useHint(channelId, 'user-1', 'eliminate');
+        assert.strictEqual(again.eliminatedLabel, hint.eliminatedLabel, 'Asking again should show the same hint');
+        eliminated.push(hint.eliminatedLabel);
+    }
+
+    assert.strictEqual(eliminated[0], eliminated[1], 'Games with the same seed should strike out the same choice');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
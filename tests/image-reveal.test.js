@@ -0,0 +1,149 @@
+/**
+ * Tests for Progressive Image Reveal (stage timing, pixel blocks and bonus)
+ * Run with: node tests/image-reveal.test.js
+ */
+
+import assert from 'assert';
+import http from 'http';
+import sharp from 'sharp';
+import {
+    getStageDelays,
+    getStageBonus,
+    getPixelatedSize,
+    pixelate,
+    createRevealFrames
+} from '../services/image-reveal.js';
+import { NameThatArtistGame } from '../game.js';
+import { config } from '../config.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Image Reveal Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testStageDelaysSplitRound,
+        testStageBonusShrinksToZero,
+        testGameBonusFollowsConfig,
+        testPixelatedSize,
+        testPixelateKeepsSize,
+        testLargeImagesAreNotRevealed
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: Stages after the first one go on screen at equal slices of the round
+ */
+async function testStageDelaysSplitRound() {
+    assert.deepStrictEqual(getStageDelays(30000, 4), [7500, 15000, 22500]);
+    assert.deepStrictEqual(getStageDelays(30000, 1), [], 'A single stage needs no timers');
+    assert.strictEqual(getStageDelays(30000, config.game.revealBlockSizes.length).length,
+        config.game.revealBlockSizes.length - 1);
+}
+
+/**
+ * Test: The bonus starts in full and shrinks evenly to nothing by the last stage
+ */
+async function testStageBonusShrinksToZero() {
+    assert.deepStrictEqual([0, 1, 2, 3].map((stage) => getStageBonus(stage, 4, 60)), [60, 40, 20, 0]);
+    assert.strictEqual(getStageBonus(5, 4, 60), 0, 'Stages past the last should give no bonus');
+    assert.strictEqual(getStageBonus(0, 1, 60), 0, 'A single clear stage gives no bonus');
+}
+
+/**
+ * Test: Rounds use the configured bonus, and none when the image isn't being revealed
+ */
+async function testGameBonusFollowsConfig() {
+    const game = new NameThatArtistGame();
+    const lastStage = config.game.revealBlockSizes.length - 1;
+
+    assert.strictEqual(game.getRevealBonus({ revealStage: 0 }), config.game.revealStageBonus);
+    assert.strictEqual(game.getRevealBonus({ revealStage: lastStage }), 0);
+    assert.strictEqual(game.getRevealBonus({ revealStage: null }), 0);
+    assert.strictEqual(game.getRevealBonus({}), 0);
+    assert.strictEqual(config.game.revealBlockSizes[lastStage], 0, 'The last stage should show the clear image');
+}
+
+/**
+ * Test: Images shrink by the block size, never below one pixel
+ */
+async function testPixelatedSize() {
+    assert.deepStrictEqual(getPixelatedSize(800, 600, 48), { width: 17, height: 13 });
+    assert.deepStrictEqual(getPixelatedSize(800, 600, 12), { width: 67, height: 50 });
+    assert.deepStrictEqual(getPixelatedSize(20, 10, 48), { width: 1, height: 1 });
+}
+
+/**
+ * Test: Every frame keeps the display size, so the embed doesn't jump between stages
+ */
+async function testPixelateKeepsSize() {
+    const image = await sharp({
+        create: { width: 1200, height: 600, channels: 3, background: { r: 200, g: 40, b: 90 } }
+    }).png().toBuffer();
+
+    for (const blockSize of config.game.revealBlockSizes) {
+        const frame = await pixelate(image, blockSize);
+        const { width, height, format } = await sharp(frame).metadata();
+        assert.deepStrictEqual({ width, height, format }, { width: 800, height: 400, format: 'jpeg' },
+            `Block size ${blockSize}`);
+    }
+}
+
+/**
+ * Test: Images over the size limit aren't downloaded in full, whether or not the server sends their length
+ */
+async function testLargeImagesAreNotRevealed() {
+    const image = await sharp({
+        create: { width: 400, height: 300, channels: 3, background: { r: 10, g: 120, b: 60 } }
+    }).png().toBuffer();
+
+    // "/sized" sends a Content-Length header, "/chunked" streams the image without one
+    const server = http.createServer((req, res) => {
+        if (req.url === '/chunked') {
+            res.write(image.subarray(0, 100));
+            res.end(image.subarray(100));
+        } else {
+            res.setHeader('Content-Length', image.length);
+            res.end(image);
+        }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = (path) => `http://127.0.0.1:${server.address().port}${path}`;
+
+    try {
+        const blockSizes = config.game.revealBlockSizes;
+        for (const path of ['/sized', '/chunked']) {
+            const frames = await createRevealFrames(url(path), blockSizes, image.length);
+            assert.strictEqual(frames.length, blockSizes.length, `${path} should be revealed`);
+            assert.strictEqual(await createRevealFrames(url(path), blockSizes, image.length - 1), null,
+                `${path} should be too large`);
+        }
+    } finally {
+        server.close();
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
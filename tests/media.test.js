@@ -0,0 +1,164 @@
+/**
+ * Tests for Token Media Kinds
+ * Run with: node tests/media.test.js
+ */
+
+import assert from 'assert';
+import {
+    MEDIA_KINDS,
+    getMediaKind,
+    getStillImageUris,
+    getPlayableVideo,
+    parseMediaKinds,
+    filterPoolByMedia
+} from '../services/media.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Media Kind Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testMediaKinds,
+        testImagesKeepTheirArtifact,
+        testPreviewsForOtherMedia,
+        testPlayableVideo,
+        testParseMediaKinds,
+        testFilterPoolByMedia
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: Artifacts are classified by MIME type
+ */
+async function testMediaKinds() {
+    assert.strictEqual(getMediaKind('image/png'), 'image');
+    assert.strictEqual(getMediaKind('image/gif'), 'gif');
+    assert.strictEqual(getMediaKind('image/svg+xml'), 'html', 'SVGs are interactive');
+    assert.strictEqual(getMediaKind('video/mp4'), 'video');
+    assert.strictEqual(getMediaKind('audio/mpeg'), 'audio');
+    assert.strictEqual(getMediaKind('model/gltf-binary'), 'model');
+    assert.strictEqual(getMediaKind('application/x-directory'), 'html');
+    assert.strictEqual(getMediaKind('application/pdf'), 'other');
+    assert.strictEqual(getMediaKind(undefined), 'image', 'Tokens without a MIME type were always played as images');
+}
+
+/**
+ * Test: Still images keep the same thumbnail and full image as before
+ */
+async function testImagesKeepTheirArtifact() {
+    const token = {
+        mime: 'image/png',
+        artifact_uri: 'ipfs://artifact',
+        display_uri: 'ipfs://display',
+        thumbnail_uri: 'ipfs://thumb'
+    };
+    assert.deepStrictEqual(getStillImageUris(token), { thumbnailUri: 'ipfs://thumb', fullUri: 'ipfs://display' });
+
+    const artifactOnly = { mime: 'image/jpeg', artifact_uri: 'ipfs://artifact' };
+    assert.deepStrictEqual(getStillImageUris(artifactOnly), {
+        thumbnailUri: 'ipfs://artifact',
+        fullUri: 'ipfs://artifact'
+    });
+}
+
+/**
+ * Test: Videos, models and interactive tokens are shown through a still preview, never their artifact
+ */
+async function testPreviewsForOtherMedia() {
+    const video = { mime: 'video/mp4', artifact_uri: 'ipfs://video', display_uri: 'ipfs://still' };
+    assert.deepStrictEqual(getStillImageUris(video), { thumbnailUri: 'ipfs://still', fullUri: 'ipfs://still' });
+
+    const model = { mime: 'model/gltf-binary', artifact_uri: 'ipfs://model' };
+    assert.deepStrictEqual(getStillImageUris(model), { thumbnailUri: null, fullUri: null }, 'Nothing to show');
+
+    // Some tokens use the animation itself as their display file
+    const animated = {
+        mime: 'video/mp4',
+        artifact_uri: 'ipfs://video',
+        display_uri: 'ipfs://video-preview',
+        thumbnail_uri: 'ipfs://thumb',
+        formats: [
+            { uri: 'ipfs://video-preview', mimeType: 'video/mp4' },
+            { uri: 'ipfs://thumb', mimeType: 'image/png' }
+        ]
+    };
+    assert.deepStrictEqual(getStillImageUris(animated), { thumbnailUri: 'ipfs://thumb', fullUri: 'ipfs://thumb' });
+}
+
+/**
+ * Test: Only videos Discord plays are returned, with their size when objkt knows it
+ */
+async function testPlayableVideo() {
+    const token = {
+        mime: 'video/webm',
+        artifact_uri: 'ipfs://video',
+        formats: [{ uri: 'ipfs://video', mimeType: 'video/webm', fileSize: '1048576' }]
+    };
+    assert.deepStrictEqual(getPlayableVideo(token), { uri: 'ipfs://video', size: 1048576, extension: 'webm' });
+
+    assert.deepStrictEqual(getPlayableVideo({ mime: 'video/quicktime', artifact_uri: 'ipfs://video' }), {
+        uri: 'ipfs://video',
+        size: null,
+        extension: 'mov'
+    });
+    assert.strictEqual(getPlayableVideo({ mime: 'video/x-matroska', artifact_uri: 'ipfs://video' }), null);
+    assert.strictEqual(getPlayableVideo({ mime: 'image/png', artifact_uri: 'ipfs://image' }), null);
+}
+
+/**
+ * Test: Kinds can be listed, left out or all picked, and unknown kinds are rejected
+ */
+async function testParseMediaKinds() {
+    assert.deepStrictEqual(parseMediaKinds('gif, Image'), ['image', 'gif'], 'Kinds come back in the usual order');
+    assert.deepStrictEqual(parseMediaKinds('-video, -html'), ['image', 'gif', 'audio', 'model', 'other']);
+    assert.deepStrictEqual(parseMediaKinds('image, gif, -gif'), ['image']);
+    assert.deepStrictEqual(parseMediaKinds('all'), MEDIA_KINDS);
+    assert.strictEqual(parseMediaKinds('images'), null, 'Unknown kinds should be rejected');
+    assert.strictEqual(parseMediaKinds('image, -image'), null, 'Leaving nothing to play should be rejected');
+}
+
+/**
+ * Test: Filtering a pool keeps only tokens of the chosen kinds and the artists who still have one
+ */
+async function testFilterPoolByMedia() {
+    const pool = {
+        tokens: [
+            { tokenId: '1', mediaKind: 'image', artists: ['tz1a'] },
+            { tokenId: '2', mediaKind: 'video', artists: ['tz1b'] },
+            { tokenId: '3', artists: ['tz1c'] }
+        ],
+        artists: ['tz1a', 'tz1b', 'tz1c']
+    };
+
+    const images = filterPoolByMedia(pool, ['image']);
+    assert.deepStrictEqual(images.tokens.map(t => t.tokenId), ['1', '3'], 'Tokens without a kind count as images');
+    assert.deepStrictEqual(images.artists, ['tz1a', 'tz1c']);
+
+    assert.strictEqual(filterPoolByMedia(pool, MEDIA_KINDS), pool, 'Playing every kind should keep the pool');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the Artist Opt-Out Registry
+ * Run with: node tests/opt-out.test.js
+ */
+
+import assert from 'assert';
+import { createOptOutMessage, encodeSignedMessage, isOptedOutToken, applyOptOuts } from '../services/opt-out.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Opt-Out Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testOptOutMessage,
+        testSignedMessageEncoding,
+        testOptedOutTokens,
+        testApplyOptOuts
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: The challenge names the wallet, the Discord user and the time, with the prefix wallets display
+ */
+async function testOptOutMessage() {
+    const message = createOptOutMessage('tz1artist', '1234', '2024-01-31T12:00:00.000Z');
+
+    assert(message.startsWith('Tezos Signed Message: '), 'Wallets show prefixed messages as text');
+    assert(message.includes('tz1artist') && message.includes('1234') && message.includes('2024-01-31T12:00:00.000Z'));
+
+    const otherUser = createOptOutMessage('tz1artist', '5678', '2024-01-31T12:00:00.000Z');
+    assert.notStrictEqual(message, otherUser, 'Different users should sign different messages');
+}
+
+/**
+ * Test: Messages are packed as Micheline strings
+ */
+async function testSignedMessageEncoding() {
+    assert.strictEqual(encodeSignedMessage('hi'), '050100000002' + '6869');
+
+    const message = 'Tezos Signed Message: hello';
+    const payload = encodeSignedMessage(message);
+    assert.strictEqual(parseInt(payload.slice(4, 12), 16), message.length, 'Length should be encoded in 4 bytes');
+    assert.strictEqual(Buffer.from(payload.slice(12), 'hex').toString('utf8'), message);
+}
+
+/**
+ * Test: Tokens by an opted-out artist are caught, collaborations included
+ */
+async function testOptedOutTokens() {
+    const optOuts = { tz1gone: { address: 'tz1gone' } };
+
+    assert(isOptedOutToken(optOuts, { primaryArtist: 'tz1gone', artists: ['tz1gone'] }));
+    assert(
+        isOptedOutToken(optOuts, { primaryArtist: 'tz1here', artists: ['tz1here', 'tz1gone'] }),
+        'A co-creator opting out should remove the collaboration'
+    );
+    assert(isOptedOutToken(optOuts, { primaryArtist: 'tz1gone' }), 'Tokens without creators use the primary artist');
+    assert(!isOptedOutToken(optOuts, { primaryArtist: 'tz1here', artists: ['tz1here'] }));
+    assert(!isOptedOutToken({}, { primaryArtist: 'toString' }), 'Only real entries should count');
+}
+
+/**
+ * Test: Opted-out artists leave the pool's tokens and its list of possible answers
+ */
+async function testApplyOptOuts() {
+    const pool = {
+        tokens: [
+            { tokenId: '1', primaryArtist: 'tz1gone', artists: ['tz1gone'] },
+            { tokenId: '2', primaryArtist: 'tz1here', artists: ['tz1here'] }
+        ],
+        artists: ['tz1gone', 'tz1here']
+    };
+
+    const filtered = applyOptOuts(pool, { tz1gone: { address: 'tz1gone' } });
+
+    assert.deepStrictEqual(filtered.tokens.map(t => t.tokenId), ['2']);
+    assert.deepStrictEqual(filtered.artists, ['tz1here'], 'Opted-out artists should never be a wrong answer');
+    assert.strictEqual(pool.tokens.length, 2, 'The original pool should be left alone');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
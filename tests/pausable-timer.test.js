@@ -0,0 +1,157 @@
+/**
+ * Tests for Pausable Timers
+ * Run with: node tests/pausable-timer.test.js
+ */
+
+import assert from 'assert';
+import { PausableTimer } from '../services/pausable-timer.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Pausable Timer Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testFiresAfterDelay,
+        testPauseKeepsRemainingTime,
+        testCancelStopsTimer,
+        testOnlyValidTransitions
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Build a clock whose time only moves when advance is called
+ */
+function createFakeClock() {
+    let time = 0;
+    let nextHandle = 1;
+    const pending = new Map();
+
+    return {
+        now: () => time,
+        setTimeout: (callback, delayMs) => {
+            pending.set(nextHandle, { callback, at: time + delayMs });
+            return nextHandle++;
+        },
+        clearTimeout: (handle) => pending.delete(handle),
+        advance(ms) {
+            time += ms;
+            for (const [handle, { callback, at }] of pending) {
+                if (at <= time) {
+                    pending.delete(handle);
+                    callback();
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Test: A started timer calls back once its delay has run
+ */
+async function testFiresAfterDelay() {
+    const clock = createFakeClock();
+    let calls = 0;
+    const timer = new PausableTimer(() => calls++, 1000, clock);
+
+    clock.advance(5000);
+    assert.strictEqual(calls, 0, 'Timers should not run before they are started');
+
+    timer.start();
+    clock.advance(999);
+    assert.strictEqual(calls, 0);
+    clock.advance(1);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(timer.state, 'fired');
+}
+
+/**
+ * Test: Time spent paused doesn't count towards the delay
+ */
+async function testPauseKeepsRemainingTime() {
+    const clock = createFakeClock();
+    let calls = 0;
+    const timer = new PausableTimer(() => calls++, 1000, clock);
+
+    timer.start();
+    clock.advance(400);
+    assert.strictEqual(timer.pause(), true);
+    assert.strictEqual(timer.remainingMs, 600);
+
+    clock.advance(10000);
+    assert.strictEqual(calls, 0, 'Paused timers should not fire');
+
+    assert.strictEqual(timer.resume(), true);
+    clock.advance(599);
+    assert.strictEqual(calls, 0);
+    clock.advance(1);
+    assert.strictEqual(calls, 1);
+}
+
+/**
+ * Test: Cancelled timers never call back, whether running or paused
+ */
+async function testCancelStopsTimer() {
+    const clock = createFakeClock();
+    let calls = 0;
+
+    const running = new PausableTimer(() => calls++, 1000, clock);
+    running.start();
+    running.cancel();
+
+    const paused = new PausableTimer(() => calls++, 1000, clock);
+    paused.start();
+    paused.pause();
+    paused.cancel();
+
+    assert.strictEqual(paused.resume(), false, 'Cancelled timers should not resume');
+    clock.advance(5000);
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(running.state, 'cancelled');
+}
+
+/**
+ * Test: Timers can't be started twice, paused when idle or resumed while running
+ */
+async function testOnlyValidTransitions() {
+    const clock = createFakeClock();
+    let calls = 0;
+    const timer = new PausableTimer(() => calls++, 1000, clock);
+
+    assert.strictEqual(timer.pause(), false);
+    assert.strictEqual(timer.resume(), false, 'Idle timers are started, not resumed');
+    assert.strictEqual(timer.start(), true);
+    assert.strictEqual(timer.start(), false);
+    assert.strictEqual(timer.resume(), false);
+
+    clock.advance(1000);
+    assert.strictEqual(timer.start(), false, 'Fired timers should not start again');
+    timer.cancel();
+    assert.strictEqual(timer.state, 'fired');
+    assert.strictEqual(calls, 1);
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
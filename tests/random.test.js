@@ -0,0 +1,162 @@
+/**
+ * Tests for Seeded Random Numbers
+ * Run with: node tests/random.test.js
+ */
+
+import assert from 'assert';
+import {
+    createSeededRandom,
+    generateSeed,
+    randomOrder,
+    sample,
+    shuffle
+} from '../services/random.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Random Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testSeededRandomIsDeterministic,
+        testGenerateSeed,
+        testShuffleIsPermutation,
+        testRandomOrderIsPermutation,
+        testSampleIsDistinct,
+        testSampleAcceptPredicate,
+        testSampleIsReproducible,
+        testShuffleIsUniform
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: The same seed produces the same sequence, different seeds don't
+ */
+async function testSeededRandomIsDeterministic() {
+    const a = createSeededRandom('game-1');
+    const b = createSeededRandom('game-1');
+    const c = createSeededRandom('game-2');
+
+    const seqA = Array.from({ length: 10 }, () => a());
+    const seqB = Array.from({ length: 10 }, () => b());
+    const seqC = Array.from({ length: 10 }, () => c());
+
+    assert.deepStrictEqual(seqA, seqB, 'Same seed should give the same sequence');
+    assert.notDeepStrictEqual(seqA, seqC, 'Different seeds should give different sequences');
+    assert(seqA.every(n => n >= 0 && n < 1), 'Values should be in [0, 1)');
+}
+
+/**
+ * Test: Generated seeds are short hex strings
+ */
+async function testGenerateSeed() {
+    const seed = generateSeed();
+    assert(/^[0-9a-f]{8}$/.test(seed), `Seed should be 8 hex characters, got ${seed}`);
+}
+
+/**
+ * Test: Shuffle returns a permutation and leaves the input alone
+ */
+async function testShuffleIsPermutation() {
+    const input = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(input, createSeededRandom('shuffle'));
+
+    assert.deepStrictEqual(input, [1, 2, 3, 4, 5, 6, 7, 8], 'Input should not be modified');
+    assert.deepStrictEqual([...shuffled].sort((a, b) => a - b), input, 'Shuffle should keep every item');
+}
+
+/**
+ * Test: randomOrder yields every item exactly once
+ */
+async function testRandomOrderIsPermutation() {
+    const input = Array.from({ length: 50 }, (_, i) => i);
+    const ordered = [...randomOrder(input, createSeededRandom('order'))];
+
+    assert.strictEqual(ordered.length, input.length, 'Should yield every item');
+    assert.strictEqual(new Set(ordered).size, input.length, 'Should not repeat items');
+    assert.notDeepStrictEqual(ordered, input, 'Order should be shuffled');
+}
+
+/**
+ * Test: Sample picks distinct items and never more than available
+ */
+async function testSampleIsDistinct() {
+    const input = Array.from({ length: 100 }, (_, i) => i);
+    const picked = sample(input, 10, createSeededRandom('sample'));
+
+    assert.strictEqual(picked.length, 10, 'Should pick the requested count');
+    assert.strictEqual(new Set(picked).size, 10, 'Picks should be distinct');
+    assert.strictEqual(sample([1, 2], 5).length, 2, 'Should stop when the pool runs out');
+    assert.strictEqual(sample(input, 0).length, 0, 'Zero count should pick nothing');
+}
+
+/**
+ * Test: Items rejected by the predicate are never picked
+ */
+async function testSampleAcceptPredicate() {
+    const input = Array.from({ length: 20 }, (_, i) => i);
+    const picked = sample(input, 5, createSeededRandom('even'), n => n % 2 === 0);
+
+    assert.strictEqual(picked.length, 5, 'Should still fill the count');
+    assert(picked.every(n => n % 2 === 0), 'Should only pick accepted items');
+}
+
+/**
+ * Test: The same seed picks the same items in the same order
+ */
+async function testSampleIsReproducible() {
+    const input = Array.from({ length: 1000 }, (_, i) => `token-${i}`);
+    const first = sample(input, 20, createSeededRandom('replay'));
+    const second = sample(input, 20, createSeededRandom('replay'));
+
+    assert.deepStrictEqual(first, second, 'Same seed should replay the same picks');
+}
+
+/**
+ * Test: Every item is equally likely in every position
+ * The old sort(() => 0.5 - Math.random()) shuffle fails this badly
+ */
+async function testShuffleIsUniform() {
+    const random = createSeededRandom('uniform');
+    const size = 4;
+    const runs = 40000;
+    const counts = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    for (let run = 0; run < runs; run++) {
+        shuffle([0, 1, 2, 3], random).forEach((item, position) => {
+            counts[item][position]++;
+        });
+    }
+
+    const expected = runs / size;
+    for (const row of counts) {
+        for (const count of row) {
+            assert(Math.abs(count - expected) < expected * 0.05, `Position count ${count} too far from ${expected}`);
+        }
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
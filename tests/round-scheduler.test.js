@@ -0,0 +1,203 @@
+/**
+ * Tests for the Round Scheduler
+ * Run with: node tests/round-scheduler.test.js
+ */
+
+import assert from 'assert';
+import { RoundScheduler } from '../services/round-scheduler.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Round Scheduler Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testTimersRunAfterDelay,
+        testRunNowEndsRoundEarly,
+        testPauseHoldsNewTimers,
+        testCancelByName,
+        testCancelAllLiftsPause,
+        testCallbackErrorsAreLogged
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Build a clock whose time only moves when advance is called
+ */
+function createFakeClock() {
+    let time = 0;
+    let nextHandle = 1;
+    const pending = new Map();
+
+    return {
+        now: () => time,
+        setTimeout: (callback, delayMs) => {
+            pending.set(nextHandle, { callback, at: time + delayMs });
+            return nextHandle++;
+        },
+        clearTimeout: (handle) => pending.delete(handle),
+        advance(ms) {
+            time += ms;
+            for (const [handle, { callback, at }] of pending) {
+                if (at <= time) {
+                    pending.delete(handle);
+                    callback();
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Test: Timers run once after their delay and are then forgotten
+ */
+async function testTimersRunAfterDelay() {
+    const clock = createFakeClock();
+    const scheduler = new RoundScheduler(clock);
+    const calls = [];
+
+    scheduler.schedule('c1', 'roundEnd', () => calls.push('c1'), 1000);
+    scheduler.schedule('c2', 'roundEnd', () => calls.push('c2'), 2000);
+    assert.strictEqual(scheduler.getPendingCount('c1'), 1);
+
+    clock.advance(1000);
+    assert.deepStrictEqual(calls, ['c1']);
+    assert.strictEqual(scheduler.getPendingCount('c1'), 0);
+
+    clock.advance(1000);
+    assert.deepStrictEqual(calls, ['c1', 'c2']);
+}
+
+/**
+ * Test: Running a round's end early calls it once, and the original timer no longer fires
+ */
+async function testRunNowEndsRoundEarly() {
+    const clock = createFakeClock();
+    const scheduler = new RoundScheduler(clock);
+    let roundEnds = 0;
+
+    scheduler.schedule('c1', 'roundEnd', async () => roundEnds++, 15000);
+    clock.advance(3000);
+
+    assert.strictEqual(await scheduler.runNow('c1', 'roundEnd'), true);
+    assert.strictEqual(await scheduler.runNow('c1', 'roundEnd'), false, 'A round should only end once');
+    clock.advance(20000);
+    assert.strictEqual(roundEnds, 1);
+}
+
+/**
+ * Test: Pausing a channel holds its running timers and any scheduled before it resumes
+ */
+async function testPauseHoldsNewTimers() {
+    const clock = createFakeClock();
+    const scheduler = new RoundScheduler(clock);
+    const calls = [];
+
+    scheduler.schedule('c1', 'roundEnd', () => calls.push('roundEnd'), 1000);
+    clock.advance(600);
+    scheduler.pause('c1');
+    scheduler.schedule('c1', 'nextRound', () => calls.push('nextRound'), 500);
+    scheduler.schedule('c2', 'roundEnd', () => calls.push('other channel'), 500);
+
+    clock.advance(5000);
+    assert.deepStrictEqual(calls, ['other channel'], 'Only other channels should run while paused');
+
+    scheduler.resume('c1');
+    clock.advance(400);
+    assert.deepStrictEqual(calls, ['other channel', 'roundEnd']);
+    clock.advance(100);
+    assert.deepStrictEqual(calls, ['other channel', 'roundEnd', 'nextRound']);
+}
+
+/**
+ * Test: Cancelling by name leaves a channel's other timers running
+ */
+async function testCancelByName() {
+    const clock = createFakeClock();
+    const scheduler = new RoundScheduler(clock);
+    const calls = [];
+
+    scheduler.schedule('c1', 'reveal', () => calls.push('reveal'), 500);
+    scheduler.schedule('c1', 'reveal', () => calls.push('reveal'), 1000);
+    scheduler.schedule('c1', 'roundEnd', () => calls.push('roundEnd'), 1500);
+
+    scheduler.cancel('c1', 'reveal');
+    assert.strictEqual(scheduler.getPendingCount('c1', 'reveal'), 0);
+
+    clock.advance(2000);
+    assert.deepStrictEqual(calls, ['roundEnd']);
+}
+
+/**
+ * Test: Cancelling a channel's timers drops them all, and the next game isn't left paused
+ */
+async function testCancelAllLiftsPause() {
+    const clock = createFakeClock();
+    const scheduler = new RoundScheduler(clock);
+    const calls = [];
+
+    scheduler.schedule('c1', 'roundEnd', () => calls.push('old game'), 1000);
+    scheduler.pause('c1');
+    scheduler.cancel('c1');
+    assert.strictEqual(scheduler.getPendingCount('c1'), 0);
+
+    scheduler.schedule('c1', 'nextRound', () => calls.push('new game'), 1000);
+    clock.advance(1000);
+    assert.deepStrictEqual(calls, ['new game']);
+}
+
+/**
+ * Test: A failing callback is logged instead of becoming an unhandled rejection
+ */
+async function testCallbackErrorsAreLogged() {
+    const clock = createFakeClock();
+    const scheduler = new RoundScheduler(clock);
+    const logged = [];
+    const originalError = console.error;
+    console.error = (message) => logged.push(message);
+
+    try {
+        scheduler.schedule('c1', 'nextRound', async () => {
+            throw new Error('Discord API error');
+        }, 1000);
+        scheduler.schedule('c1', 'roundEnd', async () => {
+            throw new Error('Discord API error');
+        }, 5000);
+
+        clock.advance(1000);
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.strictEqual(await scheduler.runNow('c1', 'roundEnd'), true);
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.deepStrictEqual(logged, [
+        'Error running nextRound timer in c1:',
+        'Error running roundEnd timer in c1:'
+    ]);
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
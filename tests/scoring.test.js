@@ -0,0 +1,131 @@
+/**
+ * Tests for Scoring Strategies
+ * Run with: node tests/scoring.test.js
+ */
+
+import assert from 'assert';
+import {
+    scoringStrategies,
+    isScoringStrategy,
+    calculateScore
+} from '../services/scoring.js';
+
+const settings = {
+    baseScore: 100,
+    firstCorrectBonus: 50,
+    rankShares: [1, 0.75, 0.5, 0.25]
+};
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Scoring Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testLinearScoring,
+        testLinearUsesGameRoundTime,
+        testFlatScoring,
+        testFirstBonusScoring,
+        testRankScoring,
+        testUnknownStrategy,
+        testStrategiesAreDescribed
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: Linear scoring decays with the time left
+ */
+async function testLinearScoring() {
+    const score = (elapsedSeconds) => calculateScore('linear', { elapsedSeconds, roundTimeSeconds: 20, rank: 1 }, settings);
+
+    assert.strictEqual(score(0), 100, 'Instant answer should score full points');
+    assert.strictEqual(score(5), 75, 'Quarter of the round gone should score 75');
+    assert.strictEqual(score(20), 0, 'Answer at the buzzer should score 0');
+    assert.strictEqual(score(25), 0, 'Late answer should never go negative');
+}
+
+/**
+ * Test: Linear scoring is timed against the round length it's given, not a global default
+ */
+async function testLinearUsesGameRoundTime() {
+    const short = calculateScore('linear', { elapsedSeconds: 10, roundTimeSeconds: 15, rank: 1 }, settings);
+    const long = calculateScore('linear', { elapsedSeconds: 10, roundTimeSeconds: 60, rank: 1 }, settings);
+
+    assert(Math.abs(short - 100 / 3) < 1e-9, `10s into a 15s round should score a third, got ${short}`);
+    assert(Math.abs(long - 100 * 50 / 60) < 1e-9, `10s into a 60s round should score 5/6, got ${long}`);
+}
+
+/**
+ * Test: Flat scoring ignores time and order
+ */
+async function testFlatScoring() {
+    assert.strictEqual(calculateScore('flat', { elapsedSeconds: 0, roundTimeSeconds: 20, rank: 1 }, settings), 100);
+    assert.strictEqual(calculateScore('flat', { elapsedSeconds: 19, roundTimeSeconds: 20, rank: 4 }, settings), 100);
+}
+
+/**
+ * Test: First-bonus scoring adds the bonus for the first correct answer only
+ */
+async function testFirstBonusScoring() {
+    const first = calculateScore('first-bonus', { elapsedSeconds: 10, roundTimeSeconds: 20, rank: 1 }, settings);
+    const second = calculateScore('first-bonus', { elapsedSeconds: 10, roundTimeSeconds: 20, rank: 2 }, settings);
+
+    assert.strictEqual(first, 100, 'First correct answer should get speed points plus the bonus');
+    assert.strictEqual(second, 50, 'Later answers should only get speed points');
+}
+
+/**
+ * Test: Rank scoring follows answer order and keeps the last share for everyone after
+ */
+async function testRankScoring() {
+    const score = (rank) => calculateScore('rank', { elapsedSeconds: 19, roundTimeSeconds: 20, rank }, settings);
+
+    assert.strictEqual(score(1), 100, 'First should score full points regardless of time');
+    assert.strictEqual(score(2), 75, 'Second should score 75');
+    assert.strictEqual(score(4), 25, 'Fourth should score 25');
+    assert.strictEqual(score(9), 25, 'Answers past the table should keep the last share');
+}
+
+/**
+ * Test: Unknown strategies are rejected
+ */
+async function testUnknownStrategy() {
+    assert(!isScoringStrategy('random'), 'Unknown strategy should not exist');
+    assert(!isScoringStrategy('toString'), 'Object prototype keys are not strategies');
+    assert.throws(() => calculateScore('random', { elapsedSeconds: 0, roundTimeSeconds: 20, rank: 1 }, settings));
+}
+
+/**
+ * Test: Every strategy has a name and description for the start embed
+ */
+async function testStrategiesAreDescribed() {
+    for (const [key, strategy] of Object.entries(scoringStrategies)) {
+        assert(isScoringStrategy(key), `${key} should be a strategy`);
+        assert(strategy.name && strategy.description, `${key} should have a name and description`);
+    }
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for Game Session State
+ * Run with: node tests/session-state.test.js
+ */
+
+import assert from 'assert';
+import { serializeSession, deserializeSession, isStaleSession } from '../services/session-state.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Session State Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testRoundTripThroughJson,
+        testSavedStateIsPlainData,
+        testStaleSessions
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Build a team game halfway through, with answers, hints and a roster
+ */
+function createSession() {
+    return {
+        gameId: 'channel-1-1700000000000',
+        channelId: 'channel-1',
+        seed: 'abc123',
+        currentRound: 1,
+        totalRounds: 2,
+        phase: 'playing',
+        isActive: true,
+        rounds: [
+            {
+                token: { tokenId: '1', primaryArtist: 'tz1a' },
+                choices: [{ label: 'A', artist: 'tz1a', isCorrect: true }],
+                startTime: 1700000001000,
+                endTime: 1700000016000,
+                answered: new Set(['user-1', 'user-2']),
+                hints: new Map([['user-2', new Map([['eliminate', { eliminatedLabel: 'B' }]])]]),
+                correctCount: 1
+            },
+            {
+                token: { tokenId: '2', primaryArtist: 'tz1b' },
+                choices: [{ label: 'A', artist: 'tz1b', isCorrect: true }],
+                startTime: null,
+                endTime: null,
+                answered: new Set(),
+                hints: new Map(),
+                correctCount: 0
+            }
+        ],
+        players: new Map([
+            ['user-1', { username: 'alice', score: 90, teamId: '0', streak: 1 }],
+            ['user-2', { username: 'bob', score: 0, teamId: '1', streak: 0 }]
+        ]),
+        teams: new Map([
+            ['0', { teamId: '0', name: 'Red', score: 90, members: new Set(['user-1']) }],
+            ['1', { teamId: '1', name: 'Blue', score: 0, members: new Set(['user-2']) }]
+        ]),
+        roster: new Set(['user-1', 'user-2']),
+        survival: null
+    };
+}
+
+/**
+ * Test: A session saved as JSON comes back with its Maps and Sets intact
+ */
+async function testRoundTripThroughJson() {
+    const session = createSession();
+    const saved = JSON.parse(JSON.stringify(serializeSession(session)));
+    const restored = deserializeSession({ ...saved, lastUpdated: new Date().toISOString() });
+
+    assert.deepStrictEqual(restored, session);
+    assert(restored.rounds[0].answered.has('user-2'), 'Answered players should be a Set again');
+    assert.strictEqual(restored.rounds[0].hints.get('user-2').get('eliminate').eliminatedLabel, 'B');
+    assert.strictEqual(restored.players.get('user-1').score, 90);
+    assert(restored.teams.get('0').members.has('user-1'), 'Team members should be a Set again');
+    assert(!('lastUpdated' in restored), 'The save time should not end up in the session');
+}
+
+/**
+ * Test: Saving doesn't modify the running session, and solo games without teams or roster work too
+ */
+async function testSavedStateIsPlainData() {
+    const session = { ...createSession(), teams: null, roster: null };
+    const saved = serializeSession(session);
+
+    assert(Array.isArray(saved.players) && Array.isArray(saved.rounds[0].answered));
+    assert.strictEqual(saved.teams, null);
+    assert.strictEqual(saved.roster, null);
+    assert(session.players instanceof Map, 'The running session should keep its Maps');
+    assert.deepStrictEqual(deserializeSession(saved), session);
+}
+
+/**
+ * Test: Games saved too long ago (or without a save time) aren't resumed
+ */
+async function testStaleSessions() {
+    const now = Date.parse('2024-01-31T12:00:00.000Z');
+
+    assert(!isStaleSession('2024-01-31T11:45:00.000Z', 30, now));
+    assert(isStaleSession('2024-01-31T11:15:00.000Z', 30, now));
+    assert(isStaleSession(undefined, 30, now), 'A state without a save time should not be resumed');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
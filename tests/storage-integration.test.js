@@ -13,7 +13,34 @@ import {
     loadPlayers,
     saveGameState,
     clearGameState,
-    loadGameState
+    loadGameState,
+    saveTeamResult,
+    loadTeamResults,
+    saveDailyRounds,
+    getDailyRounds,
+    getDailyResult,
+    recordDailyAttempt,
+    completeDailyAttempt,
+    getDailyLeaderboard,
+    loadConfusions,
+    recordConfusions,
+    getTournament,
+    saveTournament,
+    saveTokens,
+    loadTokens,
+    migrateLegacyTokens,
+    needsTokenRefresh,
+    getGuildSettings,
+    saveGuildSettings,
+    loadBlocklist,
+    addToBlocklist,
+    removeFromBlocklist,
+    loadOptOuts,
+    addOptOut,
+    removeOptOut,
+    saveTranscript,
+    getTranscript,
+    pruneTranscripts
 } from '../services/storage.js';
 import { rebuildStateFromLog } from '../services/append-log.js';
 
@@ -52,7 +79,19 @@ async function runTests() {
         testGameStatePersistence,
         testTombstoneRecords,
         testCrashRecovery,
-        testMultipleUpdates
+        testMultipleUpdates,
+        testTeamResults,
+        testDailyChallenge,
+        testDailyStreaks,
+        testConfusions,
+        testLongestStreak,
+        testTournaments,
+        testTokenSourceCaches,
+        testLegacyTokenMigration,
+        testGuildSettings,
+        testBlocklist,
+        testOptOuts,
+        testTranscripts
     ];
     
     for (const test of tests) {
@@ -222,6 +261,341 @@ async function testMultipleUpdates() {
     assert(logState.player1.totalGames === 2, 'Player1 games should match');
 }
 
+/**
+ * Test: Team game results and per-player team stats
+ */
+async function testTeamResults() {
+    const gameId = 'test-channel-3-1700000000000';
+    
+    await updatePlayerStats('team-player-1', 'TeamPlayer1', 300, true, 3, 0, { team: 'Red', teamWon: true });
+    await updatePlayerStats('team-player-2', 'TeamPlayer2', 100, false, 1, 2, { team: 'Blue', teamWon: false });
+    await saveTeamResult(gameId, {
+        channelId: 'test-channel-3',
+        teams: [
+            { name: 'Red', score: 300, members: ['team-player-1'], mvp: 'team-player-1', isWinner: true },
+            { name: 'Blue', score: 100, members: ['team-player-2'], mvp: 'team-player-2', isWinner: false }
+        ]
+    });
+    
+    // Verify per-player team stats
+    const winner = await getPlayerStats('team-player-1');
+    assert(winner.teamGames === 1, 'Winner should have 1 team game');
+    assert(winner.teamWins === 1, 'Winner should have 1 team win');
+    assert(winner.gamesHistory[0].team === 'Red', 'History should record the team');
+    
+    const loser = await getPlayerStats('team-player-2');
+    assert(loser.teamGames === 1, 'Loser should have 1 team game');
+    assert(loser.teamWins === 0, 'Loser should have no team wins');
+    
+    // Verify team result persistence and log
+    const results = await loadTeamResults();
+    assert(results[gameId].teams.length === 2, 'Team result should be saved');
+    
+    const logState = await rebuildStateFromLog('team_results');
+    assert(logState[gameId].teams[0].isWinner, 'Log should have the team result');
+}
+
+/**
+ * Remove daily challenge files so streak tests start fresh
+ */
+async function clearDailyData() {
+    const files = [
+        'daily.json',
+        'daily_streaks.json',
+        path.join('logs', 'daily.log'),
+        path.join('logs', 'daily_streaks.log')
+    ];
+    
+    for (const file of files) {
+        try {
+            await fs.unlink(path.join(TEST_DATA_DIR, file));
+        } catch (error) {
+            // File might not exist
+        }
+    }
+}
+
+/**
+ * Test: Daily rounds, one attempt per player and the daily leaderboard
+ */
+async function testDailyChallenge() {
+    await clearDailyData();
+    const date = '2024-03-10';
+    
+    await saveDailyRounds(date, [{ token: { tokenId: '1' }, choices: [], correctAnswer: 'tz1a' }]);
+    const rounds = await getDailyRounds(date);
+    assert(rounds.length === 1, 'Daily rounds should be stored');
+    
+    // Starting counts as the attempt
+    await recordDailyAttempt(date, 'daily-user-1', 'DailyUser1');
+    await recordDailyAttempt(date, 'daily-user-2', 'DailyUser2');
+    const started = await getDailyResult(date, 'daily-user-1');
+    assert(started && !started.completed, 'Attempt should be recorded when started');
+    
+    await completeDailyAttempt(date, 'daily-user-1', { username: 'DailyUser1', score: 150, correctAnswers: 2 });
+    await completeDailyAttempt(date, 'daily-user-2', { username: 'DailyUser2', score: 300, correctAnswers: 4 });
+    
+    const leaderboard = await getDailyLeaderboard(date);
+    assert(leaderboard.length === 2, 'Leaderboard should list finished players');
+    assert(leaderboard[0].userId === 'daily-user-2', 'Highest score should rank first');
+    assert((await getDailyRounds(date)).length === 1, 'Results should not overwrite rounds');
+    
+    await clearDailyData();
+}
+
+/**
+ * Test: Daily streaks count consecutive days and reset after a gap
+ */
+async function testDailyStreaks() {
+    await clearDailyData();
+    const userId = 'streak-user';
+    
+    let streak = await recordDailyAttempt('2024-03-10', userId, 'StreakUser');
+    assert(streak.currentStreak === 1, 'First day should start a streak');
+    
+    streak = await recordDailyAttempt('2024-03-11', userId, 'StreakUser');
+    assert(streak.currentStreak === 2, 'Consecutive day should extend the streak');
+    
+    streak = await recordDailyAttempt('2024-03-12', userId, 'StreakUser');
+    assert(streak.currentStreak === 3, 'Streak should keep growing');
+    
+    streak = await recordDailyAttempt('2024-03-14', userId, 'StreakUser');
+    assert(streak.currentStreak === 1, 'Missing a day should reset the streak');
+    assert(streak.longestStreak === 3, 'Longest streak should be kept');
+    
+    await clearDailyData();
+}
+
+/**
+ * Test: Wrong answers are counted per correct artist and survive a lost main file
+ */
+async function testConfusions() {
+    const confusionsFile = path.join(TEST_DATA_DIR, 'confusions.json');
+    const before = (await loadConfusions())['tz1-test-correct']?.['tz1-test-chosen'] || 0;
+    
+    await recordConfusions([
+        { correct: 'tz1-test-correct', chosen: 'tz1-test-chosen' },
+        { correct: 'tz1-test-correct', chosen: 'tz1-test-chosen' },
+        { correct: 'tz1-test-correct', chosen: 'tz1-test-correct' }
+    ]);
+    
+    const confusions = await loadConfusions();
+    assert(confusions['tz1-test-correct']['tz1-test-chosen'] === before + 2, 'Each mistake should be counted');
+    assert(!confusions['tz1-test-correct']['tz1-test-correct'], 'Picking the correct artist is not a confusion');
+    
+    // Losing the main file should fall back to the log
+    await fs.unlink(confusionsFile);
+    const rebuilt = await loadConfusions();
+    assert(rebuilt['tz1-test-correct']['tz1-test-chosen'] === before + 2, 'Counts should be rebuilt from the log');
+}
+
+/**
+ * Test: Longest streak keeps the best run across games
+ */
+async function testLongestStreak() {
+    const userId = 'streak-stats-player';
+    
+    await updatePlayerStats(userId, 'StreakStats', 500, true, 6, 0, { longestStreak: 6 });
+    await updatePlayerStats(userId, 'StreakStats', 200, false, 2, 3, { longestStreak: 2 });
+    
+    const stats = await getPlayerStats(userId);
+    assert(stats.longestStreak === 6, 'Shorter streak should not replace the longest');
+    assert(stats.gamesHistory[stats.gamesHistory.length - 1].longestStreak === 2, 'History should record the game streak');
+}
+
+/**
+ * Test: Tournaments are saved and survive a lost main file
+ */
+async function testTournaments() {
+    const tournamentsFile = path.join(TEST_DATA_DIR, 'tournaments.json');
+    const tournament = {
+        id: 'TEST01',
+        name: 'Test Cup',
+        status: 'open',
+        players: { 'cup-player-1': { userId: 'cup-player-1', username: 'CupPlayer1' } },
+        games: []
+    };
+    
+    await saveTournament(tournament.id, tournament);
+    tournament.status = 'running';
+    await saveTournament(tournament.id, tournament);
+    
+    const loaded = await getTournament('TEST01');
+    assert(loaded.status === 'running', 'Latest tournament state should be saved');
+    assert(loaded.players['cup-player-1'].username === 'CupPlayer1', 'Players should be saved');
+    assert(await getTournament('NOPE00') === null, 'Unknown tournament should be null');
+    
+    // Losing the main file should fall back to the log
+    await fs.unlink(tournamentsFile);
+    const rebuilt = await getTournament('TEST01');
+    assert(rebuilt.status === 'running', 'Tournament should be rebuilt from the log');
+}
+
+/**
+ * Test: Each token source is cached separately
+ */
+async function testTokenSourceCaches() {
+    const tokenCacheFile = path.join(TEST_DATA_DIR, 'token_cache.json');
+    
+    await saveTokens('test-source-a', [{ tokenId: '1' }, { tokenId: '2' }], { tz1a: { hasResolution: true } });
+    await saveTokens('test-source-b', [{ tokenId: '3' }]);
+    
+    const sourceA = await loadTokens('test-source-a');
+    const sourceB = await loadTokens('test-source-b');
+    assert(sourceA.count === 2 && sourceA.artistInfo.tz1a, 'Source A should keep its own tokens and artists');
+    assert(sourceB.count === 1 && sourceB.tokens[0].tokenId === '3', 'Source B should keep its own tokens');
+    assert(await loadTokens('test-source-missing') === null, 'Unknown source should have no cache');
+    
+    assert(!(await needsTokenRefresh('test-source-a')), 'Freshly cached source should not need a refresh');
+    assert(await needsTokenRefresh('test-source-missing'), 'Uncached source should need a refresh');
+    
+    // Refreshing one source leaves the others alone
+    await saveTokens('test-source-b', [{ tokenId: '4' }, { tokenId: '5' }]);
+    assert((await loadTokens('test-source-a')).count === 2, 'Source A should be untouched');
+    
+    // Losing the main file should fall back to the log
+    await fs.unlink(tokenCacheFile);
+    const rebuilt = await loadTokens('test-source-b');
+    assert(rebuilt.count === 2, 'Latest source cache should be rebuilt from the log');
+}
+
+/**
+ * Test: A cache from before token sources (tokens.json) becomes the default source's cache
+ */
+async function testLegacyTokenMigration() {
+    const legacyFile = path.join(TEST_DATA_DIR, 'tokens.json');
+    const sourceId = `test-source-legacy-${Date.now()}`; // Migration only fills sources without a cache
+    const existing = await fs.readFile(legacyFile, 'utf8').catch(() => null);
+    
+    try {
+        await fs.writeFile(legacyFile, JSON.stringify({
+            lastUpdated: '2024-01-31T12:00:00.000Z',
+            count: 2,
+            tokens: [{ tokenId: '1' }, { tokenId: '2' }],
+            artistInfo: { tz1a: { hasResolution: true } }
+        }));
+        
+        assert(await migrateLegacyTokens(sourceId), 'Legacy cache should be migrated');
+        const migrated = await loadTokens(sourceId);
+        assert(migrated.count === 2 && migrated.artistInfo.tz1a, 'Legacy tokens and artists should be kept');
+        assert(migrated.lastUpdated === '2024-01-31T12:00:00.000Z', 'Legacy fetch time should be kept');
+        assert(await needsTokenRefresh(sourceId), 'Old legacy caches should still be refreshed');
+        
+        // Once the source has its own cache, the legacy file is left alone
+        await saveTokens(sourceId, [{ tokenId: '3' }]);
+        assert(!(await migrateLegacyTokens(sourceId)), 'Migration should only run once');
+        assert((await loadTokens(sourceId)).count === 1, 'Newer cache should not be replaced');
+    } finally {
+        if (existing === null) {
+            await fs.unlink(legacyFile);
+        } else {
+            await fs.writeFile(legacyFile, existing);
+        }
+    }
+}
+
+/**
+ * Test: Server settings are saved per server
+ */
+async function testGuildSettings() {
+    const guildSettingsFile = path.join(TEST_DATA_DIR, 'guild_settings.json');
+    
+    await saveGuildSettings('test-guild-1', { roundsPerGame: 10 });
+    await saveGuildSettings('test-guild-2', { difficulty: 'hard' });
+    await saveGuildSettings('test-guild-1', { roundsPerGame: 15, allowedChannels: ['test-channel'] });
+    
+    const first = await getGuildSettings('test-guild-1');
+    assert(first.roundsPerGame === 15, 'Latest settings should be saved');
+    assert(first.allowedChannels[0] === 'test-channel', 'Channel lists should be saved');
+    assert((await getGuildSettings('test-guild-2')).difficulty === 'hard', 'Other servers should keep their settings');
+    assert.deepStrictEqual(await getGuildSettings('test-guild-missing'), {}, 'Unknown servers should have no settings');
+    
+    // Losing the main file should fall back to the log
+    await fs.unlink(guildSettingsFile);
+    const rebuilt = await getGuildSettings('test-guild-1');
+    assert(rebuilt.roundsPerGame === 15, 'Settings should be rebuilt from the log');
+}
+
+/**
+ * Test: Blocked items are saved, and unblocking survives a rebuild from the log
+ */
+async function testBlocklist() {
+    const blocklistFile = path.join(TEST_DATA_DIR, 'blocklist.json');
+    const tokenKey = 'token:KT1TestContract:1';
+    const artistKey = 'artist:tz1TestArtist';
+    
+    await addToBlocklist(tokenKey, { type: 'token', id: 'KT1TestContract:1', reason: 'broken image' });
+    await addToBlocklist(artistKey, { type: 'artist', id: 'tz1TestArtist', reason: null });
+    
+    let blocklist = await loadBlocklist();
+    assert(blocklist[tokenKey].reason === 'broken image', 'Blocked token should be saved');
+    assert(blocklist[artistKey], 'Blocked artist should be saved');
+    
+    assert(await removeFromBlocklist(artistKey), 'Unblocking a blocked artist should succeed');
+    assert(!(await removeFromBlocklist(artistKey)), 'Unblocking twice should report nothing to remove');
+    
+    // Losing the main file should fall back to the log, tombstone included
+    await fs.unlink(blocklistFile);
+    blocklist = await loadBlocklist();
+    assert(blocklist[tokenKey], 'Blocked token should be rebuilt from the log');
+    assert(!blocklist[artistKey], 'Unblocked artist should stay unblocked after a rebuild');
+    
+    await removeFromBlocklist(tokenKey);
+}
+
+/**
+ * Test: Opt-outs are saved by address, and opting back in survives a rebuild from the log
+ */
+async function testOptOuts() {
+    const optOutsFile = path.join(TEST_DATA_DIR, 'opt_outs.json');
+    
+    await addOptOut('tz1TestOptOut1', { address: 'tz1TestOptOut1', method: 'signature' });
+    await addOptOut('tz1TestOptOut2', { address: 'tz1TestOptOut2', method: 'admin', reason: 'asked by email' });
+    
+    let optOuts = await loadOptOuts();
+    assert(optOuts.tz1TestOptOut1.method === 'signature', 'Signed opt-out should be saved');
+    assert(optOuts.tz1TestOptOut2.reason === 'asked by email', 'Admin opt-out should keep its reason');
+    
+    assert(await removeOptOut('tz1TestOptOut2'), 'Removing an opt-out should succeed');
+    assert(!(await removeOptOut('tz1TestOptOut2')), 'Removing twice should report nothing to remove');
+    
+    // Losing the main file should fall back to the log, tombstone included
+    await fs.unlink(optOutsFile);
+    optOuts = await loadOptOuts();
+    assert(optOuts.tz1TestOptOut1, 'Opt-out should be rebuilt from the log');
+    assert(!optOuts.tz1TestOptOut2, 'Removed opt-out should stay removed after a rebuild');
+    
+    await removeOptOut('tz1TestOptOut1');
+}
+
+/**
+ * Test: Transcripts are saved by game ID and dropped once they are past the retention period
+ */
+async function testTranscripts() {
+    const transcriptsFile = path.join(TEST_DATA_DIR, 'transcripts.json');
+    const now = Date.parse('2024-03-01T12:00:00.000Z');
+    
+    await saveTranscript('test-game-old', { gameId: 'test-game-old', endedAt: '2024-01-01T12:00:00.000Z' });
+    await saveTranscript('test-game-new', { gameId: 'test-game-new', endedAt: '2024-02-28T12:00:00.000Z' });
+    
+    assert((await getTranscript('test-game-new')).endedAt === '2024-02-28T12:00:00.000Z', 'Transcript should be saved');
+    assert(await getTranscript('test-game-missing') === null, 'Unknown games should have no transcript');
+    
+    const pruned = await pruneTranscripts(30, now);
+    assert(pruned >= 1, 'Old transcripts should be pruned');
+    assert(await getTranscript('test-game-old') === null, 'Transcript past retention should be gone');
+    assert(await getTranscript('test-game-new'), 'Recent transcript should be kept');
+    
+    // Losing the main file should fall back to the log, tombstones included
+    await fs.unlink(transcriptsFile);
+    assert(await getTranscript('test-game-old') === null, 'Pruned transcript should stay gone after a rebuild');
+    assert(await getTranscript('test-game-new'), 'Transcript should be rebuilt from the log');
+    
+    // Clean up by expiring the test transcript (real transcripts are far newer than the test dates)
+    await saveTranscript('test-game-new', { gameId: 'test-game-new', endedAt: '2024-01-01T12:00:00.000Z' });
+    await pruneTranscripts(30, now);
+}
+
 // Run tests
 runTests()
     .then(success => {
@@ -0,0 +1,214 @@
+/**
+ * Tests for Tournament Standings and Brackets
+ * Run with: node tests/tournament.test.js
+ */
+
+import assert from 'assert';
+import {
+    computeStandings,
+    createBracket,
+    findMatch,
+    getPlayableMatches,
+    recordMatchWinner,
+    getChampion,
+    pickMatchWinner
+} from '../services/tournament.js';
+import { createSeededRandom } from '../services/random.js';
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Tournament Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testCumulativeStandings,
+        testStandingsTiebreaks,
+        testBracketWithoutByes,
+        testBracketWithByes,
+        testBracketIsSeeded,
+        testPlayThroughBracket,
+        testRecordMatchWinnerRejectsInvalid,
+        testPickMatchWinner
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Test: Standings add up scores, wins and correct answers across games
+ */
+async function testCumulativeStandings() {
+    const standings = computeStandings([
+        {
+            scores: [
+                { userId: 'a', username: 'Alice', score: 300, correctAnswers: 3, isWinner: true },
+                { userId: 'b', username: 'Bob', score: 200, correctAnswers: 2, isWinner: false }
+            ]
+        },
+        {
+            scores: [
+                { userId: 'b', username: 'Bobby', score: 400, correctAnswers: 4, isWinner: true },
+                { userId: 'c', username: 'Cara', score: 50, correctAnswers: 1, isWinner: false }
+            ]
+        }
+    ]);
+
+    assert.deepStrictEqual(standings.map(s => s.userId), ['b', 'a', 'c'], 'Should be sorted by total score');
+    assert.strictEqual(standings[0].totalScore, 600);
+    assert.strictEqual(standings[0].gamesPlayed, 2);
+    assert.strictEqual(standings[0].wins, 1);
+    assert.strictEqual(standings[0].correctAnswers, 6);
+    assert.strictEqual(standings[0].username, 'Bobby', 'Should keep the latest username');
+    assert.deepStrictEqual(computeStandings([]), [], 'No games should mean no standings');
+}
+
+/**
+ * Test: Equal totals are broken by wins, then correct answers
+ */
+async function testStandingsTiebreaks() {
+    const standings = computeStandings([
+        {
+            scores: [
+                { userId: 'a', username: 'Alice', score: 100, correctAnswers: 1, isWinner: false },
+                { userId: 'b', username: 'Bob', score: 100, correctAnswers: 1, isWinner: true },
+                { userId: 'c', username: 'Cara', score: 100, correctAnswers: 2, isWinner: false }
+            ]
+        }
+    ]);
+
+    assert.deepStrictEqual(standings.map(s => s.userId), ['b', 'c', 'a']);
+}
+
+/**
+ * Test: A power-of-two field fills every first-round match
+ */
+async function testBracketWithoutByes() {
+    const bracket = createBracket(['a', 'b', 'c', 'd']);
+
+    assert.strictEqual(bracket.rounds.length, 2, '4 players should need 2 rounds');
+    assert.strictEqual(bracket.rounds[0].length, 2);
+    assert.strictEqual(getPlayableMatches(bracket).length, 2, 'Both semifinals should be playable');
+
+    const seated = bracket.rounds[0].flatMap(m => m.players).sort();
+    assert.deepStrictEqual(seated, ['a', 'b', 'c', 'd'], 'Every player should be seated once');
+}
+
+/**
+ * Test: Uneven fields get byes that are decided straight away, never two in one match
+ */
+async function testBracketWithByes() {
+    const bracket = createBracket(['a', 'b', 'c', 'd', 'e']);
+
+    assert.strictEqual(bracket.rounds.length, 3, '5 players should need 3 rounds');
+
+    const byeMatches = bracket.rounds[0].filter(m => m.players[1] === null);
+    assert.strictEqual(byeMatches.length, 3, '5 players in an 8 bracket should get 3 byes');
+    assert(byeMatches.every(m => m.players[0] && m.winner === m.players[0]), 'Byes should advance automatically');
+    assert.strictEqual(getPlayableMatches(bracket).length, 2, 'The real match and the full bye pairing should be playable');
+
+    const seated = bracket.rounds[0].flatMap(m => m.players).filter(Boolean).sort();
+    assert.deepStrictEqual(seated, ['a', 'b', 'c', 'd', 'e'], 'Every player should be seated once');
+}
+
+/**
+ * Test: The same random source draws the same bracket
+ */
+async function testBracketIsSeeded() {
+    const players = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const first = createBracket(players, createSeededRandom('cup'));
+    const second = createBracket(players, createSeededRandom('cup'));
+
+    assert.deepStrictEqual(first, second);
+    assert.throws(() => createBracket(['a']), 'A single player is not a bracket');
+}
+
+/**
+ * Test: Winners move through the bracket until there is a champion
+ */
+async function testPlayThroughBracket() {
+    const bracket = createBracket(['a', 'b', 'c'], createSeededRandom('final'));
+    const busy = new Set();
+    let games = 0;
+
+    while (!getChampion(bracket)) {
+        const [match] = getPlayableMatches(bracket, busy);
+        assert(match, 'There should always be a playable match until the final is decided');
+        assert(recordMatchWinner(bracket, match.id, match.players[1]), 'Result should be recorded');
+        games++;
+    }
+
+    assert.strictEqual(games, 2, '3 players should need 2 games');
+    const final = bracket.rounds[bracket.rounds.length - 1][0];
+    assert.strictEqual(getChampion(bracket), final.winner);
+    assert.strictEqual(findMatch(bracket, final.id).round, bracket.rounds.length - 1);
+    assert.strictEqual(findMatch(bracket, 'r9m9'), null);
+
+    // Matches being played elsewhere aren't offered again
+    const other = createBracket(['a', 'b', 'c', 'd']);
+    const [first] = getPlayableMatches(other);
+    assert(!getPlayableMatches(other, new Set([first.id])).includes(first));
+}
+
+/**
+ * Test: Results for decided matches or players outside the match are ignored
+ */
+async function testRecordMatchWinnerRejectsInvalid() {
+    const bracket = createBracket(['a', 'b']);
+    const [match] = bracket.rounds[0];
+    const outsider = 'z';
+
+    assert(!recordMatchWinner(bracket, match.id, outsider), 'Outsiders cannot win a match');
+    assert(!recordMatchWinner(bracket, 'missing', 'a'), 'Unknown matches cannot be decided');
+    assert(recordMatchWinner(bracket, match.id, match.players[0]));
+    assert(!recordMatchWinner(bracket, match.id, match.players[1]), 'A decided match cannot be changed');
+    assert.strictEqual(getChampion(bracket), match.players[0]);
+}
+
+/**
+ * Test: Match winners are picked by score, then correct answers, then seed
+ */
+async function testPickMatchWinner() {
+    const match = { players: ['a', 'b'] };
+
+    assert.strictEqual(pickMatchWinner(match, [
+        { userId: 'a', score: 100, correctAnswers: 1 },
+        { userId: 'b', score: 200, correctAnswers: 1 }
+    ]), 'b', 'Higher score should win');
+
+    assert.strictEqual(pickMatchWinner(match, [
+        { userId: 'a', score: 100, correctAnswers: 1 },
+        { userId: 'b', score: 100, correctAnswers: 2 }
+    ]), 'b', 'More correct answers should break a score tie');
+
+    assert.strictEqual(pickMatchWinner(match, [
+        { userId: 'a', score: 100, correctAnswers: 1 },
+        { userId: 'b', score: 100, correctAnswers: 1 }
+    ]), 'a', 'A full tie should go to the first slot');
+
+    assert.strictEqual(pickMatchWinner(match, [
+        { userId: 'b', score: 10, correctAnswers: 1 }
+    ]), 'b', 'A player missing from the game should count as scoring nothing');
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
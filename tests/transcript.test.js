@@ -0,0 +1,173 @@
+/**
+ * Tests for Game Transcripts
+ * Run with: node tests/transcript.test.js
+ */
+
+import assert from 'assert';
+import { buildTranscript, formatTranscriptMarkdown } from '../services/transcript.js';
+
+const ARTIST_NAMES = { tz1alice: 'Alice', tz1bob: 'Bob', tz1carol: 'Carol' };
+const getArtistName = (address) => ARTIST_NAMES[address] ?? address;
+
+/**
+ * Test suite runner
+ */
+async function runTests() {
+    console.log('🧪 Running Transcript Tests\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    const tests = [
+        testTranscriptRecordsEveryAnswer,
+        testUnplayedRoundsAreLeftOut,
+        testMarkdownSummary
+    ];
+
+    for (const test of tests) {
+        try {
+            await test();
+            console.log(`✅ ${test.name}`);
+            passed++;
+        } catch (error) {
+            console.error(`❌ ${test.name}`);
+            console.error(`   ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Build a player's answer as recorded by the game
+ */
+function response(userId, username, answer, correct, responseMs, score) {
+    return { userId, username, answer, correct, responseMs, score };
+}
+
+/**
+ * Build a finished two-round game (the second round was never shown) and its final scores
+ */
+function createGame() {
+    const session = {
+        gameId: 'channel-1-1706702400000',
+        channelId: 'channel-1',
+        startedBy: 'user-1',
+        startedByUsername: 'alice_player',
+        startTime: Date.parse('2024-01-31T12:00:00.000Z'),
+        seed: 'abc123',
+        source: 'ttc',
+        questionType: 'artist',
+        difficulty: 'easy',
+        scoring: 'linear',
+        typed: false,
+        reveal: false,
+        survival: { lives: 1 },
+        totalRounds: 2,
+        rounds: [
+            {
+                type: 'artist',
+                token: { contract: 'KT1abc', tokenId: '7', name: 'Sunset | Dawn', artists: ['tz1alice', 'tz1bob'] },
+                choices: [
+                    { label: 'A', artist: 'tz1carol', isCorrect: false },
+                    { label: 'B', artist: 'tz1alice', isCorrect: true }
+                ],
+                correctAnswer: 'tz1alice',
+                startTime: Date.parse('2024-01-31T12:00:05.000Z'),
+                responses: [
+                    response('user-1', 'alice_player', 'B', true, 2500, 83),
+                    response('user-2', 'bob_player', 'A', false, 4000, 0)
+                ]
+            },
+            {
+                type: 'artist',
+                token: { contract: 'KT1abc', tokenId: '8', name: 'Unseen', artists: ['tz1carol'] },
+                choices: [{ label: 'A', artist: 'tz1carol', isCorrect: true }],
+                correctAnswer: 'tz1carol',
+                startTime: null,
+                responses: []
+            }
+        ]
+    };
+
+    const finalScores = {
+        scores: [
+            { userId: 'user-1', username: 'alice_player', score: 83, correctAnswers: 1, incorrectAnswers: 0 },
+            { userId: 'user-2', username: 'bob_player', score: 0, correctAnswers: 0, incorrectAnswers: 1 }
+        ].map((player, index) => ({ ...player, teamId: null, eliminatedRound: index === 1 ? 1 : null })),
+        winners: [{ userId: 'user-1' }]
+    };
+
+    return { session, finalScores };
+}
+
+/**
+ * Test: Each round keeps its artwork, choices, answer and every player's pick with timing
+ */
+async function testTranscriptRecordsEveryAnswer() {
+    const { session, finalScores } = createGame();
+    const transcript = buildTranscript(session, finalScores, getArtistName, '2024-01-31T12:01:00.000Z');
+
+    assert.strictEqual(transcript.gameId, 'channel-1-1706702400000');
+    assert.strictEqual(transcript.startedAt, '2024-01-31T12:00:00.000Z');
+    assert.strictEqual(transcript.endedAt, '2024-01-31T12:01:00.000Z');
+
+    const [round] = transcript.rounds;
+    assert.deepStrictEqual(round.token.artists, [
+        { address: 'tz1alice', name: 'Alice' },
+        { address: 'tz1bob', name: 'Bob' }
+    ]);
+    assert.deepStrictEqual(round.choices, [
+        { label: 'A', answer: 'Carol', isCorrect: false },
+        { label: 'B', answer: 'Alice', isCorrect: true }
+    ]);
+    assert.strictEqual(round.correctAnswer, 'Alice');
+    assert.strictEqual(round.voided, false);
+    assert.deepStrictEqual(round.responses.map(r => [r.userId, r.answer, r.responseMs]), [
+        ['user-1', 'B', 2500],
+        ['user-2', 'A', 4000]
+    ]);
+    assert.deepStrictEqual(transcript.players.map(p => p.isWinner), [true, false]);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(transcript)), transcript, 'Transcripts should be plain JSON');
+}
+
+/**
+ * Test: Rounds that were never shown (survival games ending early) aren't in the transcript
+ */
+async function testUnplayedRoundsAreLeftOut() {
+    const { session, finalScores } = createGame();
+    const transcript = buildTranscript(session, finalScores, getArtistName);
+
+    assert.strictEqual(transcript.rounds.length, 1);
+    assert.strictEqual(transcript.totalRounds, 2);
+}
+
+/**
+ * Test: The Markdown summary lists scores and every answer, keeping table cells intact
+ */
+async function testMarkdownSummary() {
+    const { session, finalScores } = createGame();
+    const markdown = formatTranscriptMarkdown(buildTranscript(session, finalScores, getArtistName));
+
+    assert(markdown.startsWith('# Game channel-1-1706702400000\n'));
+    assert(markdown.includes('survival (1 life)'));
+    assert(markdown.includes('| 1 | alice_player 🏆 | 83 | 1 | 0 |'));
+    assert(markdown.includes('## Round 1: Sunset | Dawn by Alice, Bob'));
+    assert(markdown.includes('https://objkt.com/tokens/KT1abc/7'));
+    assert(markdown.includes('**Choices:** A Carol • B Alice ✅'));
+    assert(markdown.includes('| alice_player | B | ✅ | 2.50s | 83 |'));
+    assert(markdown.includes('| bob_player | A | ❌ | 4.00s | 0 |'));
+    assert(!markdown.includes('Round 2'), 'Unplayed rounds should not be listed');
+
+    session.rounds[0].voided = true;
+    const skipped = formatTranscriptMarkdown(buildTranscript(session, finalScores, getArtistName));
+    assert(skipped.includes('## Round 1: Sunset | Dawn by Alice, Bob (skipped, not scored)'));
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error('Test runner failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,369 @@
+/**
+ * Name That Artist - Tournaments
+ * TTC (The Tezos Community) Edition
+ * Series of games with cumulative standings or a single-elimination bracket
+ */
+
+import crypto from "crypto";
+import { config } from "./config.js";
+import { createSeededRandom, generateSeed } from "./services/random.js";
+import { getTournament, saveTournament } from "./services/storage.js";
+import {
+    computeStandings,
+    createBracket,
+    findMatch,
+    getPlayableMatches,
+    recordMatchWinner,
+    getChampion,
+    pickMatchWinner,
+} from "./services/tournament.js";
+
+/**
+ * Tournament class to manage tournaments
+ * Tournament state lives in storage so it survives restarts; every change is saved immediately
+ */
+export class TournamentManager {
+    constructor() {
+        this.updateQueue = Promise.resolve(); // Serializes read-modify-write updates
+    }
+
+    /**
+     * Run a tournament update after any update already in progress
+     * @param {Function} update - Async function doing the read-modify-write
+     * @returns {Promise<*>} Result of the update
+     */
+    queueUpdate(update) {
+        const result = this.updateQueue.then(update);
+        this.updateQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Create a tournament open for sign-ups
+     * @param {Object} options - Tournament options
+     * @param {string} options.guildId - Discord server ID
+     * @param {string} options.userId - Organizer's Discord user ID
+     * @param {string} options.username - Organizer's Discord username
+     * @param {string} options.name - Tournament name
+     * @param {string} options.format - "cumulative" (points over a series of games) or "bracket" (single elimination)
+     * @param {number} options.games - Games in a cumulative tournament
+     * @param {number} options.rounds - Rounds per game
+     * @returns {Promise<Object>} Result ({ success, tournament })
+     */
+    async createTournament({ guildId, userId, username, name, format = "cumulative", games = null, rounds = null }) {
+        return this.queueUpdate(async () => {
+            // Short uppercase code players can type into /tournament join
+            let tournamentId;
+            do {
+                tournamentId = crypto.randomBytes(3).toString("hex").toUpperCase();
+            } while (await getTournament(tournamentId));
+
+            const tournament = {
+                id: tournamentId,
+                name,
+                format,
+                guildId,
+                createdBy: userId,
+                createdByUsername: username,
+                createdAt: new Date().toISOString(),
+                status: "open", // "open" for sign-ups, then "running", then "finished"
+                plannedGames: format === "cumulative" ? games ?? config.tournaments.defaultGames : null,
+                rounds: rounds ?? config.tournaments.roundsPerGame,
+                players: {}, // userId -> { userId, username }
+                seed: null, // Set when the tournament starts; the bracket draw comes from it
+                bracket: null, // Created when the tournament starts (bracket format)
+                activeGames: {}, // gameId -> { channelId, matchId }
+                games: [], // Finished games ({ gameId, channelId, matchId, date, scores })
+                champion: null, // { userId, username } once finished
+            };
+
+            await saveTournament(tournamentId, tournament);
+
+            return {
+                success: true,
+                tournament,
+            };
+        });
+    }
+
+    /**
+     * Load a tournament belonging to a server
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} guildId - Discord server ID
+     * @returns {Promise<Object|null>} Tournament, or null if it doesn't exist on this server
+     */
+    async getTournament(tournamentId, guildId) {
+        const tournament = await getTournament(tournamentId?.toUpperCase());
+        return tournament && tournament.guildId === guildId ? tournament : null;
+    }
+
+    /**
+     * Sign a player up for a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} guildId - Discord server ID
+     * @param {string} userId - Discord user ID
+     * @param {string} username - Discord username
+     * @returns {Promise<Object>} Result ({ success, message, tournament })
+     */
+    async joinTournament(tournamentId, guildId, userId, username) {
+        return this.queueUpdate(async () => {
+            const tournament = await this.getTournament(tournamentId, guildId);
+
+            if (!tournament) {
+                return {
+                    success: false,
+                    message: "Tournament not found.",
+                };
+            }
+
+            if (tournament.status !== "open") {
+                return {
+                    success: false,
+                    message: "Sign-ups for this tournament are closed.",
+                };
+            }
+
+            if (tournament.players[userId]) {
+                return {
+                    success: false,
+                    message: "You have already joined this tournament!",
+                };
+            }
+
+            // Cumulative games seat every player at once
+            const maxPlayers =
+                tournament.format === "bracket" ? config.tournaments.maxBracketPlayers : config.game.maxPlayers;
+            if (Object.keys(tournament.players).length >= maxPlayers) {
+                return {
+                    success: false,
+                    message: `This tournament is full (${maxPlayers} players).`,
+                };
+            }
+
+            tournament.players[userId] = { userId, username };
+            await saveTournament(tournament.id, tournament);
+
+            return {
+                success: true,
+                message: `You joined **${tournament.name}**!`,
+                tournament,
+            };
+        });
+    }
+
+    /**
+     * Work out the next tournament game to play
+     * Closes sign-ups (and draws the bracket) the first time it's called
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} guildId - Discord server ID
+     * @param {Set<string>} activeGameIds - IDs of games currently running; anything else listed as active
+     *                                      was interrupted (e.g. by a restart) and is played again
+     * @returns {Promise<Object>} Result ({ success, message, tournament, roster, matchId, label })
+     */
+    async getNextGame(tournamentId, guildId, activeGameIds = new Set()) {
+        return this.queueUpdate(async () => {
+            const tournament = await this.getTournament(tournamentId, guildId);
+
+            if (!tournament) {
+                return {
+                    success: false,
+                    message: "Tournament not found.",
+                };
+            }
+
+            if (tournament.status === "finished") {
+                return {
+                    success: false,
+                    message: "This tournament is already finished.",
+                };
+            }
+
+            const playerIds = Object.keys(tournament.players);
+            if (playerIds.length < 2) {
+                return {
+                    success: false,
+                    message: "A tournament needs at least 2 players to start.",
+                };
+            }
+
+            // Forget games that are no longer running
+            for (const gameId of Object.keys(tournament.activeGames)) {
+                if (!activeGameIds.has(gameId)) delete tournament.activeGames[gameId];
+            }
+
+            if (tournament.status === "open") {
+                tournament.status = "running";
+                tournament.seed = generateSeed();
+                if (tournament.format === "bracket") {
+                    tournament.bracket = createBracket(playerIds, createSeededRandom(tournament.seed));
+                }
+            }
+
+            await saveTournament(tournament.id, tournament);
+
+            const activeCount = Object.keys(tournament.activeGames).length;
+
+            if (tournament.format === "bracket") {
+                const busy = new Set(Object.values(tournament.activeGames).map((g) => g.matchId));
+                const [match] = getPlayableMatches(tournament.bracket, busy);
+
+                if (!match) {
+                    return {
+                        success: false,
+                        message: "Every playable match is already running - wait for one to finish.",
+                    };
+                }
+
+                return {
+                    success: true,
+                    tournament,
+                    roster: match.players.map((userId) => tournament.players[userId]),
+                    matchId: match.id,
+                    label: `Match ${match.id.toUpperCase()}`,
+                };
+            }
+
+            const gameNumber = tournament.games.length + activeCount + 1;
+            if (gameNumber > tournament.plannedGames) {
+                return {
+                    success: false,
+                    message: "All tournament games are already running - wait for them to finish.",
+                };
+            }
+
+            return {
+                success: true,
+                tournament,
+                roster: playerIds.map((userId) => tournament.players[userId]),
+                matchId: null,
+                label: `Game ${gameNumber}/${tournament.plannedGames}`,
+            };
+        });
+    }
+
+    /**
+     * Mark a tournament game as running
+     * Checks the slot is still free, since another channel may have claimed it while this game was set up
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} gameId - Game session ID
+     * @param {string} channelId - Discord channel ID
+     * @param {string|null} matchId - Bracket match ID (null for cumulative games)
+     * @returns {Promise<Object>} Result ({ success, message })
+     */
+    async markGameStarted(tournamentId, gameId, channelId, matchId = null) {
+        return this.queueUpdate(async () => {
+            const tournament = await getTournament(tournamentId);
+            const activeGames = Object.values(tournament?.activeGames ?? {});
+
+            const slotTaken =
+                tournament?.format === "bracket"
+                    ? activeGames.some((g) => g.matchId === matchId)
+                    : tournament && tournament.games.length + activeGames.length >= tournament.plannedGames;
+
+            if (!tournament || tournament.status !== "running" || slotTaken) {
+                return {
+                    success: false,
+                    message: "That tournament game was just started somewhere else.",
+                };
+            }
+
+            tournament.activeGames[gameId] = { channelId, matchId };
+            await saveTournament(tournamentId, tournament);
+
+            return { success: true };
+        });
+    }
+
+    /**
+     * Free the slot of a tournament game that never started (e.g. cancelled in the lobby)
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} gameId - Game session ID
+     */
+    async releaseGame(tournamentId, gameId) {
+        return this.queueUpdate(async () => {
+            const tournament = await getTournament(tournamentId);
+            if (!tournament?.activeGames[gameId]) return;
+
+            delete tournament.activeGames[gameId];
+            await saveTournament(tournamentId, tournament);
+        });
+    }
+
+    /**
+     * Record a finished tournament game and advance the tournament
+     * @param {string} tournamentId - Tournament ID
+     * @param {string} gameId - Game session ID
+     * @param {Array<Object>} scores - Final scores from getFinalScores
+     * @returns {Promise<Object>} Result ({ success, tournament, matchWinner, champion })
+     */
+    async recordGame(tournamentId, gameId, scores) {
+        return this.queueUpdate(async () => {
+            const tournament = await getTournament(tournamentId);
+            const activeGame = tournament?.activeGames[gameId];
+
+            if (!activeGame) {
+                return {
+                    success: false,
+                    message: "This game isn't part of a running tournament.",
+                };
+            }
+
+            delete tournament.activeGames[gameId];
+            tournament.games.push({
+                gameId,
+                channelId: activeGame.channelId,
+                matchId: activeGame.matchId,
+                date: new Date().toISOString(),
+                scores: scores.map((s) => ({
+                    userId: s.userId,
+                    username: s.username,
+                    score: s.score,
+                    correctAnswers: s.correctAnswers,
+                    isWinner: s.isWinner,
+                })),
+            });
+
+            let matchWinner = null;
+
+            if (tournament.format === "bracket") {
+                const { match } = findMatch(tournament.bracket, activeGame.matchId);
+                const winnerId = pickMatchWinner(match, scores);
+                recordMatchWinner(tournament.bracket, match.id, winnerId);
+                matchWinner = tournament.players[winnerId];
+
+                const championId = getChampion(tournament.bracket);
+                if (championId) {
+                    tournament.champion = tournament.players[championId];
+                }
+            } else if (tournament.games.length >= tournament.plannedGames) {
+                const [leader] = computeStandings(tournament.games);
+                tournament.champion = { userId: leader.userId, username: leader.username };
+            }
+
+            if (tournament.champion) {
+                tournament.status = "finished";
+            }
+
+            await saveTournament(tournamentId, tournament);
+
+            return {
+                success: true,
+                tournament,
+                matchWinner,
+                champion: tournament.champion,
+            };
+        });
+    }
+
+    /**
+     * Get cumulative standings for a tournament
+     * @param {Object} tournament - Tournament
+     * @returns {Array<Object>} Standings (see computeStandings)
+     */
+    getStandings(tournament) {
+        return computeStandings(tournament.games);
+    }
+}
+
+// Export singleton instance
+export const tournamentManager = new TournamentManager();